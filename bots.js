@@ -0,0 +1,216 @@
+// ─── BOTS ──────────────────────────────────────────────────────────
+// What a bot player writes, guesses and votes for. The engine (game.js)
+// seats bots as ordinary players and asks this module for each move;
+// everything here works offline from what it's handed, plus `random`.
+//
+// A bot has a personality, which is the voice its answers are written
+// in, and the lobby sets how sharp its guesses are:
+//
+//   easy     guesses at random
+//   medium   matches answers to players by style, with a fair bit of noise
+//   hard     matches by style, and spots the answers other bots wrote
+
+const PERSONALITIES = {
+  sensible: { name: 'Sensible', description: 'Tidy, honest answers' },
+  silly: { name: 'Silly', description: 'Loud and full of emoji' },
+  deadpan: { name: 'Deadpan', description: 'Flat, lowercase, unimpressed' },
+};
+const DEFAULT_PERSONALITY = 'mixed';
+const DIFFICULTIES = ['easy', 'medium', 'hard'];
+const DEFAULT_DIFFICULTY = 'medium';
+
+const BOT_NAMES = [
+  'Beep', 'Bolt', 'Byte', 'Chip', 'Cog', 'Dot', 'Echo', 'Gizmo',
+  'Pixel', 'Sprocket', 'Widget', 'Zippy', 'Nano', 'Rivet', 'Sparky',
+];
+
+// How much a medium bot's sense of style is muddled on each match
+const MEDIUM_NOISE = 1.5;
+// A hard bot's pull towards pinning pool answers on bots
+const POOL_MATCH_BONUS = 2;
+
+// ─── ANSWER POOL ───────────────────────────────────────────────────
+// Answers by topic. A question picks every topic with a keyword in it;
+// questions that match none get a generic answer.
+const ANSWER_POOL = [
+  { keywords: ['pizza', 'topping'], answers: ['pineapple', 'extra cheese', 'mushrooms', 'just more pizza', 'anchovies'] },
+  { keywords: ['breakfast', 'sandwich', 'meal', 'food', 'eat', 'eaten', 'snack', 'lunch', 'restaurant', 'kitchen', 'calorie', 'microwave'], answers: ['pancakes', 'a grilled cheese', 'fish', 'tacos', 'cereal for dinner', 'leftover noodles', 'a whole lemon', 'crisps', 'popcorn', 'toast'] },
+  { keywords: ['fruit'], answers: ['kiwi', 'plums', 'the humble pear', 'lychee', 'figs'] },
+  { keywords: ['coffee', 'tea', 'drink'], answers: ['oat flat white', 'builder’s tea', 'black coffee', 'iced latte', 'hot chocolate'] },
+  { keywords: ['song', 'music', 'karaoke', 'instrument', 'theme'], answers: ['bohemian rhapsody', 'the triangle', 'a kazoo', 'anything by abba', 'the bagpipes', 'lo-fi beats'] },
+  { keywords: ['movie', 'film', 'show', 'tv', 'fictional', 'called', 'celebrity', 'famous'], answers: ['the matrix', 'a nature documentary', 'the one with the boat', 'a cooking show', 'hogwarts'] },
+  { keywords: ['animal', 'pet', 'animals'], answers: ['a goose', 'a raccoon', 'a capybara', 'a very small horse', 'a cat, obviously', 'a llama'] },
+  { keywords: ['sport', 'winter', 'weapon', 'zombie'], answers: ['curling', 'a frying pan', 'snowball fights', 'a cricket bat', 'running away'] },
+  { keywords: ['holiday', 'vacation', 'season', 'sunday', 'weekend', 'rainy', 'teleport', 'travel', 'island'], answers: ['a long nap', 'the beach', 'a book and a blanket', 'autumn', 'japan', 'sunscreen', 'a good hammock'] },
+  { keywords: ['job', 'work', 'office', 'meeting', 'meetings', 'career', 'coworker', 'company', 'monday', 'desk', 'team', 'project', 'perk'], answers: ['free snacks', 'a four-day week', 'a plant', 'shorter meetings', 'naps', 'lighthouse keeper', 'a comfy chair', 'a cake'] },
+  { keywords: ['superpower', 'invisible', 'villain', 'ghost', 'haunt', 'plan'], answers: ['talking to pigeons', 'stealing all the socks', 'haunting a library', 'flying, but slowly', 'perfect parking'] },
+  { keywords: ['smell', 'sound', 'annoying', 'satisfying', 'clean', 'chore'], answers: ['fresh bread', 'rain', 'washing up', 'chewing noises', 'ironing', 'a vacuumed carpet'] },
+  { keywords: ['gift', 'buy', 'bought', 'lottery', 'spent', 'spend'], answers: ['a hot tub', 'socks', 'a castle', 'a boat', 'a very large trampoline'] },
+  { keywords: ['date', 'wedding', 'pickup', 'flag', 'party', 'dinner', 'family'], answers: ['bringing a kazoo', 'karaoke', 'talking about crypto', 'a group hug', 'an interpretive dance'] },
+  { keywords: ['app', 'wi-fi', 'emoji', 'keyboard', 'shortcut'], answers: ['ctrl+z', 'the maps app', 'the thumbs up', 'FBI van 3', 'the skull one'] },
+  { keywords: ['skill', 'learn', 'hobby', 'talent', 'advice'], answers: ['cooking', 'juggling', 'always say yes', 'knitting', 'touch typing', 'sleep on it'] },
+];
+const GENERIC_ANSWERS = [
+  'probably a duck', 'cheese', 'my nan', 'the moon', 'vibes', 'a nice walk',
+  'something with glitter', 'a spreadsheet', 'honesty', 'a good nap',
+];
+
+// The same answer in each personality's voice
+const VOICES = {
+  sensible: (text) => `${text[0].toUpperCase()}${text.slice(1)}.`,
+  silly: (text, random) => `${text.toUpperCase()}${['!!', '!!! 🎉', ' 😂😂', '!! 🤪'][Math.floor(random() * 4)]}`,
+  deadpan: (text, random) => `${['', 'i guess ', 'probably ', 'fine. '][Math.floor(random() * 4)]}${text.toLowerCase()}`,
+};
+
+function words(text) {
+  return text.toLowerCase().match(/[\p{L}\p{N}'-]+/gu) || [];
+}
+
+function pick(list, random) {
+  return list[Math.floor(random() * list.length)];
+}
+
+function isKnownPersonality(id) {
+  return id === DEFAULT_PERSONALITY || Object.hasOwn(PERSONALITIES, id);
+}
+
+function isKnownDifficulty(id) {
+  return DIFFICULTIES.includes(id);
+}
+
+// The personality for a new bot: the lobby's choice, or any for 'mixed'
+function pickPersonality(setting, random) {
+  return Object.hasOwn(PERSONALITIES, setting) ? setting : pick(Object.keys(PERSONALITIES), random);
+}
+
+// A name nobody in the lobby has yet
+function pickName(taken, random) {
+  const free = BOT_NAMES.filter(n => !taken.includes(n));
+  return free.length ? pick(free, random) : `Bot ${taken.length + 1}`;
+}
+
+function listPersonalities() {
+  return Object.entries(PERSONALITIES).map(([id, p]) => ({ id, ...p }));
+}
+
+// ─── ANSWERS ───────────────────────────────────────────────────────
+// An answer to the question in the bot's voice. Answers already given
+// this turn are avoided while there's anything else to say.
+function writeAnswer({ question, personality, given = [], random }) {
+  const asked = new Set(words(question));
+  const topical = ANSWER_POOL.filter(t => t.keywords.some(k => asked.has(k))).flatMap(t => t.answers);
+  const options = topical.length ? topical : GENERIC_ANSWERS;
+  const fresh = options.filter(a => !given.some(g => normalize(g).includes(normalize(a))));
+  const voice = VOICES[personality] || VOICES.sensible;
+  return voice(pick(fresh.length ? fresh : options, random), random);
+}
+
+// A few random squiggles, for drawing rounds (see drawing.js)
+function writeDrawing(random) {
+  const colors = ['#1C1917', '#DC2626', '#2563EB', '#1A8C4E', '#D97706'];
+  const strokes = [];
+  for (let s = 0; s < 2 + Math.floor(random() * 3); s++) {
+    const p = [];
+    let x = 60 + random() * 280;
+    let y = 50 + random() * 200;
+    for (let i = 0; i < 12; i++) {
+      x = Math.min(400, Math.max(0, x + (random() - 0.5) * 60));
+      y = Math.min(300, Math.max(0, y + (random() - 0.5) * 60));
+      p.push(Math.round(x), Math.round(y));
+    }
+    strokes.push({ c: pick(colors, random), w: 4 + Math.floor(random() * 6), p });
+  }
+  return { strokes };
+}
+
+// ─── GUESSING ──────────────────────────────────────────────────────
+// An answer's style as a handful of numbers between 0 and 1: how long it
+// is, how many words, whether it's all lowercase, how it ends, and
+// whether it shouts or has emoji in it.
+function styleOf(text) {
+  const letters = text.replace(/[^\p{L}]/gu, '');
+  return [
+    Math.min(text.length, 80) / 80,
+    Math.min(words(text).length, 12) / 12,
+    letters && letters === letters.toLowerCase() ? 1 : 0,
+    letters && letters === letters.toUpperCase() ? 1 : 0,
+    /[.?]$/.test(text) ? 1 : 0,
+    /!/.test(text) ? 1 : 0,
+    /\p{Extended_Pictographic}/u.test(text) ? 1 : 0,
+  ];
+}
+
+function styleDistance(a, b) {
+  return a.reduce((sum, v, i) => sum + Math.abs(v - b[i]), 0);
+}
+
+function normalize(text) {
+  return words(text).join(' ');
+}
+
+const POOL_ANSWERS = [...ANSWER_POOL.flatMap(t => t.answers), ...GENERIC_ANSWERS].map(normalize);
+
+function isPoolAnswer(text) {
+  const clean = normalize(text);
+  return !!clean && POOL_ANSWERS.some(a => clean.includes(a));
+}
+
+// Pins each answer on a player. `answers` are [{ id, text }], `players`
+// the ids answering this turn, `history` player id → their earlier text
+// answers and `botIds` which of the players are bots. Returns
+// { guesses: { answerId: playerId }, wagers: { answerId: 1-3 } }, each
+// player used once while there are players to go round.
+function matchAnswers({ answers, players, history, botIds, difficulty, random }) {
+  const noise = difficulty === 'hard' ? 0 : MEDIUM_NOISE;
+  const pairs = [];
+  for (const answer of answers) {
+    const style = styleOf(answer.text);
+    const fromPool = difficulty === 'hard' && isPoolAnswer(answer.text);
+    for (const playerId of players) {
+      const past = (history.get(playerId) || []).map(styleOf);
+      // Nothing to go on yet: somewhere in the middle
+      let cost = past.length
+        ? past.reduce((sum, p) => sum + styleDistance(style, p), 0) / past.length
+        : 2;
+      if (fromPool) cost += botIds.has(playerId) ? -POOL_MATCH_BONUS : POOL_MATCH_BONUS;
+      cost = difficulty === 'easy' ? random() : cost + random() * noise;
+      pairs.push({ answerId: answer.id, playerId, cost });
+    }
+  }
+  pairs.sort((a, b) => a.cost - b.cost);
+
+  const guesses = {};
+  const wagers = {};
+  const used = new Set();
+  for (const { answerId, playerId, cost } of pairs) {
+    if (guesses[answerId] || (used.has(playerId) && used.size < players.length)) continue;
+    guesses[answerId] = playerId;
+    used.add(playerId);
+    // Surer matches get bigger stakes in the wager mode
+    wagers[answerId] = difficulty === 'easy' ? 1 : cost < 0.5 ? 3 : cost < 1.5 ? 2 : 1;
+  }
+  return { guesses, wagers };
+}
+
+// ─── VOTING ────────────────────────────────────────────────────────
+// A random answer for each vote category, never the bot's own if there's
+// anything else to vote for
+function pickVotes(answerIds, ownId, random) {
+  const others = answerIds.filter(id => id !== ownId);
+  const choices = others.length ? others : answerIds;
+  return { best: pick(choices, random), funniest: pick(choices, random) };
+}
+
+module.exports = {
+  DEFAULT_PERSONALITY,
+  DEFAULT_DIFFICULTY,
+  isKnownPersonality,
+  isKnownDifficulty,
+  pickPersonality,
+  pickName,
+  listPersonalities,
+  writeAnswer,
+  writeDrawing,
+  matchAnswers,
+  pickVotes,
+};
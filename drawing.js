@@ -0,0 +1,56 @@
+// ─── DRAWING ANSWERS ───────────────────────────────────────────────
+// A drawing travels as a compact list of strokes on a fixed 400×300 board:
+//
+//   { strokes: [{ c: '#1C1917', w: 4, p: [x0, y0, x1, y1, ...] }, ...] }
+//
+// `c` is the stroke colour (the eraser is just white ink), `w` the pen
+// width and `p` a flat list of integer coordinates. Clients scale the
+// board to whatever size they render at.
+
+const BOARD_WIDTH = 400;
+const BOARD_HEIGHT = 300;
+const MAX_STROKES = 300;
+const MAX_POINTS_PER_STROKE = 1000;
+const MAX_TOTAL_POINTS = 4000;
+const MIN_PEN_WIDTH = 1;
+const MAX_PEN_WIDTH = 40;
+
+const COLOR_RE = /^#[0-9a-fA-F]{6}$/;
+
+function clamp(n, min, max) {
+  return Math.min(max, Math.max(min, n));
+}
+
+// Returns a clean copy of the drawing, or null if the payload is malformed
+// or over the size limits. Coordinates are rounded and clamped to the board.
+function sanitizeDrawing(raw) {
+  if (!raw || typeof raw !== 'object' || !Array.isArray(raw.strokes)) return null;
+  if (raw.strokes.length === 0 || raw.strokes.length > MAX_STROKES) return null;
+
+  let totalPoints = 0;
+  const strokes = [];
+  for (const stroke of raw.strokes) {
+    if (!stroke || typeof stroke !== 'object') return null;
+    if (typeof stroke.c !== 'string' || !COLOR_RE.test(stroke.c)) return null;
+    if (typeof stroke.w !== 'number' || !Number.isFinite(stroke.w)) return null;
+    const p = stroke.p;
+    if (!Array.isArray(p) || p.length < 2 || p.length % 2 !== 0) return null;
+    if (p.length / 2 > MAX_POINTS_PER_STROKE) return null;
+    totalPoints += p.length / 2;
+    if (totalPoints > MAX_TOTAL_POINTS) return null;
+
+    const points = new Array(p.length);
+    for (let i = 0; i < p.length; i++) {
+      if (typeof p[i] !== 'number' || !Number.isFinite(p[i])) return null;
+      points[i] = clamp(Math.round(p[i]), 0, i % 2 === 0 ? BOARD_WIDTH : BOARD_HEIGHT);
+    }
+    strokes.push({
+      c: stroke.c.toUpperCase(),
+      w: clamp(Math.round(stroke.w), MIN_PEN_WIDTH, MAX_PEN_WIDTH),
+      p: points,
+    });
+  }
+  return { strokes };
+}
+
+module.exports = { BOARD_WIDTH, BOARD_HEIGHT, sanitizeDrawing };
@@ -0,0 +1,178 @@
+// ─── GAME MODES ────────────────────────────────────────────────────
+// A mode decides how each turn is scored. Modes are plain objects:
+//
+//   id, name, description      shown in the lobby settings
+//   guessingInfo(settings)     extra fields for the guessing phase message
+//   readGuesses(raw, turn)     mode-specific data sent with submit_guesses
+//   scoreGuesses(turn)         → point entries for the guessing phase
+//   scoreVotes(turn)           → point entries for the voting phase
+//
+// Only scoreGuesses is required; every mode shares splitVotes unless it
+// brings its own. `turn` is a plain snapshot built by the server, so modes
+// never touch live lobby state:
+//
+//   { guesserId, answers: [{ id, playerId }], guesses: Map(answerId → playerId),
+//     extras, votes: { best: Map(answerId → count), funniest }, settings,
+//     nameOf(playerId) }
+//
+// In team mode each "player" is a whole team: the ids above are team ids
+// and points go to the team's score.
+//
+// A point entry is { playerId, points, reason, key, params } (plus
+// `category` and `answerId` for vote awards). The reason is shown on the
+// results screen, so every point a player gets comes with an explanation;
+// it's the English text for `key`, which clients translate (see i18n.js).
+
+const i18n = require('./i18n');
+
+const WAGER_STAKES = [1, 2, 3];
+
+// Scores are kept to two decimals so split awards don't drift
+function roundPoints(n) {
+  return Math.round(n * 100) / 100;
+}
+
+function explain(key, params) {
+  return { reason: i18n.translate(i18n.DEFAULT_LANGUAGE, key, params), key, params };
+}
+
+function matchGuesses(turn) {
+  return turn.answers.map(answer => {
+    const guessedId = turn.guesses.get(answer.id) || null;
+    return { answer, guessedId, correct: guessedId === answer.playerId };
+  });
+}
+
+function spottedEntries(turn, matches) {
+  return matches.filter(m => m.correct).map(m => ({
+    playerId: turn.guesserId,
+    points: turn.settings.pointsPerCorrect,
+    ...explain('points.spotted', { name: turn.nameOf(m.answer.playerId) }),
+  }));
+}
+
+// Top-voted answers in a category. Everyone tied for first shares the
+// bonus equally instead of the first one counted taking it all.
+function splitVotes(turn) {
+  const entries = [];
+  for (const category of ['best', 'funniest']) {
+    let max = 0;
+    for (const count of turn.votes[category].values()) max = Math.max(max, count);
+    if (max <= 0) continue;
+
+    // Audience votes are fractional, so compare with a little slack
+    const winners = [...turn.votes[category]]
+      .filter(([, count]) => Math.abs(count - max) < 1e-9)
+      .map(([answerId]) => turn.answers.find(a => a.id === answerId))
+      .filter(Boolean);
+    const points = roundPoints(turn.settings.bonusPoints / winners.length);
+    for (const answer of winners) {
+      entries.push({
+        playerId: answer.playerId,
+        points,
+        ...(winners.length > 1
+          ? explain(`points.${category}Tied`, { ways: winners.length })
+          : explain(`points.${category}`)),
+        category,
+        answerId: answer.id,
+      });
+    }
+  }
+  return entries;
+}
+
+const classic = {
+  id: 'classic',
+  name: 'Classic',
+  description: 'The guesser scores for every answer they match',
+  scoreGuesses(turn) {
+    return spottedEntries(turn, matchGuesses(turn));
+  },
+};
+
+const stayHidden = {
+  id: 'stay-hidden',
+  name: 'Stay Hidden',
+  description: "Answerers score too — for every guess that doesn't find them",
+  scoreGuesses(turn) {
+    const matches = matchGuesses(turn);
+    const hidden = matches.filter(m => !m.correct).map(m => ({
+      playerId: m.answer.playerId,
+      points: turn.settings.pointsPerCorrect,
+      ...explain('points.stayedHidden', { name: turn.nameOf(turn.guesserId) }),
+    }));
+    return [...spottedEntries(turn, matches), ...hidden];
+  },
+};
+
+const partialCredit = {
+  id: 'partial-credit',
+  name: 'Partial Credit',
+  description: 'Mixing up two players still earns half points for each',
+  scoreGuesses(turn) {
+    const matches = matchGuesses(turn);
+    const byAuthor = new Map(matches.map(m => [m.answer.playerId, m]));
+    // A swap: A's answer was pinned on B and B's answer on A
+    const swapped = matches.filter(m => {
+      if (m.correct || !m.guessedId) return false;
+      return byAuthor.get(m.guessedId)?.guessedId === m.answer.playerId;
+    }).map(m => ({
+      playerId: turn.guesserId,
+      points: roundPoints(turn.settings.pointsPerCorrect / 2),
+      ...explain('points.swapped', { name: turn.nameOf(m.answer.playerId), other: turn.nameOf(m.guessedId) }),
+    }));
+    return [...spottedEntries(turn, matches), ...swapped];
+  },
+};
+
+const wager = {
+  id: 'wager',
+  name: 'Confidence Wager',
+  description: 'The guesser bets 1–3× on each match: win it or lose it',
+  guessingInfo() {
+    return { stakes: WAGER_STAKES };
+  },
+  readGuesses(raw, turn) {
+    const wagers = {};
+    for (const answer of turn.answers) {
+      const stake = raw?.wagers?.[answer.id];
+      wagers[answer.id] = WAGER_STAKES.includes(stake) ? stake : WAGER_STAKES[0];
+    }
+    return { wagers };
+  },
+  scoreGuesses(turn) {
+    return matchGuesses(turn).map(m => {
+      const stake = turn.extras?.wagers?.[m.answer.id] || WAGER_STAKES[0];
+      const points = stake * turn.settings.pointsPerCorrect;
+      if (m.correct) return { playerId: turn.guesserId, points, ...explain('points.wonBet', { stake, name: turn.nameOf(m.guessedId) }) };
+      return m.guessedId
+        ? { playerId: turn.guesserId, points: -points, ...explain('points.lostBet', { stake, name: turn.nameOf(m.guessedId) }) }
+        : { playerId: turn.guesserId, points: -points, ...explain('points.lostBetOnNobody', { stake }) };
+    });
+  },
+};
+
+const MODES = new Map([classic, stayHidden, partialCredit, wager].map(m => [m.id, m]));
+const DEFAULT_MODE = classic.id;
+
+function isKnownMode(id) {
+  return MODES.has(id);
+}
+
+// Always returns a complete mode: unknown ids fall back to classic and
+// missing hooks get the shared defaults
+function getMode(id) {
+  const mode = MODES.get(id) || classic;
+  return {
+    guessingInfo: () => ({}),
+    readGuesses: () => null,
+    scoreVotes: splitVotes,
+    ...mode,
+  };
+}
+
+function listModes() {
+  return [...MODES.values()].map(({ id, name, description }) => ({ id, name, description }));
+}
+
+module.exports = { DEFAULT_MODE, isKnownMode, getMode, listModes, roundPoints };
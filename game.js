@@ -0,0 +1,2444 @@
+const crypto = require('crypto');
+const { createMemoryStore } = require('./storage');
+const questionBank = require('./question-bank');
+const { sanitizeDrawing } = require('./drawing');
+const gameModes = require('./game-modes');
+const protocol = require('./protocol');
+const history = require('./history');
+const { createProfiles, profileIdFor } = require('./profiles');
+const wordFilter = require('./word-filter');
+const bots = require('./bots');
+const i18n = require('./i18n');
+const { createConsoleLogger } = require('./logger');
+
+// ─── CONFIG ────────────────────────────────────────────────────────
+// How long a lobby with nobody connected is kept around so players can rejoin
+const EMPTY_LOBBY_GRACE_MS = 2 * 60 * 1000;
+// Time a disconnected guesser gets to come back before their turn moves on
+const GUESSER_GRACE_SECONDS = 15;
+// Pace of the automatic reveal while the guesser is away
+const AUTO_REVEAL_SECONDS = 5;
+// What the host's "+30s" button adds to the running timer
+const EXTEND_SECONDS = 30;
+// How much longer a phase's timer runs when someone playing in it has
+// asked for extra time (set_extra_time)
+const EXTRA_TIME_FACTOR = 1.5;
+// Minimum time left on a restored timer, so players can reconnect after a restart
+const RESTORE_GRACE_SECONDS = 10;
+// Games each lobby keeps for /lobby/CODE/history, oldest dropped first
+const MAX_GAMES_KEPT = 5;
+// Seats per lobby. Team games go further: each team answers and is
+// guessed as one, so a turn takes no longer than with a handful of players.
+const MAX_PLAYERS = 10;
+const MAX_TEAM_PLAYERS = 30;
+const MAX_TEAM_SIZE = 3;
+// Chat messages each player may send per window, so nobody floods the lobby
+const CHAT_LIMIT = 5;
+const CHAT_WINDOW_MS = 10 * 1000;
+// The message rate on /metrics is averaged over this many seconds
+const RATE_WINDOW_SECONDS = 60;
+// How often lobbies are checked for going idle
+const IDLE_SWEEP_MS = 60 * 1000;
+// The window lobbiesPerAddress counts over
+const LOBBY_CREATE_WINDOW_MS = 10 * 60 * 1000;
+// How long a bot takes over each move, picked at random from this range.
+// It stays under the shortest phase timer, so bots never hold a phase up.
+const BOT_THINK_SECONDS = [2, 8];
+// Pace of a bot guesser's reveal
+const BOT_REVEAL_SECONDS = 4;
+
+// Abuse limits. Each can be overridden with createGame({ limits });
+// server.js reads them from the environment.
+const DEFAULT_LIMITS = {
+  maxLobbies: 500,          // lobbies at once; create_lobby is turned away beyond it
+  lobbiesPerAddress: 5,     // lobbies one address may create per LOBBY_CREATE_WINDOW_MS
+  idleLobbyMinutes: 30,     // a lobby nobody has sent anything to for this long is closed (0: never)
+};
+const TEAM_NAMES = [
+  'Team Fox', 'Team Owl', 'Team Otter', 'Team Badger', 'Team Panda',
+  'Team Koala', 'Team Llama', 'Team Raven', 'Team Gecko', 'Team Bison',
+  'Team Lynx', 'Team Moose', 'Team Walrus', 'Team Penguin', 'Team Hedgehog',
+];
+
+const DEFAULT_SETTINGS = {
+  rounds: 3,             // 1-5
+  timerQuestion: 60,     // 15-180
+  timerAnswer: 60,       // 15-180
+  timerPerPlayer: 30,    // 10-60
+  timerVoting: 20,       // 10-60
+  relaxed: false,        // no phase timers: phases end when everyone's done (or the host skips)
+  pointsPerCorrect: 1,   // 1, 1.5, 2
+  bonusEnabled: true,     // true/false
+  bonusPoints: 1,         // 0.5, 1, 1.5
+  audienceVoteWeight: 1,  // 0 (off), 1, 2 — spectators' votes count as this many player votes in total
+  answerMode: 'text',     // 'text', 'drawing', or 'mixed' (guesser picks per question)
+  scoringMode: gameModes.DEFAULT_MODE, // how turns are scored, see game-modes.js
+  questionPacks: ['icebreakers', 'hypotheticals', 'work-safe'], // ids from questions/ (+ 'custom')
+  visibility: 'private',  // 'public' lobbies are listed at /lobbies for anyone to join
+  wordFilter: true,       // mask rude words in names, questions and answers
+  filterWords: [],        // extra words this lobby wants masked (see word-filter.js)
+  teamMode: false,        // players answer and guess in teams (see SEATS)
+  teamSize: 2,            // 2 or 3 — how big shuffled teams are
+  botDifficulty: bots.DEFAULT_DIFFICULTY,   // 'easy', 'medium' or 'hard' (see bots.js)
+  botPersonality: bots.DEFAULT_PERSONALITY, // 'mixed' gives each bot its own; or one for all of them
+  music: false,           // background music during the game; the host can flip it mid-game (set_music)
+};
+
+// Asked when the guesser runs out of time and no enabled pack has a
+// question. Phase messages flag it with its key, so it's shown translated.
+// It's looked up when asked, by which time the server has loaded the
+// catalogs with its own logger.
+const FALLBACK_QUESTION_KEY = 'question.fallback';
+const fallbackQuestion = () => i18n.translate(i18n.DEFAULT_LANGUAGE, FALLBACK_QUESTION_KEY);
+
+// ─── CLOCK ─────────────────────────────────────────────────────────
+// Every timer in the game goes through a clock like this one, so tests can
+// swap in a fake and fast-forward through a whole game.
+const systemClock = {
+  now: () => Date.now(),
+  setTimeout: (fn, ms) => setTimeout(fn, ms),
+  clearTimeout: (handle) => clearTimeout(handle),
+};
+
+// ─── LOBBY HELPERS ─────────────────────────────────────────────────
+function generateToken() {
+  return crypto.randomBytes(16).toString('hex');
+}
+
+function sanitizeSettings(raw) {
+  const s = { ...DEFAULT_SETTINGS, questionPacks: [...DEFAULT_SETTINGS.questionPacks], filterWords: [] };
+  if (raw) {
+    if (typeof raw.rounds === 'number') s.rounds = Math.min(5, Math.max(1, Math.round(raw.rounds)));
+    if (typeof raw.timerQuestion === 'number') s.timerQuestion = Math.min(180, Math.max(15, Math.round(raw.timerQuestion)));
+    if (typeof raw.timerAnswer === 'number') s.timerAnswer = Math.min(180, Math.max(15, Math.round(raw.timerAnswer)));
+    if (typeof raw.timerPerPlayer === 'number') s.timerPerPlayer = Math.min(60, Math.max(10, Math.round(raw.timerPerPlayer)));
+    if (typeof raw.timerVoting === 'number') s.timerVoting = Math.min(60, Math.max(10, Math.round(raw.timerVoting)));
+    if (typeof raw.relaxed === 'boolean') s.relaxed = raw.relaxed;
+    if ([1, 1.5, 2].includes(raw.pointsPerCorrect)) s.pointsPerCorrect = raw.pointsPerCorrect;
+    if (typeof raw.bonusEnabled === 'boolean') s.bonusEnabled = raw.bonusEnabled;
+    if ([0.5, 1, 1.5].includes(raw.bonusPoints)) s.bonusPoints = raw.bonusPoints;
+    if ([0, 1, 2].includes(raw.audienceVoteWeight)) s.audienceVoteWeight = raw.audienceVoteWeight;
+    if (['text', 'drawing', 'mixed'].includes(raw.answerMode)) s.answerMode = raw.answerMode;
+    if (gameModes.isKnownMode(raw.scoringMode)) s.scoringMode = raw.scoringMode;
+    if (['private', 'public'].includes(raw.visibility)) s.visibility = raw.visibility;
+    if (Array.isArray(raw.questionPacks)) {
+      s.questionPacks = [...new Set(raw.questionPacks.filter(id => questionBank.isKnownPack(id)))];
+    }
+    if (typeof raw.wordFilter === 'boolean') s.wordFilter = raw.wordFilter;
+    if (Array.isArray(raw.filterWords)) s.filterWords = wordFilter.normalizeWords(raw.filterWords);
+    if (typeof raw.teamMode === 'boolean') s.teamMode = raw.teamMode;
+    if ([2, 3].includes(raw.teamSize)) s.teamSize = raw.teamSize;
+    if (bots.isKnownDifficulty(raw.botDifficulty)) s.botDifficulty = raw.botDifficulty;
+    if (bots.isKnownPersonality(raw.botPersonality)) s.botPersonality = raw.botPersonality;
+    if (typeof raw.music === 'boolean') s.music = raw.music;
+  }
+  return s;
+}
+
+// Masks the lobby's filtered words in text a player sent in. Each settings
+// object gets its filter built once; update_settings swaps in a new one.
+const wordFilters = new WeakMap();
+
+function cleanText(settings, text) {
+  if (!settings.wordFilter) return text;
+  if (!wordFilters.has(settings)) {
+    wordFilters.set(settings, wordFilter.createWordFilter([...wordFilter.DEFAULT_WORDS, ...settings.filterWords]));
+  }
+  return wordFilters.get(settings)(text);
+}
+
+// Lobby passwords are only ever kept hashed, salted with the lobby code
+function hashPassword(code, password) {
+  return crypto.createHash('sha256').update(`${code}:${password}`).digest('hex');
+}
+
+function checkPassword(lobby, password) {
+  const given = Buffer.from(hashPassword(lobby.code, password), 'hex');
+  return crypto.timingSafeEqual(given, Buffer.from(lobby.passwordHash, 'hex'));
+}
+
+function createPlayer(id, name, profileId = null) {
+  return { id, name, score: 0, connected: true, token: generateToken(), profileId };
+}
+
+// Bots are seated like players but have no socket, session or profile
+function createBot(id, name, personality) {
+  return { ...createPlayer(id, name), token: null, bot: true, personality };
+}
+
+// Whether anyone real is here. Bots never keep a lobby open on their own.
+function hasHumans(lobby) {
+  return lobby.players.some(p => p.connected && !p.bot);
+}
+
+function maxPlayers(lobby) {
+  return lobby.settings.teamMode ? MAX_TEAM_PLAYERS : MAX_PLAYERS;
+}
+
+// ─── SEATS ─────────────────────────────────────────────────────────
+// A seat is whoever takes turns guessing, answers and scores: a player, or
+// in team mode a team { id, name, score, playerIds }. guesserOrder, answers,
+// guesses and point entries are all keyed by seat id, so the turn logic and
+// the game modes play the same either way. A team counts as connected while
+// any member is, and has left once every member has.
+function getSeats(lobby) {
+  return lobby.settings.teamMode ? lobby.teams : lobby.players;
+}
+
+function findSeat(lobby, id) {
+  return getSeats(lobby).find(s => s.id === id);
+}
+
+function seatOf(lobby, playerId) {
+  return lobby.settings.teamMode
+    ? lobby.teams.find(t => t.playerIds.includes(playerId))
+    : lobby.players.find(p => p.id === playerId);
+}
+
+function membersOf(lobby, seat) {
+  return seat.playerIds ? lobby.players.filter(p => seat.playerIds.includes(p.id)) : [seat];
+}
+
+function isConnected(lobby, seat) {
+  return membersOf(lobby, seat).some(p => p.connected);
+}
+
+function hasLeft(lobby, seat) {
+  return membersOf(lobby, seat).every(p => p.left);
+}
+
+// Late joiners sit out the turn they arrive in; a team only does if all of it is new
+function isWaiting(lobby, seat) {
+  const present = membersOf(lobby, seat).filter(p => !p.left);
+  return present.length > 0 && present.every(p => p.waiting);
+}
+
+// A seat as clients see it. Teams list their members, so each player can
+// tell when it's their team's turn.
+function seatInfo(lobby, seat) {
+  const info = { id: seat.id, name: seat.name };
+  if (seat.playerIds) info.members = membersOf(lobby, seat).map(p => ({ id: p.id, name: p.name }));
+  return info;
+}
+
+function getGuesser(lobby) {
+  return findSeat(lobby, lobby.guesserOrder[lobby.currentGuesserIdx]);
+}
+
+function isGuesserConnected(lobby) {
+  const guesser = getGuesser(lobby);
+  return !!guesser && isConnected(lobby, guesser);
+}
+
+// Every seat answering this turn. Late joiners sit the turn out, and seats
+// that left only count while their answer is still in play.
+function getAnswerers(lobby) {
+  const guesserId = lobby.guesserOrder[lobby.currentGuesserIdx];
+  return getSeats(lobby).filter(s => s.id !== guesserId && !isWaiting(lobby, s)
+    && (!hasLeft(lobby, s) || lobby.answers.has(s.id)));
+}
+
+// The seats behind the answers: who the guesser picks from. An answerer
+// who was away when time ran out has nothing to be matched with and isn't
+// one of them. Whoever wrote an answer the host pulled still is, so the
+// list doesn't give away whose it was; matching them is just a miss.
+function getAuthors(lobby) {
+  const authorIds = new Set([...lobby.shuffledAnswers.map(a => a.playerId), ...lobby.pulledAuthors]);
+  return getSeats(lobby).filter(s => authorIds.has(s.id));
+}
+
+// Rounds are passes through the players. They start out equal, but grow
+// and shrink as players join or leave mid-game, so each one's length is
+// kept in roundSizes.
+function getRoundNumber(lobby) {
+  let end = 0;
+  for (let r = 0; r < lobby.roundSizes.length; r++) {
+    end += lobby.roundSizes[r];
+    if (lobby.currentGuesserIdx < end) return r + 1;
+  }
+  return lobby.roundSizes.length;
+}
+
+function getScoreboard(lobby) {
+  return getSeats(lobby).map(s => ({ ...seatInfo(lobby, s), score: s.score }))
+    .sort((a, b) => b.score - a.score);
+}
+
+// An answer as everyone sees it: no author. Drawings ride along only when
+// there is one, so text games stay as lean as before.
+function publicAnswer(answer) {
+  const pub = { id: answer.id, text: answer.text };
+  if (answer.drawing) pub.drawing = answer.drawing;
+  return pub;
+}
+
+// Each player vote counts 1. The audience as a whole is worth
+// `audienceVoteWeight` votes, split across answers by how spectators voted,
+// so a crowd of viewers can sway a close call without drowning out players.
+function countVotes(lobby, category) {
+  const counts = new Map();
+  for (const [, answerId] of lobby.votes[category]) {
+    counts.set(answerId, (counts.get(answerId) || 0) + 1);
+  }
+  const audience = lobby.audienceVotes[category];
+  const weight = lobby.settings.audienceVoteWeight;
+  if (weight > 0 && audience.size > 0) {
+    for (const [, answerId] of audience) {
+      counts.set(answerId, (counts.get(answerId) || 0) + weight / audience.size);
+    }
+  }
+  return counts;
+}
+
+// How an answer has been reacted to, as { emoji: count }. Who reacted
+// never leaves the server.
+function reactionCounts(lobby, answerId) {
+  const counts = {};
+  for (const [emoji, ids] of Object.entries(lobby.reactions[answerId] || {})) {
+    if (ids.length) counts[emoji] = ids.length;
+  }
+  return counts;
+}
+
+function countReactions(counts) {
+  return Object.values(counts).reduce((sum, n) => sum + n, 0);
+}
+
+// The answer with the most reactions this turn (the first revealed wins a
+// tie), or null if nobody reacted
+function findCrowdFavorite(lobby) {
+  let favorite = null;
+  for (const answer of lobby.shuffledAnswers) {
+    const counts = reactionCounts(lobby, answer.id);
+    const total = countReactions(counts);
+    if (total > 0 && (!favorite || total > favorite.total)) favorite = { answer, counts, total };
+  }
+  if (!favorite) return null;
+  return {
+    text: favorite.answer.text,
+    drawing: favorite.answer.drawing || null,
+    player: findSeat(lobby, favorite.answer.playerId)?.name || '???',
+    reactions: favorite.counts,
+  };
+}
+
+// ─── SNAPSHOTS ─────────────────────────────────────────────────────
+function serializeLobby(lobby) {
+  return {
+    version: 1,
+    code: lobby.code,
+    hostId: lobby.hostId,
+    players: lobby.players.map(({ id, name, score, token, profileId, waiting, left, bot, personality, extraTime }) => ({ id, name, score, token, profileId, waiting, left, bot, personality, extraTime })),
+    phase: lobby.phase,
+    settings: lobby.settings,
+    currentGuesserIdx: lobby.currentGuesserIdx,
+    guesserOrder: lobby.guesserOrder,
+    roundSizes: lobby.roundSizes,
+    teams: lobby.teams,
+    currentQuestion: lobby.currentQuestion,
+    currentAnswerMode: lobby.currentAnswerMode,
+    answers: [...lobby.answers],
+    revealIndex: lobby.revealIndex,
+    guesses: [...lobby.guesses],
+    guessExtras: lobby.guessExtras,
+    timerEnd: lobby.timerEnd,
+    timerSeconds: lobby.timerSeconds,
+    paused: lobby.paused,
+    pausedRemaining: lobby.pausedRemaining,
+    graceCut: lobby.graceCut,
+    votes: { best: [...lobby.votes.best], funniest: [...lobby.votes.funniest] },
+    audienceVotes: { best: [...lobby.audienceVotes.best], funniest: [...lobby.audienceVotes.funniest] },
+    shuffledAnswers: lobby.shuffledAnswers,
+    pulledAuthors: lobby.pulledAuthors,
+    reactions: lobby.reactions,
+    guessResults: lobby.guessResults,
+    turnPoints: lobby.turnPoints,
+    customPack: lobby.customPack,
+    usedQuestions: [...lobby.usedQuestions],
+    games: lobby.games,
+    locked: lobby.locked,
+    bannedProfiles: [...lobby.bannedProfiles],
+    passwordHash: lobby.passwordHash,
+    createdAt: lobby.createdAt,
+    lastActivity: lobby.lastActivity,
+  };
+}
+
+function deserializeLobby(data) {
+  return {
+    ...data,
+    players: data.players.map(p => ({ ...p, connected: !!p.bot })),
+    settings: sanitizeSettings(data.settings),
+    // Older snapshots predate mid-game joins, when every round was one full pass
+    roundSizes: data.roundSizes
+      || (data.guesserOrder.length ? Array(data.settings.rounds).fill(data.players.length) : []),
+    teams: data.teams || [],
+    answers: new Map(data.answers),
+    guesses: new Map(data.guesses),
+    guessExtras: data.guessExtras || null,
+    turnPoints: data.turnPoints || [],
+    votes: { best: new Map(data.votes.best), funniest: new Map(data.votes.funniest) },
+    audienceVotes: { best: new Map(data.audienceVotes.best), funniest: new Map(data.audienceVotes.funniest) },
+    pulledAuthors: data.pulledAuthors || [],
+    reactions: data.reactions || {},
+    usedQuestions: new Set(data.usedQuestions),
+    games: data.games || [],
+    locked: !!data.locked,
+    bannedProfiles: new Set(data.bannedProfiles),
+    passwordHash: data.passwordHash || null,
+    paused: !!data.paused,
+    pausedRemaining: data.pausedRemaining ?? null,
+    graceCut: data.graceCut ?? null,
+    // Drafts are only kept while a turn is live, not across restarts
+    drafts: new Map(),
+    chatTimes: new Map(),
+    lastSuggestion: null,
+    timer: null,
+    timerCallback: null,
+    cleanupTimer: null,
+    botTimers: [],
+  };
+}
+
+// ─── GAME ENGINE ───────────────────────────────────────────────────
+// One game server's worth of lobbies. It knows nothing about sockets:
+// whoever hosts it (server.js, or a test) hands it connections, which are
+// any object with
+//
+//   send(data)   deliver a JSON string to the player (ignored once closed)
+//   close()      drop the connection
+//   address      where it comes from, if known (for lobbiesPerAddress)
+//
+// and forwards their messages and disconnects. Options:
+//
+//   store    where lobbies are saved between restarts (see storage.js)
+//   clock    { now, setTimeout, clearTimeout } — defaults to the real one
+//   random   () → [0, 1), used for lobby codes, ids and every shuffle
+//   log      { info, error } — defaults to the console (see logger.js)
+//   profiles player profiles and lifetime stats (see profiles.js)
+//   limits   overrides for DEFAULT_LIMITS
+function createGame({
+  store = createMemoryStore(),
+  clock = systemClock,
+  random = Math.random,
+  log = createConsoleLogger(),
+  profiles = createProfiles(createMemoryStore(), { log }),
+  limits: limitOverrides,
+} = {}) {
+  const limits = { ...DEFAULT_LIMITS, ...limitOverrides };
+  const lobbies = new Map();
+  // Live connections: conn → { id, lobbyCode, name, spectator?, display? }
+  const clients = new Map();
+
+  function generateLobbyCode() {
+    const chars = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+    let code = '';
+    for (let i = 0; i < 5; i++) code += chars[Math.floor(random() * chars.length)];
+    return lobbies.has(code) ? generateLobbyCode() : code;
+  }
+
+  function generateId() {
+    let id = '';
+    for (let i = 0; i < 16; i++) id += Math.floor(random() * 16).toString(16);
+    return id;
+  }
+
+  function shuffleArray(arr) {
+    const a = [...arr];
+    for (let i = a.length - 1; i > 0; i--) {
+      const j = Math.floor(random() * (i + 1));
+      [a[i], a[j]] = [a[j], a[i]];
+    }
+    return a;
+  }
+
+  function createLobby(host) {
+    const code = generateLobbyCode();
+    const lobby = {
+      code,
+      hostId: host.id,
+      players: [host],
+      phase: 'lobby',
+      settings: sanitizeSettings(),
+      currentGuesserIdx: 0,
+      guesserOrder: [],
+      roundSizes: [],
+      teams: [],
+      currentQuestion: '',
+      currentAnswerMode: 'text',
+      answers: new Map(),
+      // Seat id → what a team is working on: { text } while answering,
+      // { guesses, wagers } while guessing, plus who last changed it
+      drafts: new Map(),
+      revealIndex: 0,
+      guesses: new Map(),
+      guessExtras: null,
+      timer: null,
+      timerEnd: null,
+      timerSeconds: 0,
+      timerCallback: null,
+      // While the host has the game paused, the running timer's time left
+      // (ms) is kept here instead, or null if no timer was running
+      paused: false,
+      pausedRemaining: null,
+      // Time the guesser's grace period took off the phase clock
+      graceCut: null,
+      votes: { best: new Map(), funniest: new Map() },
+      audienceVotes: { best: new Map(), funniest: new Map() },
+      shuffledAnswers: [],
+      // Seats whose answer the host pulled this turn (see rejectAnswer)
+      pulledAuthors: [],
+      // Answer id → { emoji: [ids of who reacted] }, for the current turn
+      reactions: {},
+      // Player id → when they last chatted, for the rate limit
+      chatTimes: new Map(),
+      guessResults: null,
+      turnPoints: [],
+      cleanupTimer: null,
+      // The bots' think timers for the current phase (see BOTS)
+      botTimers: [],
+      customPack: null,
+      usedQuestions: new Set(),
+      lastSuggestion: null,
+      games: [],
+      locked: false,
+      bannedProfiles: new Set(),
+      passwordHash: null,
+      createdAt: clock.now(),
+      // When a player last sent anything, for the admin dashboard
+      lastActivity: clock.now(),
+    };
+    lobbies.set(code, lobby);
+    scheduleIdleSweep();
+    return lobby;
+  }
+
+  // ─── TIMER HELPERS ─────────────────────────────────────────────────
+  // `total` is the timer's full length, for clients' progress bars, when
+  // it's picking up partway through (after a pause or an extension).
+  // Timers started while the game is paused wait, frozen, for the resume.
+  function startTimer(lobby, seconds, callback, total = seconds) {
+    clearTimer(lobby);
+    lobby.timerSeconds = total;
+    if (lobby.paused) {
+      lobby.pausedRemaining = seconds * 1000;
+      broadcastToLobby(lobby, { type: 'timer', seconds: total, endsAt: null, remaining: lobby.pausedRemaining });
+      persistLobby(lobby);
+      return;
+    }
+    lobby.timerEnd = clock.now() + seconds * 1000;
+    lobby.timerCallback = callback;
+    lobby.timer = clock.setTimeout(() => {
+      lobby.timer = null;
+      lobby.timerEnd = null;
+      lobby.timerCallback = null;
+      callback();
+    }, seconds * 1000);
+    broadcastToLobby(lobby, { type: 'timer', seconds: total, endsAt: lobby.timerEnd });
+    persistLobby(lobby);
+  }
+
+  // A phase's own clock. Relaxed lobbies don't have one: the phase lasts
+  // until everyone's done or the host skips it. `seats` are the ones with
+  // a move to make; if any of their players asked for extra time, the
+  // timer stretches by EXTRA_TIME_FACTOR.
+  function startPhaseTimer(lobby, seconds, callback, seats) {
+    lobby.graceCut = null;
+    if (lobby.settings.relaxed) return clearTimer(lobby);
+    const extra = seats.some(s => membersOf(lobby, s).some(p => p.extraTime && p.connected));
+    startTimer(lobby, extra ? Math.round(seconds * EXTRA_TIME_FACTOR) : seconds, callback);
+  }
+
+  function clearTimer(lobby) {
+    lobby.pausedRemaining = null;
+    if (lobby.timer) {
+      clock.clearTimeout(lobby.timer);
+      lobby.timer = null;
+      lobby.timerEnd = null;
+      lobby.timerCallback = null;
+    }
+  }
+
+  // Cut the running timer down to `seconds` if it has longer than that left
+  function shortenTimer(lobby, seconds) {
+    if (lobby.paused) {
+      lobby.pausedRemaining = Math.min(lobby.pausedRemaining, seconds * 1000);
+      return;
+    }
+    if (!lobby.timer || lobby.timerEnd - clock.now() <= seconds * 1000) return;
+    startTimer(lobby, seconds, lobby.timerCallback);
+  }
+
+  function timeLeft(lobby) {
+    return lobby.paused ? lobby.pausedRemaining : lobby.timerEnd - clock.now();
+  }
+
+  // An absent guesser gets GUESSER_GRACE_SECONDS to come back. With no
+  // clock running (relaxed mode) one is started for them. The time the
+  // cut takes off the phase is kept in `graceCut` to give back if they do.
+  function startGuesserGrace(lobby) {
+    if (lobby.timer || lobby.pausedRemaining !== null) {
+      const before = timeLeft(lobby);
+      const seconds = lobby.graceCut ? lobby.graceCut.seconds : lobby.timerSeconds;
+      const cut = lobby.graceCut ? lobby.graceCut.ms : 0;
+      shortenTimer(lobby, GUESSER_GRACE_SECONDS);
+      lobby.graceCut = { ms: cut + before - timeLeft(lobby), seconds };
+    } else {
+      startTimer(lobby, GUESSER_GRACE_SECONDS, () => PHASE_TIMEOUTS[lobby.phase](lobby));
+    }
+  }
+
+  // The guesser made it back: the phase clock runs on from where the
+  // grace period cut it, less the time they were away.
+  function restoreGuesserTime(lobby) {
+    const { ms, seconds } = lobby.graceCut;
+    lobby.graceCut = null;
+    if (lobby.paused) {
+      lobby.pausedRemaining += ms;
+      lobby.timerSeconds = seconds;
+      broadcastToLobby(lobby, { type: 'timer', seconds, endsAt: null, remaining: lobby.pausedRemaining });
+      persistLobby(lobby);
+    } else if (lobby.timer) {
+      startTimer(lobby, (timeLeft(lobby) + ms) / 1000, lobby.timerCallback, seconds);
+    }
+  }
+
+  // ─── PHASE TRANSITIONS ─────────────────────────────────────────────
+  function startGame(lobby) {
+    const seatIds = getSeats(lobby).map(s => s.id);
+    lobby.guesserOrder = [];
+    lobby.roundSizes = [];
+    for (let r = 0; r < lobby.settings.rounds; r++) {
+      lobby.guesserOrder.push(...shuffleArray(seatIds));
+      lobby.roundSizes.push(seatIds.length);
+    }
+    lobby.currentGuesserIdx = 0;
+    lobby.paused = false;
+    lobby.players.forEach(p => p.score = 0);
+    lobby.teams.forEach(t => t.score = 0);
+    startGameRecord(lobby);
+    counters.gamesStarted++;
+    startQuestionPhase(lobby);
+  }
+
+  function startQuestionPhase(lobby) {
+    // Pass over guessers who aren't here. If nobody is connected at all, hold
+    // the turn instead so a room-wide blip doesn't burn through the game.
+    if (hasHumans(lobby)) {
+      while (lobby.currentGuesserIdx < lobby.guesserOrder.length && !isGuesserConnected(lobby)) {
+        announceTurnSkipped(lobby);
+        lobby.currentGuesserIdx++;
+      }
+      if (lobby.currentGuesserIdx >= lobby.guesserOrder.length) return endGame(lobby);
+    }
+
+    lobby.phase = 'question';
+    lobby.currentQuestion = '';
+    // Anyone who joined during the last turn plays from this one on
+    lobby.players.forEach(p => { p.waiting = false; });
+    // Mixed mode starts each question as text until the guesser picks otherwise
+    lobby.currentAnswerMode = lobby.settings.answerMode === 'drawing' ? 'drawing' : 'text';
+    lobby.answers = new Map();
+    lobby.drafts = new Map();
+    lobby.guesses = new Map();
+    lobby.guessExtras = null;
+    lobby.votes = { best: new Map(), funniest: new Map() };
+    lobby.audienceVotes = { best: new Map(), funniest: new Map() };
+    lobby.shuffledAnswers = [];
+    lobby.pulledAuthors = [];
+    lobby.revealIndex = 0;
+    lobby.guessResults = null;
+    lobby.turnPoints = [];
+
+    broadcastPhase(lobby);
+
+    startPhaseTimer(lobby, lobby.settings.timerQuestion, () => onQuestionTimeout(lobby), [getGuesser(lobby)]);
+  }
+
+  function onQuestionTimeout(lobby) {
+    if (!lobby.currentQuestion && !isGuesserConnected(lobby)) {
+      announceTurnSkipped(lobby);
+      return nextTurn(lobby);
+    }
+    if (!lobby.currentQuestion) {
+      // A drawn question may be from the host's own pack, so it's filtered
+      // like one the guesser typed
+      const drawn = drawLobbyQuestion(lobby);
+      lobby.currentQuestion = drawn ? cleanText(lobby.settings, drawn) : fallbackQuestion();
+    }
+    startAnswerPhase(lobby);
+  }
+
+  function drawLobbyQuestion(lobby, exclude) {
+    return questionBank.drawQuestion({
+      packIds: lobby.settings.questionPacks,
+      customPack: lobby.customPack,
+      used: lobby.usedQuestions,
+      exclude,
+      random,
+    });
+  }
+
+  function startAnswerPhase(lobby) {
+    lobby.phase = 'answering';
+    lobby.usedQuestions.add(lobby.currentQuestion);
+    lobby.lastSuggestion = null;
+    broadcastPhase(lobby);
+
+    startPhaseTimer(lobby, lobby.settings.timerAnswer, () => onAnswerTimeout(lobby), getAnswerers(lobby));
+  }
+
+  function onAnswerTimeout(lobby) {
+    const answerers = getAnswerers(lobby).filter(s => isConnected(lobby, s));
+    answerers.forEach(s => {
+      if (!lobby.answers.has(s.id)) {
+        // A team that runs out of time goes with its draft
+        lobby.answers.set(s.id, { text: lobby.drafts.get(s.id)?.text.trim() || '...', drawing: null });
+      }
+    });
+    startRevealPhase(lobby);
+  }
+
+  function startRevealPhase(lobby) {
+    // An answer's playerId is its seat: the player, or their team
+    const entries = [];
+    for (const [playerId, { text, drawing }] of lobby.answers) {
+      entries.push({ id: generateId(), text, drawing, playerId });
+    }
+    lobby.shuffledAnswers = shuffleArray(entries);
+    lobby.reactions = {};
+    lobby.revealIndex = 0;
+    lobby.phase = 'reveal';
+
+    broadcastPhase(lobby);
+
+    sendRevealAnswer(lobby);
+    if (!isGuesserConnected(lobby)) scheduleAutoReveal(lobby);
+  }
+
+  function buildRevealMessage(lobby, index) {
+    const answer = lobby.shuffledAnswers[index];
+    return {
+      type: 'reveal_answer',
+      index,
+      total: lobby.shuffledAnswers.length,
+      answer: publicAnswer(answer),
+    };
+  }
+
+  function sendRevealAnswer(lobby) {
+    if (lobby.revealIndex < lobby.shuffledAnswers.length) {
+      broadcastToLobby(lobby, buildRevealMessage(lobby, lobby.revealIndex));
+    }
+  }
+
+  function advanceReveal(lobby) {
+    lobby.revealIndex++;
+    if (lobby.revealIndex >= lobby.shuffledAnswers.length) {
+      startGuessingPhase(lobby);
+    } else {
+      sendRevealAnswer(lobby);
+      persistLobby(lobby);
+    }
+  }
+
+  // Keeps the reveal moving on its own while the guesser is disconnected
+  function scheduleAutoReveal(lobby) {
+    startTimer(lobby, AUTO_REVEAL_SECONDS, () => onAutoRevealTimeout(lobby));
+  }
+
+  function onAutoRevealTimeout(lobby) {
+    advanceReveal(lobby);
+    if (lobby.phase === 'reveal' && !isGuesserConnected(lobby)) scheduleAutoReveal(lobby);
+  }
+
+  // The host pulled an answer that's already on screen. It leaves the turn
+  // as if it had never been written: nobody guesses it or votes for it.
+  // Its author stays on the guesser's list, so nobody learns who wrote it.
+  function rejectAnswer(lobby, index) {
+    const [answer] = lobby.shuffledAnswers.splice(index, 1);
+    lobby.answers.delete(answer.playerId);
+    lobby.pulledAuthors.push(answer.playerId);
+    delete lobby.reactions[answer.id];
+    log.info(`  🚫 Host removed an answer in lobby ${lobby.code}`, { lobby: lobby.code });
+    broadcastToLobby(lobby, { type: 'answer_rejected', answerId: answer.id, total: lobby.shuffledAnswers.length });
+
+    if (lobby.shuffledAnswers.length === 0) {
+      // Nothing left to guess or vote on
+      clearTimer(lobby);
+      announceTurnSkipped(lobby);
+      nextTurn(lobby);
+    } else if (index < lobby.revealIndex) {
+      lobby.revealIndex--;
+      persistLobby(lobby);
+    } else if (lobby.revealIndex >= lobby.shuffledAnswers.length) {
+      // It was the last one: the reveal is over
+      startGuessingPhase(lobby);
+    } else {
+      // The next answer takes its place on screen
+      sendRevealAnswer(lobby);
+      persistLobby(lobby);
+    }
+  }
+
+  function startGuessingPhase(lobby) {
+    lobby.phase = 'guessing';
+    broadcastPhase(lobby);
+
+    startPhaseTimer(lobby, lobby.settings.timerPerPlayer * getAuthors(lobby).length, () => onGuessTimeout(lobby), [getGuesser(lobby)]);
+    // An absent guesser only gets the usual grace period to come back
+    if (!isGuesserConnected(lobby)) startGuesserGrace(lobby);
+  }
+
+  // Out of time: a guessing team goes with the matches it was working on
+  function onGuessTimeout(lobby) {
+    const draft = lobby.drafts.get(getGuesser(lobby).id);
+    if (draft?.guesses) {
+      lobby.guesses = new Map(Object.entries(draft.guesses));
+      lobby.guessExtras = getLobbyMode(lobby).readGuesses(draft, buildTurn(lobby));
+    }
+    scoreGuesses(lobby);
+  }
+
+  function startVotingPhase(lobby) {
+    lobby.phase = 'voting';
+    broadcastPhase(lobby);
+
+    startPhaseTimer(lobby, lobby.settings.timerVoting, () => tallyVotes(lobby), getSeats(lobby));
+  }
+
+  // ─── ROTATION ──────────────────────────────────────────────────────
+  // guesserOrder can change mid-game. Turns already played never move; only
+  // the ones after the current turn are added to or taken away.
+
+  // A late joiner gets one turn in every round still to come, including the
+  // current one, each at a random point after the current turn
+  function addToRotation(lobby, player) {
+    let start = 0;
+    for (let r = 0; r < lobby.roundSizes.length; r++) {
+      const end = start + lobby.roundSizes[r];
+      if (end > lobby.currentGuesserIdx) {
+        const from = Math.max(start, lobby.currentGuesserIdx + 1);
+        lobby.guesserOrder.splice(from + Math.floor(random() * (end - from + 1)), 0, player.id);
+        lobby.roundSizes[r]++;
+        start = end + 1;
+      } else {
+        start = end;
+      }
+    }
+  }
+
+  function removeFromRotation(lobby, player) {
+    let start = 0;
+    for (let r = 0; r < lobby.roundSizes.length; r++) {
+      let end = start + lobby.roundSizes[r];
+      for (let i = end - 1; i >= Math.max(start, lobby.currentGuesserIdx + 1); i--) {
+        if (lobby.guesserOrder[i] !== player.id) continue;
+        lobby.guesserOrder.splice(i, 1);
+        lobby.roundSizes[r]--;
+        end--;
+      }
+      start = end;
+    }
+  }
+
+  // ─── TEAMS ─────────────────────────────────────────────────────────
+  // Teams are dealt when team mode is switched on (or the host reshuffles),
+  // newcomers go on the smallest team with room, and before a game the host
+  // can move anyone between teams.
+  function createTeam(lobby) {
+    const taken = new Set(lobby.teams.map(t => t.name));
+    const name = TEAM_NAMES.find(n => !taken.has(n)) || `Team ${lobby.teams.length + 1}`;
+    const team = { id: generateId(), name, score: 0, playerIds: [] };
+    lobby.teams.push(team);
+    return team;
+  }
+
+  // Deals everyone into teams of teamSize. An odd one out joins a team
+  // rather than playing alone.
+  function shuffleTeams(lobby) {
+    const players = shuffleArray(lobby.players.filter(p => !p.left));
+    const count = Math.max(1, lobby.settings.teamSize === 2
+      ? Math.floor(players.length / 2)
+      : Math.ceil(players.length / 3));
+    lobby.teams = [];
+    for (let i = 0; i < count; i++) createTeam(lobby);
+    players.forEach((p, i) => lobby.teams[i % count].playerIds.push(p.id));
+  }
+
+  function placeInTeam(lobby, player) {
+    const seated = (team) => membersOf(lobby, team).filter(p => !p.left).length;
+    const open = lobby.teams
+      .filter(t => seated(t) > 0 && seated(t) < lobby.settings.teamSize)
+      .sort((a, b) => seated(a) - seated(b))[0];
+    const team = open || createTeam(lobby);
+    team.playerIds.push(player.id);
+    return team;
+  }
+
+  // Drops players who are no longer in the lobby, and any team left empty
+  function tidyTeams(lobby) {
+    const ids = new Set(lobby.players.map(p => p.id));
+    lobby.teams.forEach(t => { t.playerIds = t.playerIds.filter(id => ids.has(id)); });
+    lobby.teams = lobby.teams.filter(t => t.playerIds.length > 0);
+  }
+
+  // ─── SCORING ───────────────────────────────────────────────────────
+  // The lobby's game mode (game-modes.js) decides who gets points; the
+  // server only hands it a snapshot of the turn and applies what comes back.
+  function getLobbyMode(lobby) {
+    return gameModes.getMode(lobby.settings.scoringMode);
+  }
+
+  function buildTurn(lobby) {
+    return {
+      guesserId: lobby.guesserOrder[lobby.currentGuesserIdx],
+      answers: lobby.shuffledAnswers.map(a => ({ id: a.id, playerId: a.playerId })),
+      guesses: lobby.guesses,
+      extras: lobby.guessExtras,
+      votes: { best: countVotes(lobby, 'best'), funniest: countVotes(lobby, 'funniest') },
+      settings: lobby.settings,
+      nameOf: (id) => findSeat(lobby, id)?.name || '???',
+    };
+  }
+
+  // Applies point entries to the scoreboard and keeps them for the results
+  // breakdown. Entries for players who have since left are dropped.
+  function awardPoints(lobby, entries) {
+    for (const entry of entries) {
+      const seat = findSeat(lobby, entry.playerId);
+      if (!seat || !entry.points) continue;
+      seat.score = gameModes.roundPoints(seat.score + entry.points);
+      lobby.turnPoints.push(entry);
+    }
+  }
+
+  function tallyVotes(lobby) {
+    awardPoints(lobby, getLobbyMode(lobby).scoreVotes(buildTurn(lobby)));
+    showResults(lobby);
+  }
+
+  function scoreGuesses(lobby) {
+    let correct = 0;
+    const results = [];
+
+    for (const answer of lobby.shuffledAnswers) {
+      const guessedPlayerId = lobby.guesses.get(answer.id);
+      const actualPlayer = findSeat(lobby, answer.playerId);
+      const guessedPlayer = findSeat(lobby, guessedPlayerId);
+      const isCorrect = guessedPlayerId === answer.playerId;
+      if (isCorrect) correct++;
+
+      results.push({
+        answerId: answer.id,
+        answerText: answer.text,
+        answerDrawing: answer.drawing || null,
+        actualPlayer: { id: actualPlayer.id, name: actualPlayer.name },
+        guessedPlayer: guessedPlayer ? { id: guessedPlayer.id, name: guessedPlayer.name } : null,
+        correct: isCorrect,
+        stake: lobby.guessExtras?.wagers?.[answer.id],
+      });
+    }
+
+    awardPoints(lobby, getLobbyMode(lobby).scoreGuesses(buildTurn(lobby)));
+    lobby.guessResults = { correct, total: lobby.shuffledAnswers.length, results };
+
+    // If bonus voting is off, skip straight to results
+    if (!lobby.settings.bonusEnabled) {
+      showResults(lobby);
+    } else {
+      startVotingPhase(lobby);
+    }
+  }
+
+  function showResults(lobby) {
+    recordTurn(lobby);
+    lobby.phase = 'results';
+    broadcastPhase(lobby);
+  }
+
+  function nextTurn(lobby) {
+    lobby.currentGuesserIdx++;
+    if (lobby.currentGuesserIdx >= lobby.guesserOrder.length) {
+      endGame(lobby);
+    } else {
+      startQuestionPhase(lobby);
+    }
+  }
+
+  function endGame(lobby) {
+    clearTimer(lobby);
+    lobby.paused = false;
+    const game = currentGameRecord(lobby);
+    if (game) {
+      history.finishGameRecord(game, { endedAt: clock.now(), scoreboard: getScoreboard(lobby) });
+      const seconds = Math.round((game.endedAt - game.startedAt) / 1000);
+      counters.gamesCompleted++;
+      counters.gameSeconds += seconds;
+      log.info(`  🏁 Game over in lobby ${lobby.code} after ${Math.round(seconds / 60)} min`, { lobby: lobby.code, seconds });
+      // Lifetime stats are a player's own, so team games don't count towards them
+      if (!lobby.settings.teamMode) {
+        const profileOf = new Map(lobby.players.filter(p => p.profileId).map(p => [p.id, p.profileId]));
+        profiles.recordGame(game, profileOf, clock.now());
+      }
+    }
+    lobby.phase = 'gameover';
+    broadcastPhase(lobby);
+  }
+
+  // ─── HISTORY ───────────────────────────────────────────────────────
+  // Each game is written down as it's played (see history.js). The lobby
+  // keeps the last few, newest last, so a recap outlives play_again.
+  function currentGameRecord(lobby) {
+    return lobby.games[lobby.games.length - 1] || null;
+  }
+
+  function startGameRecord(lobby) {
+    const mode = getLobbyMode(lobby);
+    lobby.games.push(history.createGameRecord({
+      code: lobby.code,
+      settings: { ...lobby.settings },
+      scoringMode: { id: mode.id, name: mode.name },
+      players: getSeats(lobby),
+      startedAt: clock.now(),
+    }));
+    if (lobby.games.length > MAX_GAMES_KEPT) lobby.games.shift();
+  }
+
+  function recordTurn(lobby, { skipped = false } = {}) {
+    const game = currentGameRecord(lobby);
+    if (!game) return;
+    const person = (id) => {
+      const seat = findSeat(lobby, id);
+      return seat ? { id: seat.id, name: seat.name } : null;
+    };
+    const turn = {
+      number: lobby.currentGuesserIdx + 1,
+      round: getRoundNumber(lobby),
+      guesser: person(getGuesser(lobby).id),
+      skipped,
+    };
+
+    if (!skipped) {
+      const votes = { best: countVotes(lobby, 'best'), funniest: countVotes(lobby, 'funniest') };
+      turn.question = lobby.currentQuestion;
+      turn.answers = lobby.shuffledAnswers.map(a => {
+        const guessedId = lobby.guesses.get(a.id);
+        return {
+          text: a.text,
+          drawing: a.drawing || null,
+          author: person(a.playerId),
+          guessed: person(guessedId),
+          correct: guessedId === a.playerId,
+          stake: lobby.guessExtras?.wagers?.[a.id] ?? null,
+          reactions: reactionCounts(lobby, a.id),
+          votes: {
+            best: gameModes.roundPoints(votes.best.get(a.id) || 0),
+            funniest: gameModes.roundPoints(votes.funniest.get(a.id) || 0),
+          },
+        };
+      });
+      turn.points = lobby.turnPoints.map(e => ({
+        player: person(e.playerId),
+        points: e.points,
+        reason: e.reason,
+        category: e.category,
+      }));
+    }
+    history.recordTurn(game, turn);
+  }
+
+  // The lobby's recorded games, oldest first, or null if there's no such lobby
+  function getHistory(code) {
+    const lobby = lobbies.get(code);
+    return lobby ? lobby.games : null;
+  }
+
+  // A password-protected lobby's history and stats are for the people in
+  // it: a player's session token or the password opens them. Open lobbies,
+  // and ones that don't exist, are left to the route.
+  function canReadLobby(code, { token, password } = {}) {
+    const lobby = lobbies.get(code);
+    if (!lobby?.passwordHash) return true;
+    return (!!token && lobby.players.some(p => p.token === token)) || (!!password && checkPassword(lobby, password));
+  }
+
+  // ─── PROFILES ──────────────────────────────────────────────────────
+  // Players who send a device key get lifetime stats (see profiles.js)
+  function attachProfile(deviceKey, name) {
+    return deviceKey ? profiles.attach(deviceKey, name, clock.now()) : null;
+  }
+
+  // Stats for everyone in the lobby who has a profile, or null if there's
+  // no such lobby
+  function getLobbyStats(code) {
+    const lobby = lobbies.get(code);
+    if (!lobby) return null;
+    return profiles.leaderboard(lobby.players.map(p => p.profileId).filter(Boolean));
+  }
+
+  // ─── MODERATION ────────────────────────────────────────────────────
+  // Kicked players lose their seat and session for good. A ban also turns
+  // their device away from this lobby until it closes; players who joined
+  // without a device key can only be kicked.
+  function kickPlayer(lobby, player, ban) {
+    const banned = ban && !!player.profileId;
+    if (banned) lobby.bannedProfiles.add(player.profileId);
+
+    const conn = findConnection(lobby.code, player.id);
+    if (conn) {
+      clients.delete(conn);
+      sendTo(conn, { type: 'kicked', banned });
+      conn.close();
+    }
+    log.info(`  🥾 ${player.name} was ${banned ? 'banned' : 'kicked'} from lobby ${lobby.code}`, { lobby: lobby.code });
+    removePlayer(lobby, player);
+  }
+
+  function renamePlayer(lobby, player, name) {
+    const previous = player.name;
+    player.name = name;
+    const conn = findConnection(lobby.code, player.id);
+    if (conn) {
+      clients.get(conn).name = name;
+      sendTo(conn, { type: 'renamed', name });
+    }
+    log.info(`  ✏️  ${previous} was renamed to ${name} in lobby ${lobby.code}`, { lobby: lobby.code });
+    broadcastLobbyState(lobby);
+  }
+
+  // ─── HOST CONTROLS ─────────────────────────────────────────────────
+  // The host can hold the game while someone steps away, push a stalled
+  // phase along or give everyone a little longer.
+  function pauseGame(lobby) {
+    const remaining = lobby.timerEnd ? Math.max(0, lobby.timerEnd - clock.now()) : null;
+    clearTimer(lobby);
+    clearBotTimers(lobby);
+    lobby.paused = true;
+    lobby.pausedRemaining = remaining;
+    log.info(`  ⏸  Lobby ${lobby.code} paused`, { lobby: lobby.code });
+    broadcastToLobby(lobby, { type: 'paused', paused: true, remaining });
+    persistLobby(lobby);
+  }
+
+  // Picks the frozen timer up where it stopped. Every timer ends the same
+  // way as its phase's timeout, so that's what it's re-armed with.
+  function resumeGame(lobby) {
+    const remaining = lobby.pausedRemaining;
+    lobby.paused = false;
+    lobby.pausedRemaining = null;
+    log.info(`  ▶️  Lobby ${lobby.code} resumed`, { lobby: lobby.code });
+    broadcastToLobby(lobby, { type: 'paused', paused: false });
+    scheduleBots(lobby);
+    if (remaining !== null) {
+      startTimer(lobby, Math.ceil(remaining / 1000), () => PHASE_TIMEOUTS[lobby.phase](lobby), lobby.timerSeconds);
+    } else {
+      persistLobby(lobby);
+    }
+  }
+
+  function extendTimer(lobby, seconds) {
+    const total = lobby.timerSeconds + seconds;
+    if (lobby.paused) {
+      lobby.pausedRemaining += seconds * 1000;
+      lobby.timerSeconds = total;
+      broadcastToLobby(lobby, { type: 'timer', seconds: total, endsAt: null, remaining: lobby.pausedRemaining });
+      persistLobby(lobby);
+    } else {
+      const remaining = Math.ceil((lobby.timerEnd - clock.now()) / 1000);
+      startTimer(lobby, remaining + seconds, lobby.timerCallback, total);
+    }
+  }
+
+  // The phase ends as if its time had run out. A skipped reveal goes
+  // straight to guessing, with every answer shown at once.
+  function skipPhase(lobby) {
+    log.info(`  ⏩ Host skipped the ${lobby.phase} phase in lobby ${lobby.code}`, { lobby: lobby.code });
+    clearTimer(lobby);
+    if (lobby.phase === 'reveal') startGuessingPhase(lobby);
+    else PHASE_TIMEOUTS[lobby.phase](lobby);
+  }
+
+  // ─── REACTIONS & CHAT ──────────────────────────────────────────────
+  // Once an answer is on screen, players and spectators can react to it.
+  // Each emoji is an on/off toggle per person.
+  function toggleReaction(lobby, personId, answerId, emoji) {
+    const byEmoji = lobby.reactions[answerId] ||= {};
+    const ids = byEmoji[emoji] || [];
+    byEmoji[emoji] = ids.includes(personId) ? ids.filter(id => id !== personId) : [...ids, personId];
+    broadcastToLobby(lobby, { type: 'reactions', answerId, counts: reactionCounts(lobby, answerId) });
+    persistLobby(lobby);
+  }
+
+  // Sliding window: true if the player may send another chat message now
+  function allowChat(lobby, playerId) {
+    const now = clock.now();
+    const recent = (lobby.chatTimes.get(playerId) || []).filter(t => now - t < CHAT_WINDOW_MS);
+    if (recent.length >= CHAT_LIMIT) return false;
+    lobby.chatTimes.set(playerId, [...recent, now]);
+    return true;
+  }
+
+  // While the guesser is matching answers their whole seat is left out of
+  // the chat, so nobody can slip them a hint
+  function broadcastChat(lobby, msg) {
+    const guesser = lobby.phase === 'guessing' ? getGuesser(lobby) : null;
+    const hidden = new Set(guesser ? membersOf(lobby, guesser).map(p => p.id) : []);
+    const data = JSON.stringify(msg);
+    for (const [conn, client] of clients) {
+      if (client.lobbyCode === lobby.code && !hidden.has(client.id)) conn.send(data);
+    }
+  }
+
+  // ─── BOTS ──────────────────────────────────────────────────────────
+  // Bots fill seats when there aren't enough players. Each phase change
+  // gives every bot a think timer; when it fires, the bot sends what a
+  // player would (see bots.js for what it picks), through the same checks
+  // as anyone's messages. Bots hold still while the game is paused or no
+  // real player is connected.
+  const botConnection = { send() {}, close() {}, address: null };
+  const BOT_PHASES = ['question', 'answering', 'reveal', 'guessing', 'voting'];
+
+  function addBot(lobby) {
+    const personality = bots.pickPersonality(lobby.settings.botPersonality, random);
+    const bot = createBot(generateId(), bots.pickName(lobby.players.map(p => p.name), random), personality);
+    lobby.players.push(bot);
+    log.info(`  🤖 ${bot.name} (${personality} bot) joined lobby ${lobby.code}`, { lobby: lobby.code });
+    broadcastLobbyState(lobby);
+  }
+
+  function clearBotTimers(lobby) {
+    lobby.botTimers.forEach(handle => clock.clearTimeout(handle));
+    lobby.botTimers = [];
+  }
+
+  function scheduleBots(lobby) {
+    clearBotTimers(lobby);
+    if (!BOT_PHASES.includes(lobby.phase) || lobby.paused || !hasHumans(lobby)) return;
+    const [min, max] = BOT_THINK_SECONDS;
+    for (const bot of lobby.players.filter(p => p.bot)) {
+      const seconds = lobby.phase === 'reveal' ? BOT_REVEAL_SECONDS : min + random() * (max - min);
+      const handle = clock.setTimeout(() => {
+        lobby.botTimers = lobby.botTimers.filter(h => h !== handle);
+        playBot(lobby, bot);
+      }, seconds * 1000);
+      lobby.botTimers.push(handle);
+    }
+  }
+
+  function playBot(lobby, bot) {
+    if (lobby.paused || !hasHumans(lobby) || !lobby.players.includes(bot)) return;
+    const phase = lobby.phase;
+    const client = { id: bot.id, lobbyCode: lobby.code, name: bot.name };
+    for (const msg of botMoves(lobby, bot)) {
+      const error = protocol.validateMessage(msg)
+        || checkAccess(client, lobby, protocol.MESSAGES[msg.type])
+        || handleRequest(botConnection, client, lobby, msg);
+      if (error) {
+        log.error(`  ❌ ${bot.name} (bot) couldn't ${msg.type} in lobby ${lobby.code}: ${error.message}`, { lobby: lobby.code });
+      }
+      if (lobby.phase !== phase) return;
+    }
+    // A bot guesser shows the answers one at a time, like a player would
+    if (phase === 'reveal') scheduleBots(lobby);
+  }
+
+  // What the bot would send in the lobby's phase: nothing, or the messages
+  // a player in its seat would
+  function botMoves(lobby, bot) {
+    const seat = seatOf(lobby, bot.id);
+    if (!seat || bot.waiting || bot.left) return [];
+    const isGuesser = getGuesser(lobby) === seat;
+    const answerIds = lobby.shuffledAnswers.map(a => a.id);
+
+    switch (lobby.phase) {
+      case 'question':
+        return isGuesser ? [{ type: 'submit_question', question: drawLobbyQuestion(lobby) || fallbackQuestion() }] : [];
+      case 'answering': {
+        if (isGuesser || lobby.answers.has(seat.id)) return [];
+        if (lobby.currentAnswerMode === 'drawing') return [{ type: 'submit_answer', drawing: bots.writeDrawing(random) }];
+        const { botPersonality } = lobby.settings;
+        const answer = bots.writeAnswer({
+          question: lobby.currentQuestion,
+          personality: botPersonality === bots.DEFAULT_PERSONALITY ? bot.personality : botPersonality,
+          given: [...lobby.answers.values()].map(a => a.text),
+          random,
+        });
+        return [{ type: 'submit_answer', answer }];
+      }
+      case 'reveal':
+        return isGuesser ? [{ type: 'next_reveal' }] : [];
+      case 'guessing': {
+        if (!isGuesser) return [];
+        const { guesses, wagers } = bots.matchAnswers({
+          answers: lobby.shuffledAnswers,
+          players: getAuthors(lobby).map(s => s.id),
+          history: pastAnswers(lobby),
+          botIds: new Set(lobby.players.filter(p => p.bot).map(p => p.id)),
+          difficulty: lobby.settings.botDifficulty,
+          random,
+        });
+        return [{ type: 'submit_guesses', guesses, wagers }];
+      }
+      case 'voting': {
+        if (answerIds.length === 0) return [];
+        const own = lobby.shuffledAnswers.find(a => a.playerId === seat.id)?.id;
+        const picks = bots.pickVotes(answerIds, own, random);
+        return ['best', 'funniest']
+          .filter(category => !lobby.votes[category].has(bot.id))
+          .map(category => ({ type: 'vote', category, answerId: picks[category] }));
+      }
+      default:
+        return [];
+    }
+  }
+
+  // Everyone's text answers so far this game, by author, for a bot
+  // guesser to size up their style
+  function pastAnswers(lobby) {
+    const byAuthor = new Map();
+    for (const turn of currentGameRecord(lobby)?.turns || []) {
+      for (const answer of turn.answers) {
+        if (!answer.author || !answer.text) continue;
+        byAuthor.set(answer.author.id, [...(byAuthor.get(answer.author.id) || []), answer.text]);
+      }
+    }
+    return byAuthor;
+  }
+
+  // ─── PRESENCE ──────────────────────────────────────────────────────
+  // Completion checks only wait on connected players, so a dropped phone
+  // never stalls the phase machine.
+  function checkAllAnswered(lobby) {
+    const present = getAnswerers(lobby).filter(s => isConnected(lobby, s));
+    if (present.length === 0 || !present.every(s => lobby.answers.has(s.id))) return false;
+    clearTimer(lobby);
+    startRevealPhase(lobby);
+    return true;
+  }
+
+  function checkAllVoted(lobby) {
+    // Late joiners may vote, but nobody waits for them
+    const present = lobby.players.filter(p => p.connected && !p.waiting);
+    const allVoted = present.length > 0 && present.every(p =>
+      lobby.votes.best.has(p.id) && lobby.votes.funniest.has(p.id)
+    );
+    if (!allVoted) return false;
+    clearTimer(lobby);
+    tallyVotes(lobby);
+    return true;
+  }
+
+  function announceTurnSkipped(lobby) {
+    const guesser = getGuesser(lobby);
+    if (!guesser) return;
+    log.info(`  ⏭  Skipped ${guesser.name}'s turn in lobby ${lobby.code}`, { lobby: lobby.code });
+    recordTurn(lobby, { skipped: true });
+    broadcastToLobby(lobby, { type: 'turn_skipped', playerId: guesser.id, name: guesser.name });
+  }
+
+  // Hand the host role to the next connected player after the current host
+  function migrateHost(lobby) {
+    const idx = lobby.players.findIndex(p => p.id === lobby.hostId);
+    if (lobby.players[idx]?.connected) return;
+    for (let i = 1; i <= lobby.players.length; i++) {
+      const candidate = lobby.players[(idx + i) % lobby.players.length];
+      if (candidate.connected && !candidate.bot) {
+        lobby.hostId = candidate.id;
+        log.info(`  👑 Host of lobby ${lobby.code} passed to ${candidate.name}`, { lobby: lobby.code });
+        broadcastToLobby(lobby, { type: 'host_changed', hostId: candidate.id, name: candidate.name });
+        return;
+      }
+    }
+  }
+
+  function handlePlayerLeft(lobby, player) {
+    if (lobby.hostId === player.id) migrateHost(lobby);
+    // A guessing team carries on as long as one of them is still here
+    const seat = seatOf(lobby, player.id);
+    const isGuesser = lobby.phase !== 'lobby' && lobby.phase !== 'gameover'
+      && !!seat && getGuesser(lobby) === seat && !isConnected(lobby, seat);
+
+    switch (lobby.phase) {
+      case 'question':
+      case 'guessing':
+        if (isGuesser) startGuesserGrace(lobby);
+        break;
+      case 'answering':
+        checkAllAnswered(lobby);
+        break;
+      case 'reveal':
+        if (isGuesser) scheduleAutoReveal(lobby);
+        break;
+      case 'voting':
+        checkAllVoted(lobby);
+        break;
+    }
+  }
+
+  function handlePlayerReturned(lobby, player) {
+    migrateHost(lobby);
+    // Bots wait while there's nobody to play with
+    if (lobby.botTimers.length === 0) scheduleBots(lobby);
+    // The guesser is back: stop the automatic reveal and hand control back.
+    // A relaxed lobby drops their grace period too, as it has no clock;
+    // otherwise the phase gets back the time the grace period cut.
+    if (getGuesser(lobby) !== seatOf(lobby, player.id)) return;
+    if (lobby.phase === 'reveal' || (lobby.settings.relaxed && ['question', 'guessing'].includes(lobby.phase))) {
+      clearTimer(lobby);
+    } else if (lobby.graceCut && ['question', 'guessing'].includes(lobby.phase)) {
+      restoreGuesserTime(lobby);
+    }
+  }
+
+  // A player leaving for good. Outside a game they just go. Mid-game they
+  // keep their score on the board but lose every turn still to come; if
+  // it's their turn right now, it's skipped. In team mode all of that
+  // happens to the team once its last member has gone.
+  function removePlayer(lobby, player) {
+    player.connected = false;
+    player.token = null;
+    const midGame = lobby.phase !== 'lobby' && lobby.phase !== 'gameover';
+    const turnInProgress = ['question', 'answering', 'reveal', 'guessing'].includes(lobby.phase);
+    if (!midGame) {
+      lobby.players = lobby.players.filter(p => p !== player);
+      tidyTeams(lobby);
+      migrateHost(lobby);
+    } else {
+      player.left = true;
+      player.waiting = false;
+      const seat = seatOf(lobby, player.id);
+      const seatLeft = hasLeft(lobby, seat);
+      if (seatLeft) removeFromRotation(lobby, seat);
+      if (getSeats(lobby).filter(s => !hasLeft(lobby, s)).length < 2) {
+        migrateHost(lobby);
+        endGame(lobby);
+      } else if (turnInProgress && seatLeft && getGuesser(lobby) === seat) {
+        migrateHost(lobby);
+        clearTimer(lobby);
+        announceTurnSkipped(lobby);
+        nextTurn(lobby);
+      } else {
+        handlePlayerLeft(lobby, player);
+      }
+    }
+    broadcastLobbyState(lobby);
+    if (!hasHumans(lobby)) scheduleEmptyLobbyCleanup(lobby);
+  }
+
+  // ─── PHASE MESSAGES ────────────────────────────────────────────────
+  function broadcastPhase(lobby) {
+    broadcastToLobby(lobby, buildPhaseMessage(lobby));
+    persistLobby(lobby);
+    if (lobby.settings.visibility === 'public') pushLobbyList();
+    // Bots take their cue from the same message the players just got
+    scheduleBots(lobby);
+  }
+
+  // The question as phase messages carry it, with the fallback's key so
+  // clients can show it in their own language
+  function questionFields(lobby) {
+    return lobby.currentQuestion === fallbackQuestion()
+      ? { question: lobby.currentQuestion, questionKey: FALLBACK_QUESTION_KEY }
+      : { question: lobby.currentQuestion };
+  }
+
+  // Builds the `phase` message for the lobby's current phase. Used both for
+  // the live broadcast on each transition and for rejoin snapshots, so a
+  // reconnecting client renders exactly what everyone else saw.
+  function buildPhaseMessage(lobby) {
+    const guesser = getGuesser(lobby);
+    const guesserInfo = guesser ? seatInfo(lobby, guesser) : null;
+    const answers = lobby.shuffledAnswers.map(publicAnswer);
+
+    switch (lobby.phase) {
+      case 'question':
+        return {
+          type: 'phase',
+          phase: 'question',
+          guesser: guesserInfo,
+          turnNumber: lobby.currentGuesserIdx + 1,
+          totalTurns: lobby.guesserOrder.length,
+          roundNumber: getRoundNumber(lobby),
+          totalRounds: lobby.settings.rounds,
+        };
+      case 'answering':
+        return {
+          type: 'phase',
+          phase: 'answering',
+          ...questionFields(lobby),
+          answerMode: lobby.currentAnswerMode,
+          guesser: guesserInfo,
+        };
+      case 'reveal':
+        return {
+          type: 'phase',
+          phase: 'reveal',
+          ...questionFields(lobby),
+          totalAnswers: lobby.shuffledAnswers.length,
+          guesser: guesserInfo,
+        };
+      case 'guessing':
+        return {
+          type: 'phase',
+          phase: 'guessing',
+          ...questionFields(lobby),
+          answers,
+          players: getAuthors(lobby).map(s => seatInfo(lobby, s)),
+          guesser: guesserInfo,
+          scoringMode: lobby.settings.scoringMode,
+          ...getLobbyMode(lobby).guessingInfo(lobby.settings),
+        };
+      case 'voting':
+        return { type: 'phase', phase: 'voting', ...questionFields(lobby), answers, guesser: guesserInfo };
+      case 'results': {
+        const nameOf = (id) => findSeat(lobby, id)?.name || '???';
+        // Vote winners come straight from the point entries, so a tie lists
+        // every winner with their share
+        const describeAwards = (category) => lobby.turnPoints
+          .filter(e => e.category === category)
+          .map(e => {
+            const answer = lobby.shuffledAnswers.find(a => a.id === e.answerId);
+            return {
+              text: answer?.text || '',
+              drawing: answer?.drawing || null,
+              player: nameOf(e.playerId),
+              points: e.points,
+            };
+          });
+        const mode = getLobbyMode(lobby);
+        return {
+          type: 'phase',
+          phase: 'results',
+          guessResults: lobby.guessResults,
+          settings: lobby.settings,
+          scoringMode: { id: mode.id, name: mode.name },
+          bestAnswers: describeAwards('best'),
+          funniestAnswers: describeAwards('funniest'),
+          crowdFavorite: findCrowdFavorite(lobby),
+          breakdown: lobby.turnPoints.map(e => ({
+            player: { id: e.playerId, name: nameOf(e.playerId) },
+            points: e.points,
+            reason: e.reason,
+            key: e.key,
+            params: e.params,
+          })),
+          scoreboard: getScoreboard(lobby),
+        };
+      }
+      case 'gameover': {
+        const game = currentGameRecord(lobby);
+        return {
+          type: 'phase',
+          phase: 'gameover',
+          scoreboard: getScoreboard(lobby),
+          moments: game ? history.findMoments(game) : [],
+          turnCount: game ? game.turns.length : 0,
+        };
+      }
+      default:
+        return { type: 'phase', phase: 'lobby' };
+    }
+  }
+
+  // Everything a (re)connecting player needs to pick up mid-game: the phase
+  // message, answers already revealed, the time left and their own progress.
+  function buildStateSnapshot(lobby, playerId) {
+    const snapshot = {
+      type: 'state',
+      phase: buildPhaseMessage(lobby),
+      timer: null,
+      paused: lobby.paused,
+    };
+    if (lobby.timerEnd) {
+      snapshot.timer = { seconds: lobby.timerSeconds, remaining: Math.max(0, lobby.timerEnd - clock.now()) };
+    } else if (lobby.pausedRemaining !== null) {
+      // A paused timer stands still at whatever it had left
+      snapshot.timer = { seconds: lobby.timerSeconds, remaining: lobby.pausedRemaining };
+    }
+
+    const seat = seatOf(lobby, playerId);
+    if (lobby.phase === 'answering') {
+      snapshot.answerSubmitted = !!seat && lobby.answers.has(seat.id);
+      snapshot.answerProgress = {
+        submitted: lobby.answers.size,
+        total: getAnswerers(lobby).filter(s => isConnected(lobby, s)).length,
+      };
+    } else if (lobby.phase === 'reveal') {
+      const shown = Math.min(lobby.revealIndex + 1, lobby.shuffledAnswers.length);
+      snapshot.revealed = [];
+      for (let i = 0; i < shown; i++) snapshot.revealed.push(buildRevealMessage(lobby, i));
+    } else if (lobby.phase === 'voting') {
+      snapshot.votes = {
+        best: lobby.votes.best.get(playerId) || lobby.audienceVotes.best.get(playerId) || null,
+        funniest: lobby.votes.funniest.get(playerId) || lobby.audienceVotes.funniest.get(playerId) || null,
+      };
+    }
+    // Reactions so far, and which ones are this person's own
+    if (['reveal', 'guessing', 'voting', 'results'].includes(lobby.phase)) {
+      snapshot.reactions = {};
+      snapshot.myReactions = {};
+      for (const answer of lobby.shuffledAnswers) {
+        snapshot.reactions[answer.id] = reactionCounts(lobby, answer.id);
+        snapshot.myReactions[answer.id] = Object.entries(lobby.reactions[answer.id] || {})
+          .filter(([, ids]) => ids.includes(playerId))
+          .map(([emoji]) => emoji);
+      }
+    }
+    // A teammate coming back picks up where the rest of the team has got to
+    if (seat && ['answering', 'guessing'].includes(lobby.phase) && lobby.drafts.has(seat.id)) {
+      snapshot.draft = lobby.drafts.get(seat.id);
+    }
+
+    return snapshot;
+  }
+
+  // ─── PERSISTENCE ───────────────────────────────────────────────────
+  // What to do when each phase's timer runs out, so a restored lobby can
+  // re-arm its timer from the phase alone
+  const PHASE_TIMEOUTS = {
+    question: onQuestionTimeout,
+    answering: onAnswerTimeout,
+    reveal: onAutoRevealTimeout,
+    guessing: onGuessTimeout,
+    voting: tallyVotes,
+  };
+
+  // Saves are coalesced per tick: a transition that touches the lobby several
+  // times (phase change, then timer) is written once, in its final state.
+  const pendingSaves = new Set();
+
+  function persistLobby(lobby) {
+    if (pendingSaves.has(lobby.code)) return;
+    pendingSaves.add(lobby.code);
+    setImmediate(() => {
+      pendingSaves.delete(lobby.code);
+      if (lobbies.get(lobby.code) !== lobby) return;
+      store.save(lobby.code, serializeLobby(lobby)).catch(err => {
+        log.error(`  ❌ Could not save lobby ${lobby.code}:`, err.message, { lobby: lobby.code });
+      });
+    });
+  }
+
+  // Bring saved lobbies back after a restart. Nobody is connected yet, so
+  // each lobby gets the usual empty-lobby grace period and its phase timer is
+  // re-armed from the stored end time (with a little slack for reconnecting).
+  async function restoreLobbies() {
+    const saved = await store.load();
+    for (const data of saved) {
+      if (data.version !== 1 || lobbies.has(data.code)) continue;
+      const lobby = deserializeLobby(data);
+      // Older snapshots didn't keep these
+      lobby.createdAt ??= clock.now();
+      lobby.lastActivity ??= clock.now();
+      lobbies.set(lobby.code, lobby);
+
+      const onTimeout = PHASE_TIMEOUTS[lobby.phase];
+      // A paused lobby stays paused, its timer frozen, until the host resumes
+      if (lobby.paused) {
+        lobby.timerEnd = null;
+      } else if (onTimeout && (lobby.timerEnd || lobby.phase === 'reveal')) {
+        const remaining = lobby.timerEnd ? Math.ceil((lobby.timerEnd - clock.now()) / 1000) : 0;
+        startTimer(lobby, Math.max(remaining, RESTORE_GRACE_SECONDS), () => onTimeout(lobby));
+      } else {
+        lobby.timerEnd = null;
+      }
+      scheduleEmptyLobbyCleanup(lobby);
+    }
+    scheduleIdleSweep();
+    if (saved.length) log.info(`  ↻ Restored ${lobbies.size} lobbies from ${store.name} store`);
+  }
+
+  // ─── CONNECTIONS ───────────────────────────────────────────────────
+  // Everyone attached to the lobby gets the message: players and spectators
+  // alike. Nothing broadcast before `results` may tie an answer to its author —
+  // answers go out as { id, text } only.
+  function broadcastToLobby(lobby, msg) {
+    const data = JSON.stringify(msg);
+    for (const [conn, client] of clients) {
+      if (client.lobbyCode === lobby.code) conn.send(data);
+    }
+  }
+
+  function sendTo(conn, msg) {
+    conn.send(JSON.stringify(msg));
+  }
+
+  // Sends to everyone on a seat (one player, or a whole team) who's
+  // connected, optionally leaving out the player the message came from
+  function sendToSeat(lobby, seat, msg, exceptId) {
+    for (const member of membersOf(lobby, seat)) {
+      const conn = member.id !== exceptId && findConnection(lobby.code, member.id);
+      if (conn) sendTo(conn, msg);
+    }
+  }
+
+  function countSpectators(lobby) {
+    let count = 0;
+    for (const [, client] of clients) {
+      if (client.lobbyCode === lobby.code && client.spectator && !client.display) count++;
+    }
+    return count;
+  }
+
+  function broadcastLobbyState(lobby) {
+    broadcastToLobby(lobby, buildLobbyState(lobby));
+    persistLobby(lobby);
+    // Settings may have just made the lobby public or private
+    pushLobbyList();
+  }
+
+  function buildLobbyState(lobby) {
+    return {
+      type: 'lobby_update',
+      players: lobby.players.map(p => ({
+        id: p.id,
+        name: p.name,
+        score: p.score,
+        connected: p.connected,
+        profileId: p.profileId,
+        waiting: !!p.waiting,
+        left: !!p.left,
+        bot: !!p.bot,
+        extraTime: !!p.extraTime,
+      })),
+      teams: lobby.teams,
+      maxPlayers: maxPlayers(lobby),
+      spectators: countSpectators(lobby),
+      hostId: lobby.hostId,
+      code: lobby.code,
+      locked: lobby.locked,
+      banned: lobby.bannedProfiles.size,
+      hasPassword: !!lobby.passwordHash,
+      settings: lobby.settings,
+      questionPacks: questionBank.listPacks(lobby.customPack),
+      scoringModes: gameModes.listModes(),
+      botPersonalities: bots.listPersonalities(),
+    };
+  }
+
+  function findConnection(lobbyCode, playerId) {
+    for (const [conn, client] of clients) {
+      if (client.lobbyCode === lobbyCode && client.id === playerId) return conn;
+    }
+    return null;
+  }
+
+  function removeLobby(lobby) {
+    clearTimer(lobby);
+    clearBotTimers(lobby);
+    clock.clearTimeout(lobby.cleanupTimer);
+    lobbies.delete(lobby.code);
+    if (lobby.settings.visibility === 'public') pushLobbyList();
+    store.remove(lobby.code).catch(err => {
+      log.error(`  ❌ Could not remove saved lobby ${lobby.code}:`, err.message, { lobby: lobby.code });
+    });
+  }
+
+  // Keep an empty lobby around for a while so a dropped connection can rejoin
+  function scheduleEmptyLobbyCleanup(lobby) {
+    if (lobby.cleanupTimer) return;
+    lobby.cleanupTimer = clock.setTimeout(() => {
+      lobby.cleanupTimer = null;
+      if (hasHumans(lobby)) return;
+      removeLobby(lobby);
+      log.info(`  🗑  Lobby ${lobby.code} removed (empty)`, { lobby: lobby.code });
+    }, EMPTY_LOBBY_GRACE_MS);
+  }
+
+  function handleDisconnect(conn) {
+    browsers.delete(conn);
+    const client = clients.get(conn);
+    if (client) {
+      log.info(`  ← ${client.spectator ? 'Spectator' : 'Player'} ${client.name} disconnected`, { lobby: client.lobbyCode });
+      clients.delete(conn);
+      const lobby = lobbies.get(client.lobbyCode);
+      if (lobby && client.spectator) {
+        broadcastLobbyState(lobby);
+      } else if (lobby) {
+        const player = lobby.players.find(p => p.id === client.id);
+        if (player) {
+          player.connected = false;
+          handlePlayerLeft(lobby, player);
+        }
+        broadcastLobbyState(lobby);
+        if (!hasHumans(lobby)) scheduleEmptyLobbyCleanup(lobby);
+      }
+    }
+  }
+
+  // ─── LOBBY BROWSER ─────────────────────────────────────────────────
+  // Public lobbies are listed over HTTP (/lobbies) and pushed to anyone on
+  // the home screen who sent watch_lobbies. A push goes out whenever a
+  // lobby changes, coalesced to one per tick. Locked, empty and full
+  // lobbies are left off: there'd be no getting in.
+  const browsers = new Set();
+  let lobbyListPending = false;
+
+  function listPublicLobbies() {
+    const list = [];
+    for (const lobby of lobbies.values()) {
+      const seated = lobby.players.filter(p => !p.left);
+      if (lobby.settings.visibility !== 'public' || lobby.locked) continue;
+      if (!seated.some(p => p.connected && !p.bot) || seated.length >= maxPlayers(lobby)) continue;
+      const s = lobby.settings;
+      list.push({
+        code: lobby.code,
+        host: lobby.players.find(p => p.id === lobby.hostId)?.name || '',
+        players: seated.length,
+        maxPlayers: maxPlayers(lobby),
+        phase: lobby.phase,
+        hasPassword: !!lobby.passwordHash,
+        settings: {
+          rounds: s.rounds,
+          // The id lets clients show the name in their own language
+          scoringMode: { id: s.scoringMode, name: gameModes.getMode(s.scoringMode).name },
+          answerMode: s.answerMode,
+          teamMode: s.teamMode,
+          questionPacks: questionBank.listPacks(lobby.customPack)
+            .filter(p => s.questionPacks.includes(p.id))
+            .map(p => p.name),
+        },
+      });
+    }
+    return list;
+  }
+
+  function pushLobbyList() {
+    if (browsers.size === 0 || lobbyListPending) return;
+    lobbyListPending = true;
+    setImmediate(() => {
+      lobbyListPending = false;
+      const data = JSON.stringify({ type: 'lobby_list', lobbies: listPublicLobbies() });
+      for (const conn of browsers) conn.send(data);
+    });
+  }
+
+  // ─── ADMIN ─────────────────────────────────────────────────────────
+  // What the admin dashboard and /metrics see (see server.js). Counters
+  // start from zero with the process, as Prometheus expects.
+  const counters = { gamesStarted: 0, gamesCompleted: 0, gameSeconds: 0, messages: 0 };
+  // Second → messages received in it, oldest first
+  const messageRate = new Map();
+
+  // Shown to everyone in a lobby that's closed under them, as closed.REASON
+  const CLOSE_PARAMS = {
+    admin: {},
+    idle: { minutes: limits.idleLobbyMinutes },
+  };
+
+  function countMessage() {
+    counters.messages++;
+    const second = Math.floor(clock.now() / 1000);
+    messageRate.set(second, (messageRate.get(second) || 0) + 1);
+    for (const s of messageRate.keys()) {
+      if (s > second - RATE_WINDOW_SECONDS) break;
+      messageRate.delete(s);
+    }
+  }
+
+  function listLobbies() {
+    const now = clock.now();
+    return [...lobbies.values()].map(lobby => {
+      const seated = lobby.players.filter(p => !p.left);
+      return {
+        code: lobby.code,
+        host: lobby.players.find(p => p.id === lobby.hostId)?.name || '',
+        phase: lobby.phase,
+        paused: lobby.paused,
+        players: seated.length,
+        connected: seated.filter(p => p.connected).length,
+        spectators: countSpectators(lobby),
+        maxPlayers: maxPlayers(lobby),
+        visibility: lobby.settings.visibility,
+        locked: lobby.locked,
+        hasPassword: !!lobby.passwordHash,
+        teamMode: lobby.settings.teamMode,
+        ageSeconds: Math.round((now - lobby.createdAt) / 1000),
+        idleSeconds: Math.round((now - lobby.lastActivity) / 1000),
+      };
+    });
+  }
+
+  // Sends everyone in the lobby home and forgets it. Returns false if
+  // there's no such lobby.
+  function closeLobby(code, reason) {
+    const lobby = lobbies.get(code);
+    if (!lobby) return false;
+    const params = CLOSE_PARAMS[reason];
+    const message = i18n.translate(i18n.DEFAULT_LANGUAGE, `closed.${reason}`, params);
+    broadcastToLobby(lobby, { type: 'lobby_closed', reason, message, params });
+    for (const [conn, client] of clients) {
+      if (client.lobbyCode !== code) continue;
+      clients.delete(conn);
+      conn.close();
+    }
+    removeLobby(lobby);
+    log.info(`  ⛔ Lobby ${code} closed (${reason})`, { lobby: code, reason });
+    return true;
+  }
+
+  function getMetrics() {
+    const second = Math.floor(clock.now() / 1000);
+    let recent = 0;
+    for (const [s, count] of messageRate) {
+      if (s > second - RATE_WINDOW_SECONDS) recent += count;
+    }
+    let players = 0;
+    let spectators = 0;
+    for (const client of clients.values()) {
+      if (client.spectator) spectators++;
+      else players++;
+    }
+    const inGame = [...lobbies.values()].filter(l => !['lobby', 'gameover'].includes(l.phase)).length;
+    return {
+      lobbies: lobbies.size,
+      gamesInProgress: inGame,
+      players,
+      spectators,
+      gamesStarted: counters.gamesStarted,
+      gamesCompleted: counters.gamesCompleted,
+      averageGameSeconds: counters.gamesCompleted ? counters.gameSeconds / counters.gamesCompleted : 0,
+      messages: counters.messages,
+      messagesPerSecond: recent / RATE_WINDOW_SECONDS,
+    };
+  }
+
+  // ─── LIMITS ────────────────────────────────────────────────────────
+  // Keeps one address from filling the server with lobbies, and clears
+  // out lobbies that were left open. The idle sweep only runs while
+  // there are lobbies to check.
+  // Address → when it created its recent lobbies
+  const lobbyCreations = new Map();
+  let idleSweep = null;
+
+  function allowLobbyCreation(address) {
+    if (!address) return true;
+    const now = clock.now();
+    const recent = (lobbyCreations.get(address) || []).filter(t => now - t < LOBBY_CREATE_WINDOW_MS);
+    if (recent.length >= limits.lobbiesPerAddress) return false;
+    lobbyCreations.set(address, [...recent, now]);
+    return true;
+  }
+
+  function scheduleIdleSweep() {
+    if (idleSweep || lobbies.size === 0 || !limits.idleLobbyMinutes) return;
+    idleSweep = clock.setTimeout(() => {
+      idleSweep = null;
+      const cutoff = clock.now() - limits.idleLobbyMinutes * 60 * 1000;
+      for (const lobby of [...lobbies.values()]) {
+        if (lobby.lastActivity <= cutoff) closeLobby(lobby.code, 'idle');
+      }
+      for (const [address, times] of lobbyCreations) {
+        if (times.every(t => clock.now() - t >= LOBBY_CREATE_WINDOW_MS)) lobbyCreations.delete(address);
+      }
+      scheduleIdleSweep();
+    }, IDLE_SWEEP_MS);
+  }
+
+  // ─── MESSAGE HANDLER ───────────────────────────────────────────────
+  // Every message is checked against its spec in protocol.js, then handed
+  // to handleRequest. A request that can't go ahead gets a structured error;
+  // one that carried a requestId and went through gets an ack.
+  function handleMessage(conn, data) {
+    let msg;
+    try { msg = JSON.parse(data); } catch {
+      return sendTo(conn, { type: 'error', ...protocol.reject('INVALID_JSON') });
+    }
+
+    const requestId = protocol.requestIdOf(msg);
+    const client = clients.get(conn);
+    const lobby = client ? lobbies.get(client.lobbyCode) : null;
+    countMessage();
+    const error = protocol.validateMessage(msg)
+      || checkAccess(client, lobby, protocol.MESSAGES[msg.type])
+      || handleRequest(conn, client, lobby, msg);
+
+    if (error) {
+      sendTo(conn, { type: 'error', ...error, requestId });
+    } else if (requestId !== undefined) {
+      sendTo(conn, { type: 'ack', requestId, request: msg.type });
+    }
+    // Anyone who's made it into a lobby is done browsing
+    if (clients.has(conn)) browsers.delete(conn);
+    const active = lobby || lobbies.get(clients.get(conn)?.lobbyCode);
+    if (active) active.lastActivity = clock.now();
+  }
+
+  // The role and phase rules from a message spec. Spectators watch: the
+  // only thing they can do is cast an audience vote. Big-screen displays
+  // can't even do that.
+  function checkAccess(client, lobby, spec) {
+    if (client?.display) return protocol.reject('NOT_A_PLAYER');
+    if (!spec.role) return client?.spectator ? protocol.reject('NOT_A_PLAYER') : null;
+    if (!client || !lobby) return protocol.reject('NOT_IN_LOBBY');
+    if (client.spectator && spec.role !== 'voter') return protocol.reject('NOT_A_PLAYER');
+    if (spec.phases && !spec.phases.includes(lobby.phase)) return protocol.reject('WRONG_PHASE');
+
+    const seat = seatOf(lobby, client.id);
+    const isGuesser = !!seat && getGuesser(lobby) === seat;
+    if (spec.role === 'host' && lobby.hostId !== client.id) return protocol.reject('NOT_HOST');
+    if (spec.role === 'guesser' && !isGuesser) return protocol.reject('NOT_GUESSER');
+    if (spec.role === 'answerer' && isGuesser) return protocol.reject('NOT_ANSWERER');
+    if (spec.role === 'answerer' && lobby.players.find(p => p.id === client.id)?.waiting) {
+      return protocol.reject('JOINING_NEXT_TURN');
+    }
+    return null;
+  }
+
+  // A password keeps everyone out who doesn't have it: players, spectators
+  // and big-screen displays alike
+  function checkLobbyPassword(lobby, password) {
+    if (!lobby.passwordHash) return null;
+    if (!password) return protocol.reject('PASSWORD_REQUIRED');
+    if (!checkPassword(lobby, password)) return protocol.reject('WRONG_PASSWORD');
+    return null;
+  }
+
+  // Every guess has to pin a real answer on one of the seats the guessing
+  // phase offered (getAuthors)
+  function checkGuesses(lobby, msg) {
+    const answerIds = new Set(lobby.shuffledAnswers.map(a => a.id));
+    const answererIds = new Set(getAuthors(lobby).map(s => s.id));
+    for (const [answerId, playerId] of Object.entries(msg.guesses)) {
+      if (!answerIds.has(answerId)) return protocol.reject('UNKNOWN_ANSWER', null, { field: 'guesses' });
+      if (!answererIds.has(playerId)) return protocol.reject('UNKNOWN_PLAYER', null, { field: 'guesses' });
+    }
+    if (msg.wagers && Object.keys(msg.wagers).some(id => !answerIds.has(id))) {
+      return protocol.reject('UNKNOWN_ANSWER', null, { field: 'wagers' });
+    }
+    return null;
+  }
+
+  // Carries out a valid, permitted request. Returns a rejection from
+  // protocol.reject() if it can't, or nothing when it went through.
+  function handleRequest(conn, client, lobby, msg) {
+    switch (msg.type) {
+      case 'create_lobby': {
+        if (lobbies.size >= limits.maxLobbies) return protocol.reject('SERVER_FULL');
+        if (!allowLobbyCreation(conn.address)) return protocol.reject('TOO_MANY_LOBBIES');
+        const id = generateId();
+        const name = cleanText(DEFAULT_SETTINGS, (msg.name || '').trim() || 'Player');
+        const created = createLobby(createPlayer(id, name, attachProfile(msg.deviceKey, name)));
+        clients.set(conn, { id, lobbyCode: created.code, name });
+        log.info(`  + ${name} created lobby ${created.code}`, { lobby: created.code });
+        sendTo(conn, { type: 'joined', playerId: id, lobbyCode: created.code, isHost: true, sessionToken: created.players[0].token });
+        broadcastLobbyState(created);
+        return;
+      }
+
+      case 'join_lobby': {
+        const code = msg.code.toUpperCase().trim();
+        const target = lobbies.get(code);
+        if (!target) return protocol.reject('LOBBY_NOT_FOUND');
+        const refused = checkLobbyPassword(target, msg.password);
+        if (refused) return refused;
+        const max = maxPlayers(target);
+        if (target.players.filter(p => !p.left).length >= max) return protocol.reject('LOBBY_FULL', { max });
+        if (msg.deviceKey && target.bannedProfiles.has(profileIdFor(msg.deviceKey))) return protocol.reject('BANNED');
+        if (target.locked) return protocol.reject('LOBBY_LOCKED');
+
+        const id = generateId();
+        const name = cleanText(target.settings, (msg.name || '').trim() || 'Player');
+        const player = createPlayer(id, name, attachProfile(msg.deviceKey, name));
+        target.players.push(player);
+        clients.set(conn, { id, lobbyCode: code, name });
+        const team = target.settings.teamMode ? placeInTeam(target, player) : null;
+        // Mid-game, they answer from the next question and take turns
+        // guessing. Joining a team shares its turns; a new team gets its own.
+        const midGame = target.phase !== 'lobby' && target.phase !== 'gameover';
+        if (midGame) {
+          player.waiting = true;
+          if (!team || team.playerIds.length === 1) addToRotation(target, team || player);
+        }
+        log.info(`  + ${name} joined lobby ${code}${midGame ? ' mid-game' : ''}`, { lobby: code });
+        sendTo(conn, { type: 'joined', playerId: id, lobbyCode: code, isHost: false, sessionToken: player.token, waiting: midGame });
+        broadcastLobbyState(target);
+        if (midGame) {
+          persistLobby(target);
+          sendTo(conn, buildStateSnapshot(target, id));
+        }
+        return;
+      }
+
+      case 'join_as_spectator': {
+        const code = msg.code.toUpperCase().trim();
+        const target = lobbies.get(code);
+        if (!target) return protocol.reject('LOBBY_NOT_FOUND');
+        const refused = checkLobbyPassword(target, msg.password);
+        if (refused) return refused;
+        // Watching can vote, so whoever can't play can't watch either
+        if (msg.deviceKey && target.bannedProfiles.has(profileIdFor(msg.deviceKey))) return protocol.reject('BANNED');
+        if (target.locked) return protocol.reject('LOBBY_LOCKED');
+
+        const id = generateId();
+        const name = cleanText(target.settings, (msg.name || '').trim() || 'Spectator');
+        clients.set(conn, { id, lobbyCode: code, name, spectator: true });
+        log.info(`  👀 ${name} is watching lobby ${code}`, { lobby: code });
+        sendTo(conn, { type: 'joined', playerId: id, lobbyCode: code, isHost: false, spectator: true, name });
+        broadcastLobbyState(target);
+        sendTo(conn, buildStateSnapshot(target, id));
+        return;
+      }
+
+      case 'join_display': {
+        const code = msg.code.toUpperCase().trim();
+        const target = lobbies.get(code);
+        if (!target) return protocol.reject('LOBBY_NOT_FOUND');
+        const refused = checkLobbyPassword(target, msg.password);
+        if (refused) return refused;
+
+        const id = generateId();
+        clients.set(conn, { id, lobbyCode: code, name: 'Display', spectator: true, display: true });
+        log.info(`  📺 Display attached to lobby ${code}`, { lobby: code });
+        sendTo(conn, { type: 'joined', playerId: id, lobbyCode: code, isHost: false, display: true });
+        sendTo(conn, buildLobbyState(target));
+        sendTo(conn, buildStateSnapshot(target, id));
+        return;
+      }
+
+      case 'rejoin': {
+        const code = msg.code.toUpperCase().trim();
+        const target = lobbies.get(code);
+        const player = target?.players.find(p => p.token === msg.token);
+        if (!player) return protocol.reject('SESSION_EXPIRED', null, { type: 'rejoin_failed' });
+
+        // Only one live socket per seat: the newest connection wins
+        const previous = findConnection(code, player.id);
+        if (previous && previous !== conn) {
+          clients.delete(previous);
+          sendTo(previous, { type: 'session_replaced' });
+          previous.close();
+        }
+
+        player.connected = true;
+        clock.clearTimeout(target.cleanupTimer);
+        target.cleanupTimer = null;
+        clients.set(conn, { id: player.id, lobbyCode: code, name: player.name });
+        log.info(`  ↻ ${player.name} rejoined lobby ${code}`, { lobby: code });
+        handlePlayerReturned(target, player);
+        sendTo(conn, {
+          type: 'joined',
+          playerId: player.id,
+          lobbyCode: code,
+          isHost: target.hostId === player.id,
+          sessionToken: player.token,
+          rejoined: true,
+        });
+        broadcastLobbyState(target);
+        sendTo(conn, buildStateSnapshot(target, player.id));
+        return;
+      }
+
+      case 'update_settings': {
+        const previous = lobby.settings;
+        lobby.settings = sanitizeSettings(msg.settings);
+        // Names already in the lobby go through a newly tightened filter too
+        lobby.players.forEach(p => { p.name = cleanText(lobby.settings, p.name); });
+        // Switching team mode on, or changing the team size, deals new teams
+        if (!lobby.settings.teamMode) {
+          lobby.teams = [];
+        } else if (!previous.teamMode || previous.teamSize !== lobby.settings.teamSize) {
+          // Bots don't play in teams; the host is told they've gone
+          const botCount = lobby.players.filter(p => p.bot).length;
+          lobby.players = lobby.players.filter(p => !p.bot);
+          if (botCount) sendTo(conn, { type: 'bots_removed', count: botCount });
+          shuffleTeams(lobby);
+        }
+        log.info(`  ⚙ Settings updated in lobby ${lobby.code}`, { lobby: lobby.code });
+        broadcastLobbyState(lobby);
+        return;
+      }
+
+      case 'start_game': {
+        if (lobby.players.length < 3) return protocol.reject('NOT_ENOUGH_PLAYERS');
+        if (lobby.settings.teamMode) {
+          if (lobby.teams.length < 3) return protocol.reject('NOT_ENOUGH_TEAMS');
+          if (lobby.teams.some(t => t.playerIds.length < 2)) return protocol.reject('UNEVEN_TEAMS');
+        } else if (lobby.players.length > MAX_PLAYERS) {
+          return protocol.reject('TOO_MANY_PLAYERS', { max: MAX_PLAYERS });
+        }
+        log.info(`  ▶ Game started in lobby ${lobby.code} with ${lobby.players.length} players${lobby.settings.teamMode ? ` in ${lobby.teams.length} teams` : ''}`, { lobby: lobby.code, players: lobby.players.length });
+        startGame(lobby);
+        return;
+      }
+
+      case 'add_bot': {
+        if (lobby.settings.teamMode) return protocol.reject('NO_BOTS_IN_TEAMS');
+        if (lobby.players.length >= MAX_PLAYERS) return protocol.reject('LOBBY_FULL', { max: MAX_PLAYERS });
+        addBot(lobby);
+        return;
+      }
+
+      case 'upload_question_pack': {
+        let pack;
+        try {
+          pack = questionBank.parseCustomPack(msg.name, msg.content);
+        } catch (err) {
+          return protocol.reject(err.code || 'INVALID_PACK', err.params);
+        }
+        lobby.customPack = pack;
+        if (!lobby.settings.questionPacks.includes(pack.id)) lobby.settings.questionPacks.push(pack.id);
+        log.info(`  📦 Custom pack "${pack.name}" (${pack.questions.length}) uploaded in lobby ${lobby.code}`, { lobby: lobby.code });
+        sendTo(conn, { type: 'pack_uploaded', name: pack.name, count: pack.questions.length });
+        broadcastLobbyState(lobby);
+        return;
+      }
+
+      case 'suggest_question': {
+        const question = drawLobbyQuestion(lobby, lobby.lastSuggestion);
+        if (!question) return protocol.reject('NO_QUESTION_PACKS');
+        lobby.lastSuggestion = question;
+        sendTo(conn, { type: 'question_suggestion', question: cleanText(lobby.settings, question) });
+        return;
+      }
+
+      case 'submit_question': {
+        lobby.currentQuestion = cleanText(lobby.settings, msg.question.trim());
+        if (lobby.settings.answerMode === 'mixed' && msg.answerMode) {
+          lobby.currentAnswerMode = msg.answerMode;
+        }
+        clearTimer(lobby);
+        startAnswerPhase(lobby);
+        return;
+      }
+
+      case 'submit_answer': {
+        // In team mode anyone on the team can send in (or replace) its answer
+        const seat = seatOf(lobby, client.id);
+        if (lobby.currentAnswerMode === 'drawing') {
+          const drawing = sanitizeDrawing(msg.drawing);
+          if (!drawing) return protocol.reject('INVALID_DRAWING');
+          lobby.answers.set(seat.id, { text: '', drawing });
+        } else {
+          lobby.answers.set(seat.id, { text: cleanText(lobby.settings, msg.answer || ''), drawing: null });
+        }
+        sendToSeat(lobby, seat, { type: 'answer_submitted' });
+        persistLobby(lobby);
+
+        if (!checkAllAnswered(lobby)) {
+          broadcastToLobby(lobby, {
+            type: 'answer_progress',
+            submitted: lobby.answers.size,
+            total: getAnswerers(lobby).filter(s => isConnected(lobby, s)).length,
+          });
+        }
+        return;
+      }
+
+      case 'update_draft': {
+        if (!lobby.settings.teamMode) return protocol.reject('TEAMS_OFF');
+        const seat = seatOf(lobby, client.id);
+        const draft = { text: cleanText(lobby.settings, msg.text), from: { id: client.id, name: client.name } };
+        lobby.drafts.set(seat.id, draft);
+        sendToSeat(lobby, seat, { type: 'team_draft', ...draft }, client.id);
+        return;
+      }
+
+      case 'next_reveal': {
+        advanceReveal(lobby);
+        return;
+      }
+
+      case 'submit_guesses': {
+        const problem = checkGuesses(lobby, msg);
+        if (problem) return problem;
+        lobby.guesses = new Map(Object.entries(msg.guesses));
+        lobby.guessExtras = getLobbyMode(lobby).readGuesses(msg, buildTurn(lobby));
+        clearTimer(lobby);
+        scoreGuesses(lobby);
+        return;
+      }
+
+      case 'share_guesses': {
+        if (!lobby.settings.teamMode) return protocol.reject('TEAMS_OFF');
+        const problem = checkGuesses(lobby, msg);
+        if (problem) return problem;
+        const draft = { guesses: msg.guesses, wagers: msg.wagers || {}, from: { id: client.id, name: client.name } };
+        const guesser = getGuesser(lobby);
+        lobby.drafts.set(guesser.id, draft);
+        sendToSeat(lobby, guesser, { type: 'guess_draft', ...draft }, client.id);
+        return;
+      }
+
+      case 'vote': {
+        if (client.spectator && lobby.settings.audienceVoteWeight === 0) return protocol.reject('AUDIENCE_VOTING_OFF');
+        if (!lobby.shuffledAnswers.some(a => a.id === msg.answerId)) {
+          return protocol.reject('UNKNOWN_ANSWER', null, { field: 'answerId' });
+        }
+        const votes = client.spectator ? lobby.audienceVotes : lobby.votes;
+        votes[msg.category].set(client.id, msg.answerId);
+        persistLobby(lobby);
+        checkAllVoted(lobby);
+        return;
+      }
+
+      case 'react': {
+        // Only answers that have been revealed so far
+        const index = lobby.shuffledAnswers.findIndex(a => a.id === msg.answerId);
+        if (index === -1 || (lobby.phase === 'reveal' && index > lobby.revealIndex)) {
+          return protocol.reject('UNKNOWN_ANSWER', null, { field: 'answerId' });
+        }
+        toggleReaction(lobby, client.id, msg.answerId, msg.emoji);
+        return;
+      }
+
+      case 'chat': {
+        if (lobby.phase === 'guessing' && seatOf(lobby, client.id) === getGuesser(lobby)) {
+          return protocol.reject('CHAT_HIDDEN');
+        }
+        const text = cleanText(lobby.settings, msg.text.trim());
+        if (!text) return protocol.reject('EMPTY_CHAT', null, { field: 'text' });
+        if (!allowChat(lobby, client.id)) return protocol.reject('RATE_LIMITED');
+        broadcastChat(lobby, { type: 'chat', from: { id: client.id, name: client.name }, text, sentAt: clock.now() });
+        return;
+      }
+
+      case 'leave_game': {
+        const player = lobby.players.find(p => p.id === client.id);
+        clients.delete(conn);
+        log.info(`  🚪 ${player.name} left lobby ${lobby.code}`, { lobby: lobby.code });
+        sendTo(conn, { type: 'left_game' });
+        removePlayer(lobby, player);
+        return;
+      }
+
+      case 'kick_player': {
+        const target = lobby.players.find(p => p.id === msg.playerId && !p.left);
+        if (!target) return protocol.reject('PLAYER_NOT_FOUND', null, { field: 'playerId' });
+        if (target.id === client.id) return protocol.reject('NOT_YOURSELF');
+        kickPlayer(lobby, target, !!msg.ban);
+        return;
+      }
+
+      case 'rename_player': {
+        const target = lobby.players.find(p => p.id === msg.playerId);
+        if (!target) return protocol.reject('PLAYER_NOT_FOUND', null, { field: 'playerId' });
+        renamePlayer(lobby, target, cleanText(lobby.settings, msg.name.trim() || 'Player'));
+        return;
+      }
+
+      case 'set_extra_time': {
+        const player = lobby.players.find(p => p.id === client.id);
+        player.extraTime = msg.extraTime;
+        broadcastLobbyState(lobby);
+        return;
+      }
+
+      case 'set_password': {
+        lobby.passwordHash = msg.password ? hashPassword(lobby.code, msg.password) : null;
+        log.info(`  🔑 Password ${msg.password ? 'set' : 'cleared'} in lobby ${lobby.code}`, { lobby: lobby.code });
+        broadcastLobbyState(lobby);
+        return;
+      }
+
+      case 'pause_game': {
+        if (msg.paused && !lobby.paused) pauseGame(lobby);
+        else if (!msg.paused && lobby.paused) resumeGame(lobby);
+        return;
+      }
+
+      case 'skip_phase':
+        skipPhase(lobby);
+        return;
+
+      case 'extend_timer': {
+        if (!lobby.timer && lobby.pausedRemaining === null) return protocol.reject('NO_TIMER');
+        extendTimer(lobby, EXTEND_SECONDS);
+        return;
+      }
+
+      case 'watch_lobbies': {
+        browsers.add(conn);
+        sendTo(conn, { type: 'lobby_list', lobbies: listPublicLobbies() });
+        return;
+      }
+
+      case 'unwatch_lobbies': {
+        browsers.delete(conn);
+        return;
+      }
+
+      case 'shuffle_teams': {
+        if (!lobby.settings.teamMode) return protocol.reject('TEAMS_OFF');
+        shuffleTeams(lobby);
+        log.info(`  🔀 Teams shuffled in lobby ${lobby.code}`, { lobby: lobby.code });
+        broadcastLobbyState(lobby);
+        return;
+      }
+
+      case 'move_to_team': {
+        if (!lobby.settings.teamMode) return protocol.reject('TEAMS_OFF');
+        const player = lobby.players.find(p => p.id === msg.playerId);
+        if (!player) return protocol.reject('PLAYER_NOT_FOUND', null, { field: 'playerId' });
+        const team = msg.teamId === 'new' ? createTeam(lobby) : lobby.teams.find(t => t.id === msg.teamId);
+        if (!team) return protocol.reject('UNKNOWN_TEAM', null, { field: 'teamId' });
+        if (!team.playerIds.includes(player.id)) {
+          if (team.playerIds.length >= MAX_TEAM_SIZE) return protocol.reject('TEAM_FULL', { max: MAX_TEAM_SIZE });
+          lobby.teams.forEach(t => { t.playerIds = t.playerIds.filter(id => id !== player.id); });
+          team.playerIds.push(player.id);
+          tidyTeams(lobby);
+        }
+        broadcastLobbyState(lobby);
+        return;
+      }
+
+      case 'lock_lobby': {
+        lobby.locked = msg.locked;
+        log.info(`  ${msg.locked ? '🔒' : '🔓'} Lobby ${lobby.code} ${msg.locked ? 'locked' : 'unlocked'}`, { lobby: lobby.code });
+        broadcastLobbyState(lobby);
+        return;
+      }
+
+      case 'set_music': {
+        lobby.settings.music = msg.music;
+        log.info(`  🎵 Music ${msg.music ? 'on' : 'off'} in lobby ${lobby.code}`, { lobby: lobby.code });
+        broadcastLobbyState(lobby);
+        return;
+      }
+
+      case 'reject_answer': {
+        // Only answers already on screen can be pulled
+        const index = lobby.shuffledAnswers.findIndex(a => a.id === msg.answerId);
+        if (index === -1 || index > lobby.revealIndex) {
+          return protocol.reject('UNKNOWN_ANSWER', null, { field: 'answerId' });
+        }
+        rejectAnswer(lobby, index);
+        return;
+      }
+
+      case 'next_turn': {
+        nextTurn(lobby);
+        return;
+      }
+
+      case 'play_again': {
+        lobby.phase = 'lobby';
+        lobby.players = lobby.players.filter(p => !p.left);
+        lobby.players.forEach(p => p.score = 0);
+        tidyTeams(lobby);
+        lobby.teams.forEach(t => t.score = 0);
+        broadcastToLobby(lobby, { type: 'phase', phase: 'lobby' });
+        broadcastLobbyState(lobby);
+        return;
+      }
+    }
+  }
+
+  return {
+    lobbies,
+    profiles,
+    handleMessage,
+    handleDisconnect,
+    restoreLobbies,
+    getHistory,
+    getLobbyStats,
+    canReadLobby,
+    listPublicLobbies,
+    listLobbies,
+    closeLobby,
+    getMetrics,
+  };
+}
+
+module.exports = { createGame, systemClock, DEFAULT_SETTINGS, DEFAULT_LIMITS };
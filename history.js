@@ -0,0 +1,278 @@
+// ─── GAME HISTORY ──────────────────────────────────────────────────
+// Every game is written down turn by turn as it's played, so the game-over
+// screen can show a recap and the whole transcript can be downloaded
+// afterwards (/lobby/CODE/history). A game record is plain JSON:
+//
+//   { code, startedAt, endedAt, scoringMode, settings,
+//     players: [{ id, name }], turns: [turn], scoreboard }
+//
+//   turn: { number, round, guesser: { id, name }, skipped, question,
+//           answers: [{ text, drawing, author, guessed, correct, stake,
+//                       reactions: { emoji: count }, votes: { best, funniest } }],
+//           points: [{ player: { id, name }, points, reason, category }] }
+//
+// `category` is set ('best' or 'funniest') only on vote awards. `endedAt`
+// and `scoreboard` stay null until the game is over.
+// In a team game the players, authors and guessers are teams.
+
+const { BOARD_WIDTH, BOARD_HEIGHT } = require('./drawing');
+const i18n = require('./i18n');
+
+function createGameRecord({ code, settings, scoringMode, players, startedAt }) {
+  return {
+    code,
+    startedAt,
+    endedAt: null,
+    scoringMode,
+    settings,
+    players: players.map(p => ({ id: p.id, name: p.name })),
+    turns: [],
+    scoreboard: null,
+  };
+}
+
+function recordTurn(game, turn) {
+  game.turns.push({ skipped: false, question: null, answers: [], points: [], ...turn });
+}
+
+function finishGameRecord(game, { endedAt, scoreboard }) {
+  game.endedAt = endedAt;
+  game.scoreboard = scoreboard;
+}
+
+// ─── BEST MOMENTS ──────────────────────────────────────────────────
+// A handful of highlights picked from the transcript. Each one is
+// { id, icon, title, text, params } plus the answer it's about, if any.
+// The title and text are English; clients translate them by id, as
+// moments.ID.title and moments.ID.text filled in from `params`.
+function moment(id, icon, params) {
+  const en = i18n.DEFAULT_LANGUAGE;
+  return {
+    id,
+    icon,
+    title: i18n.translate(en, `moments.${id}.title`),
+    text: i18n.translate(en, `moments.${id}.text`, params),
+    params,
+  };
+}
+
+function findMoments(game) {
+  const played = game.turns.filter(t => !t.skipped && t.answers.length > 0);
+  const moments = [];
+
+  // Best read: the most answers matched in one turn (ratio breaks ties)
+  let bestRead = null;
+  for (const turn of played) {
+    const correct = turn.answers.filter(a => a.correct).length;
+    const score = correct + correct / turn.answers.length;
+    if (correct > 0 && (!bestRead || score > bestRead.score)) bestRead = { turn, correct, score };
+  }
+  if (bestRead) {
+    const { turn, correct } = bestRead;
+    moments.push(moment('mind-reader', '🔮', {
+      name: turn.guesser.name, correct, total: turn.answers.length, question: turn.question,
+    }));
+  }
+
+  // Best disguise: the answerer whose answers were pinned on someone else most
+  const fooled = new Map();
+  for (const turn of played) {
+    for (const answer of turn.answers) {
+      if (answer.correct) continue;
+      const entry = fooled.get(answer.author.id) || { player: answer.author, count: 0 };
+      entry.count++;
+      fooled.set(answer.author.id, entry);
+    }
+  }
+  const disguise = [...fooled.values()].sort((a, b) => b.count - a.count)[0];
+  if (disguise) {
+    moments.push(moment('master-of-disguise', '🥸', { name: disguise.player.name, count: disguise.count }));
+  }
+
+  // Crowd favourite: the single answer with the most votes across both
+  // categories. Reactions break ties, and decide it when nobody voted.
+  let favourite = null;
+  for (const turn of played) {
+    for (const answer of turn.answers) {
+      const votes = (answer.votes?.best || 0) + (answer.votes?.funniest || 0);
+      const reactions = countReactions(answer.reactions);
+      const beats = !favourite || votes > favourite.votes
+        || (votes === favourite.votes && reactions > favourite.reactions);
+      if ((votes > 0 || reactions > 0) && beats) favourite = { turn, answer, votes, reactions };
+    }
+  }
+  if (favourite) {
+    moments.push({
+      ...moment('crowd-favourite', '⭐', { name: favourite.answer.author.name, question: favourite.turn.question }),
+      answer: { text: favourite.answer.text, drawing: favourite.answer.drawing },
+    });
+  }
+
+  // Biggest turn: the most points one player took from a single turn
+  let biggest = null;
+  for (const turn of played) {
+    const totals = new Map();
+    for (const entry of turn.points) {
+      const total = (totals.get(entry.player.id)?.points || 0) + entry.points;
+      totals.set(entry.player.id, { player: entry.player, points: total });
+    }
+    for (const total of totals.values()) {
+      if (total.points > 0 && (!biggest || total.points > biggest.points)) biggest = { ...total, turn };
+    }
+  }
+  if (biggest) {
+    moments.push(moment('biggest-turn', '💥', {
+      name: biggest.player.name, points: roundPoints(biggest.points), turn: biggest.turn.number,
+    }));
+  }
+
+  return moments;
+}
+
+// Games recorded before reactions have none
+function countReactions(reactions = {}) {
+  return Object.values(reactions).reduce((sum, n) => sum + n, 0);
+}
+
+function roundPoints(n) {
+  return Math.round(n * 100) / 100;
+}
+
+// ─── TRANSCRIPTS ───────────────────────────────────────────────────
+function formatDate(ms) {
+  return ms ? new Date(ms).toISOString().replace('T', ' ').slice(0, 16) + ' UTC' : 'in progress';
+}
+
+function signed(points) {
+  return points > 0 ? `+${points}` : `${points}`;
+}
+
+// Votes, then reactions: "⭐ 2 😂 1 🔥 3". Only fixed emoji, safe in either format.
+function describeVotes(answer) {
+  return [
+    answer.votes.best && `⭐ ${answer.votes.best}`,
+    answer.votes.funniest && `😂 ${answer.votes.funniest}`,
+    ...Object.entries(answer.reactions || {}).map(([emoji, n]) => `${emoji} ${n}`),
+  ].filter(Boolean).join(' ');
+}
+
+function markdownText(s) {
+  return String(s).replace(/([\\`*_[\]<>#|])/g, '\\$1').replace(/\r?\n/g, ' ');
+}
+
+function toMarkdown(game) {
+  const lines = [
+    `# Pen and Paper — game ${game.code}`,
+    '',
+    `- Started: ${formatDate(game.startedAt)}`,
+    `- Ended: ${formatDate(game.endedAt)}`,
+    `- Mode: ${markdownText(game.scoringMode.name)}`,
+    `- Players: ${game.players.map(p => markdownText(p.name)).join(', ')}`,
+    '',
+  ];
+
+  if (game.scoreboard) {
+    lines.push('## Final standings', '');
+    game.scoreboard.forEach((p, i) => lines.push(`${i + 1}. ${markdownText(p.name)} — ${p.score} pts`));
+    lines.push('');
+  }
+
+  const moments = findMoments(game);
+  if (moments.length) {
+    lines.push('## Best moments', '');
+    moments.forEach(m => lines.push(`- ${m.icon} **${m.title}:** ${markdownText(m.text)}`));
+    lines.push('');
+  }
+
+  for (const turn of game.turns) {
+    lines.push(`## Turn ${turn.number} · round ${turn.round} · ${markdownText(turn.guesser.name)} guessing`, '');
+    if (turn.skipped) {
+      lines.push('_Skipped — the guesser was away._', '');
+      continue;
+    }
+    lines.push(`> ${markdownText(turn.question)}`, '');
+    lines.push('| Answer | Written by | Guessed | Votes |', '| --- | --- | --- | --- |');
+    for (const a of turn.answers) {
+      const answer = a.drawing ? '_(drawing)_' : markdownText(a.text);
+      const guess = `${a.correct ? '✅' : '❌'} ${a.guessed ? markdownText(a.guessed.name) : 'no guess'}${a.stake ? ` (${a.stake}×)` : ''}`;
+      lines.push(`| ${answer} | ${markdownText(a.author.name)} | ${guess} | ${describeVotes(a)} |`);
+    }
+    lines.push('');
+    for (const e of turn.points) lines.push(`- ${markdownText(e.player.name)} ${signed(e.points)}: ${markdownText(e.reason)}`);
+    lines.push('');
+  }
+
+  return lines.join('\n');
+}
+
+function escapeHtml(s) {
+  return String(s).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+}
+
+// Only ever called on drawings that went through sanitizeDrawing, so the
+// colours and coordinates are safe to drop straight into the markup
+function drawingToSvg(drawing) {
+  const lines = drawing.strokes.map(s => {
+    const points = [];
+    for (let i = 0; i < s.p.length; i += 2) points.push(`${s.p[i]},${s.p[i + 1]}`);
+    if (points.length === 1) points.push(points[0]);
+    return `<polyline points="${points.join(' ')}" stroke="${s.c}" stroke-width="${s.w}" fill="none" stroke-linecap="round" stroke-linejoin="round"/>`;
+  }).join('');
+  return `<svg viewBox="0 0 ${BOARD_WIDTH} ${BOARD_HEIGHT}" role="img" aria-label="Drawing">${lines}</svg>`;
+}
+
+// A self-contained page that prints cleanly
+function toHtml(game) {
+  const moments = findMoments(game);
+  const turns = game.turns.map(turn => {
+    const header = `<h2>Turn ${turn.number} <small>round ${turn.round} · ${escapeHtml(turn.guesser.name)} guessing</small></h2>`;
+    if (turn.skipped) return `<section>${header}<p class="muted">Skipped — the guesser was away.</p></section>`;
+    const rows = turn.answers.map(a => `
+      <tr class="${a.correct ? 'right' : 'wrong'}">
+        <td>${a.drawing ? drawingToSvg(a.drawing) : `“${escapeHtml(a.text)}”`}</td>
+        <td>${escapeHtml(a.author.name)}</td>
+        <td>${a.correct ? '✅' : '❌'} ${a.guessed ? escapeHtml(a.guessed.name) : 'no guess'}${a.stake ? ` (${a.stake}×)` : ''}</td>
+        <td>${describeVotes(a)}</td>
+      </tr>`).join('');
+    const points = turn.points.map(e => `<li><strong>${escapeHtml(e.player.name)}</strong> ${signed(e.points)} · ${escapeHtml(e.reason)}</li>`).join('');
+    return `<section>${header}
+      <blockquote>${escapeHtml(turn.question)}</blockquote>
+      <table><thead><tr><th>Answer</th><th>Written by</th><th>Guessed</th><th>Votes</th></tr></thead><tbody>${rows}</tbody></table>
+      ${points ? `<ul>${points}</ul>` : ''}
+    </section>`;
+  }).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>Pen and Paper — game ${escapeHtml(game.code)}</title>
+<style>
+  body { font-family: system-ui, sans-serif; max-width: 760px; margin: 32px auto; padding: 0 16px; color: #1C1917; }
+  h1 { margin-bottom: 4px; }
+  h2 { margin-top: 28px; font-size: 1.1rem; border-bottom: 2px solid #E7E5E4; padding-bottom: 4px; }
+  h2 small { font-weight: 400; color: #78716C; }
+  .muted, .meta { color: #78716C; }
+  blockquote { margin: 8px 0; font-size: 1.05rem; font-weight: 600; }
+  table { width: 100%; border-collapse: collapse; font-size: 0.92rem; }
+  th, td { text-align: left; padding: 6px 8px; border-bottom: 1px solid #E7E5E4; vertical-align: middle; }
+  tr.wrong td:nth-child(3) { color: #DC2626; }
+  svg { width: 160px; height: 120px; background: #fff; border: 1px solid #E7E5E4; border-radius: 6px; }
+  ul { padding-left: 20px; }
+  section { break-inside: avoid; }
+  @media print { body { margin: 0; } }
+</style>
+</head>
+<body>
+<h1>Pen and Paper — game ${escapeHtml(game.code)}</h1>
+<p class="meta">${formatDate(game.startedAt)} → ${formatDate(game.endedAt)} · ${escapeHtml(game.scoringMode.name)} · ${game.players.map(p => escapeHtml(p.name)).join(', ')}</p>
+${game.scoreboard ? `<h2>Final standings</h2><ol>${game.scoreboard.map(p => `<li><strong>${escapeHtml(p.name)}</strong> — ${p.score} pts</li>`).join('')}</ol>` : ''}
+${moments.length ? `<h2>Best moments</h2><ul>${moments.map(m => `<li>${m.icon} <strong>${m.title}:</strong> ${escapeHtml(m.text)}</li>`).join('')}</ul>` : ''}
+${turns}
+</body>
+</html>
+`;
+}
+
+module.exports = { createGameRecord, recordTurn, finishGameRecord, findMoments, toMarkdown, toHtml };
@@ -0,0 +1,75 @@
+const fs = require('fs');
+const path = require('path');
+
+// ─── TRANSLATIONS ──────────────────────────────────────────────────
+// Catalogs are JSON files in locales/, one language per file:
+//   { "id": "es", "name": "Español", "strings": { "lobby.start": "Empezar partida", ... } }
+// Keys are flat dotted names. `{name}` in a string is filled in from the
+// params it's shown with, and a key that reads differently for one and
+// many has a form per Intl.PluralRules category, chosen by params.count:
+//   "rounds.one": "{count} round", "rounds.other": "{count} rounds"
+//
+// The server itself speaks English: errors carry a code and params, point
+// entries and moments a key and params, and the client looks those up in
+// the player's own catalog. Anything a catalog is missing falls back to
+// English.
+
+const LOCALES_DIR = path.join(__dirname, 'locales');
+const DEFAULT_LANGUAGE = 'en';
+
+// Read by load(), which the server calls at startup with its logger.
+// Anything that looks a catalog up first loads them itself.
+const catalogs = new Map();
+let loaded = false;
+
+function load({ dir = LOCALES_DIR, log = console } = {}) {
+  catalogs.clear();
+  loaded = true;
+  if (!fs.existsSync(dir)) return;
+  for (const file of fs.readdirSync(dir).filter(f => f.endsWith('.json')).sort()) {
+    try {
+      const data = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+      const id = data.id || path.basename(file, '.json');
+      catalogs.set(id, { id, name: data.name || id, strings: data.strings || {} });
+    } catch (err) {
+      log.error(`  ❌ Skipping translation catalog ${file}: ${err.message}`);
+    }
+  }
+}
+
+function loadedCatalogs() {
+  if (!loaded) load();
+  return catalogs;
+}
+
+function listLanguages() {
+  return [...loadedCatalogs().values()].map(({ id, name }) => ({ id, name }));
+}
+
+function getCatalog(id) {
+  return loadedCatalogs().get(id) || null;
+}
+
+// Fills `{param}` placeholders; unknown ones are left as they are
+function format(template, params = {}) {
+  return template.replace(/\{(\w+)\}/g, (match, key) => (params[key] === undefined ? match : String(params[key])));
+}
+
+// The string for a key in one catalog, taking plural forms into account
+function lookup(strings, lang, key, params) {
+  if (typeof params.count === 'number') {
+    const form = new Intl.PluralRules(lang).select(params.count);
+    return strings[`${key}.${form}`] ?? strings[`${key}.other`] ?? strings[key];
+  }
+  return strings[key];
+}
+
+// A key in the given language, then in English, then the key itself
+function translate(lang, key, params = {}) {
+  const template = lookup(getCatalog(lang)?.strings || {}, lang, key, params)
+    ?? lookup(getCatalog(DEFAULT_LANGUAGE)?.strings || {}, DEFAULT_LANGUAGE, key, params)
+    ?? key;
+  return format(template, params);
+}
+
+module.exports = { DEFAULT_LANGUAGE, load, listLanguages, getCatalog, format, translate };
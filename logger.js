@@ -0,0 +1,48 @@
+// ─── LOGGING ───────────────────────────────────────────────────────
+// Everything on the server logs through a { info, error } object. Two
+// kinds are on offer:
+//
+//   console   the usual friendly output, emoji and all (the default)
+//   json      one JSON object per line, for log collectors:
+//
+//     {"time":"…","level":"info","msg":"Game started in lobby KQ7ZP","lobby":"KQ7ZP"}
+//
+// A plain object passed as the last argument holds structured fields.
+// The console logger leaves it out; the JSON one merges it into the line.
+
+function splitFields(args) {
+  const last = args[args.length - 1];
+  const hasFields = args.length > 1 && typeof last === 'object' && last !== null && !Array.isArray(last);
+  return hasFields ? [args.slice(0, -1), last] : [args, null];
+}
+
+function createConsoleLogger(target = console) {
+  return {
+    info: (...args) => target.log(...splitFields(args)[0]),
+    error: (...args) => target.error(...splitFields(args)[0]),
+  };
+}
+
+// The indent and emoji that lead each console line are just decoration
+const DECORATION = /^[\s\p{Extended_Pictographic}\p{S}\uFE0F]+/u;
+
+function createJsonLogger({ write = (line) => process.stdout.write(line), now = Date.now } = {}) {
+  function emit(level, args) {
+    const [parts, fields] = splitFields(args);
+    const msg = parts.map(String).join(' ').replace(DECORATION, '');
+    // Blank lines only space out the console
+    if (!msg && !fields) return;
+    write(JSON.stringify({ time: new Date(now()).toISOString(), level, msg, ...fields }) + '\n');
+  }
+  return {
+    info: (...args) => emit('info', args),
+    error: (...args) => emit('error', args),
+  };
+}
+
+// LOG_FORMAT picks one: 'json', or anything else for the console
+function createLogger(format) {
+  return format === 'json' ? createJsonLogger() : createConsoleLogger();
+}
+
+module.exports = { createLogger, createConsoleLogger, createJsonLogger };
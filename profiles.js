@@ -0,0 +1,172 @@
+const crypto = require('crypto');
+
+// ─── PLAYER PROFILES ───────────────────────────────────────────────
+// Optional and login-free: a client that wants lifetime stats sends a
+// random device key it keeps in local storage when it joins. The key is
+// a secret, so profiles are stored and shown under a hash of it instead:
+//
+//   { id, name, createdAt, updatedAt, stats: {
+//       gamesPlayed, gamesWon, points,
+//       guessesMade, guessesCorrect,      as the guesser
+//       answersWritten, answersSpotted,   how often the guesser found them
+//       bestAwards, funniestAwards } }
+//
+// Stats are added up from the finished game's record (see history.js).
+// Profiles live in a store like lobbies do (see storage.js), one
+// snapshot per profile id.
+
+// A rate needs this many guesses or answers behind it before it's ranked
+const MIN_FOR_RATES = 5;
+const LEADERBOARD_SIZE = 5;
+
+function profileIdFor(deviceKey) {
+  return crypto.createHash('sha256').update(deviceKey).digest('hex').slice(0, 16);
+}
+
+function emptyStats() {
+  return {
+    gamesPlayed: 0,
+    gamesWon: 0,
+    points: 0,
+    guessesMade: 0,
+    guessesCorrect: 0,
+    answersWritten: 0,
+    answersSpotted: 0,
+    bestAwards: 0,
+    funniestAwards: 0,
+  };
+}
+
+function ratio(part, whole) {
+  return whole > 0 ? Math.round((part / whole) * 100) / 100 : null;
+}
+
+// A profile as the outside world sees it, with the rates worked out
+function summarize(profile) {
+  const s = profile.stats;
+  return {
+    id: profile.id,
+    name: profile.name,
+    stats: { ...s },
+    winRate: ratio(s.gamesWon, s.gamesPlayed),
+    guessAccuracy: ratio(s.guessesCorrect, s.guessesMade),
+    spottedRate: ratio(s.answersSpotted, s.answersWritten),
+  };
+}
+
+// Top few for each board. Rate boards only rank players with enough games
+// behind them; "best disguise" is the predictable board upside down.
+function buildLeaderboards(summaries) {
+  const board = (list, value, ascending = false) => list
+    .map(p => ({ id: p.id, name: p.name, value: value(p) }))
+    .filter(e => e.value !== null && (ascending || e.value > 0))
+    .sort((a, b) => ascending ? a.value - b.value : b.value - a.value)
+    .slice(0, LEADERBOARD_SIZE);
+  const guessers = summaries.filter(p => p.stats.guessesMade >= MIN_FOR_RATES);
+  const writers = summaries.filter(p => p.stats.answersWritten >= MIN_FOR_RATES);
+
+  return {
+    mostWins: board(summaries, p => p.stats.gamesWon),
+    sharpestGuesser: board(guessers, p => p.guessAccuracy),
+    mostPredictable: board(writers, p => p.spottedRate),
+    bestDisguise: board(writers, p => p.spottedRate, true),
+    mostBestAwards: board(summaries, p => p.stats.bestAwards),
+    mostFunniestAwards: board(summaries, p => p.stats.funniestAwards),
+  };
+}
+
+// What one finished game adds to each player's stats
+function tallyGame(game) {
+  const tallies = new Map();
+  const tallyFor = (id) => {
+    if (!tallies.has(id)) tallies.set(id, emptyStats());
+    return tallies.get(id);
+  };
+
+  const top = Math.max(...game.scoreboard.map(p => p.score));
+  for (const p of game.scoreboard) {
+    const t = tallyFor(p.id);
+    t.gamesPlayed = 1;
+    t.gamesWon = top > 0 && p.score === top ? 1 : 0;
+    t.points = p.score;
+  }
+
+  for (const turn of game.turns) {
+    if (turn.skipped) continue;
+    const guesser = tallyFor(turn.guesser.id);
+    for (const answer of turn.answers) {
+      guesser.guessesMade++;
+      if (answer.correct) guesser.guessesCorrect++;
+      const author = tallyFor(answer.author.id);
+      author.answersWritten++;
+      if (answer.correct) author.answersSpotted++;
+    }
+    for (const entry of turn.points) {
+      if (entry.category === 'best') tallyFor(entry.player.id).bestAwards++;
+      if (entry.category === 'funniest') tallyFor(entry.player.id).funniestAwards++;
+    }
+  }
+  return tallies;
+}
+
+function createProfiles(store, { log = console } = {}) {
+  const profiles = new Map();
+
+  function save(profile) {
+    store.save(profile.id, profile).catch(err => {
+      log.error(`  ❌ Could not save profile ${profile.id}:`, err.message);
+    });
+  }
+
+  return {
+    async load() {
+      for (const saved of await store.load()) {
+        profiles.set(saved.id, { ...saved, stats: { ...emptyStats(), ...saved.stats } });
+      }
+      if (profiles.size) log.info(`  👤 Loaded ${profiles.size} player profiles from ${store.name} store`);
+    },
+
+    // Finds or creates the profile for a device key and files it under the
+    // name the player is using now. Returns the profile id.
+    attach(deviceKey, name, now) {
+      const id = profileIdFor(deviceKey);
+      const profile = profiles.get(id) || { id, name, createdAt: now, stats: emptyStats() };
+      profile.name = name;
+      profile.updatedAt = now;
+      profiles.set(id, profile);
+      save(profile);
+      return id;
+    },
+
+    get(id) {
+      const profile = profiles.get(id);
+      return profile ? summarize(profile) : null;
+    },
+
+    // `profileOf` maps the game's player ids to profile ids; players without
+    // one aren't tracked. A profile sitting in two seats only counts once.
+    recordGame(game, profileOf, now) {
+      const counted = new Set();
+      for (const [playerId, tally] of tallyGame(game)) {
+        const profile = profiles.get(profileOf.get(playerId));
+        if (!profile || counted.has(profile.id)) continue;
+        counted.add(profile.id);
+        for (const key of Object.keys(tally)) profile.stats[key] += tally[key];
+        profile.stats.points = Math.round(profile.stats.points * 100) / 100;
+        profile.updatedAt = now;
+        save(profile);
+      }
+    },
+
+    // Everyone's stats plus the leaderboards, optionally limited to some ids
+    leaderboard(ids) {
+      const list = ids
+        ? [...new Set(ids)].map(id => profiles.get(id)).filter(Boolean)
+        : [...profiles.values()];
+      const summaries = list.map(summarize).sort((a, b) => b.stats.gamesWon - a.stats.gamesWon);
+      return { players: summaries, leaderboards: buildLeaderboards(summaries) };
+    },
+  };
+}
+
+module.exports = { createProfiles, profileIdFor, MIN_FOR_RATES };
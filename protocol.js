@@ -0,0 +1,264 @@
+const { format } = require('./i18n');
+
+// ─── PROTOCOL ──────────────────────────────────────────────────────
+// Every message a client may send, who may send it and when, and what its
+// fields must look like. The engine checks each message against this table
+// before acting on it, so nothing invalid is ever silently ignored:
+//
+//   → { type: 'submit_answer', answer: 'Pizza', requestId: 7 }
+//   ← { type: 'ack', requestId: 7, request: 'submit_answer' }
+//   ← { type: 'error', code: 'WRONG_PHASE', message: '…', requestId: 7 }
+//
+// The `message` is English, for logs and scripts; clients show their own
+// translation of the code (see i18n.js), filled in from `params` when the
+// error has any.
+//
+// `requestId` (a string or number) is optional on any message. When it's
+// there, exactly one ack or error settles the request and echoes it back;
+// other replies (joined, answer_submitted, …) are sent as usual.
+//
+// A message spec is { fields, role, phases }:
+//
+//   fields   name → { type, optional, max, values }
+//            type is 'string', 'boolean', 'object' or 'record' (an
+//            object whose values are all of type `of`)
+//   role     'host', 'guesser', 'answerer' or 'player' — needs a seat in a
+//            lobby; 'voter' also lets spectators in. No role: anyone. In
+//            team mode the whole guessing team counts as the guesser.
+//   phases   lobby phases the message is allowed in (default: any)
+
+// Messages may have `{param}` placeholders, filled in by reject()
+const ERRORS = {
+  INVALID_JSON: "That message wasn't valid JSON",
+  UNKNOWN_TYPE: 'Unknown message type',
+  INVALID_PAYLOAD: 'That message is missing something or has a bad value',
+  NOT_IN_LOBBY: "You're not in a lobby",
+  NOT_A_PLAYER: 'Only players can do that',
+  NOT_HOST: 'Only the host can do that',
+  NOT_GUESSER: 'Only the guesser can do that',
+  NOT_ANSWERER: "The guesser doesn't answer their own question",
+  JOINING_NEXT_TURN: "You'll join in from the next question",
+  WRONG_PHASE: "That can't be done right now",
+  LOBBY_NOT_FOUND: 'Lobby not found',
+  LOBBY_FULL: 'Lobby is full (max {max})',
+  SERVER_FULL: 'The server is full right now — try again in a little while',
+  TOO_MANY_LOBBIES: "You've started a lot of lobbies — try again in a few minutes",
+  NOT_ENOUGH_PLAYERS: 'Need at least 3 players',
+  TOO_MANY_PLAYERS: 'Too many players to play without teams (max {max})',
+  NOT_ENOUGH_TEAMS: 'Need at least 3 teams',
+  UNEVEN_TEAMS: 'Every team needs 2 or 3 players',
+  TEAMS_OFF: 'Team mode is turned off',
+  NO_BOTS_IN_TEAMS: "Bots can't play in team mode",
+  UNKNOWN_TEAM: "That team doesn't exist",
+  TEAM_FULL: 'That team is full (max {max})',
+  SESSION_EXPIRED: 'Your game has ended',
+  UNKNOWN_ANSWER: "That answer isn't in this turn",
+  UNKNOWN_PLAYER: "That player isn't answering this turn",
+  PLAYER_NOT_FOUND: "That player isn't in this lobby",
+  INVALID_DRAWING: "That drawing couldn't be sent — try a simpler one",
+  INVALID_PACK: "That question pack couldn't be used",
+  PACK_EMPTY: 'That pack is empty',
+  PACK_TOO_BIG: 'That pack is too big (max {max} KB)',
+  PACK_NOT_JSON: "That pack isn't valid JSON",
+  PACK_NO_QUESTION_LIST: 'A JSON pack needs a "questions" list',
+  PACK_NO_QUESTIONS: 'No questions found in that pack',
+  NO_QUESTION_PACKS: 'No question packs enabled',
+  AUDIENCE_VOTING_OFF: 'Audience voting is turned off',
+  LOBBY_LOCKED: 'This lobby is locked',
+  PASSWORD_REQUIRED: 'This lobby needs a password',
+  WRONG_PASSWORD: "That password isn't right",
+  BANNED: "You've been removed from this lobby",
+  NOT_YOURSELF: "You can't do that to yourself",
+  NO_TIMER: "There's no timer running",
+  CHAT_HIDDEN: "Chat is hidden while you're guessing",
+  EMPTY_CHAT: 'Say something first',
+  RATE_LIMITED: "You're sending messages too fast — slow down a little",
+};
+
+// Emoji anyone can react to a revealed answer with
+const REACTIONS = ['😆', '😮', '🔥', '❤️', '👏', '💀'];
+
+const name = { type: 'string', max: 20, optional: true };
+const code = { type: 'string', max: 5 };
+// Opts the player into a profile with lifetime stats (see profiles.js)
+const deviceKey = { type: 'string', max: 64, optional: true };
+// Needed by players, spectators and displays alike once the host sets one
+const password = { type: 'string', max: 32, optional: true };
+
+const MESSAGES = {
+  create_lobby: { fields: { name, deviceKey } },
+  join_lobby: { fields: { code, name, deviceKey, password } },
+  join_as_spectator: { fields: { code, name, deviceKey, password } },
+  join_display: { fields: { code, password } },
+  rejoin: { fields: { code, token: { type: 'string', max: 64 } } },
+  update_settings: { role: 'host', phases: ['lobby'], fields: { settings: { type: 'object' } } },
+  start_game: { role: 'host', phases: ['lobby'] },
+  // Seats a bot player (see bots.js); kick_player takes it off again
+  add_bot: { role: 'host', phases: ['lobby'] },
+  upload_question_pack: {
+    role: 'host',
+    phases: ['lobby'],
+    fields: { name: { type: 'string', max: 200, optional: true }, content: { type: 'string' } },
+  },
+  suggest_question: { role: 'guesser', phases: ['question'] },
+  submit_question: {
+    role: 'guesser',
+    phases: ['question'],
+    fields: {
+      question: { type: 'string', max: 200 },
+      answerMode: { type: 'string', values: ['text', 'drawing'], optional: true },
+    },
+  },
+  submit_answer: {
+    role: 'answerer',
+    phases: ['answering'],
+    fields: { answer: { type: 'string', max: 300, optional: true }, drawing: { type: 'object', optional: true } },
+  },
+  // Team mode: teammates see each other's draft answer and matches as
+  // they're worked on. Anyone on the team can then send in the final one.
+  update_draft: { role: 'answerer', phases: ['answering'], fields: { text: { type: 'string', max: 300 } } },
+  next_reveal: { role: 'guesser', phases: ['reveal'] },
+  submit_guesses: {
+    role: 'guesser',
+    phases: ['guessing'],
+    fields: {
+      guesses: { type: 'record', of: 'string' },
+      wagers: { type: 'record', of: 'number', optional: true },
+    },
+  },
+  share_guesses: {
+    role: 'guesser',
+    phases: ['guessing'],
+    fields: {
+      guesses: { type: 'record', of: 'string' },
+      wagers: { type: 'record', of: 'number', optional: true },
+    },
+  },
+  vote: {
+    role: 'voter',
+    phases: ['voting'],
+    fields: {
+      category: { type: 'string', values: ['best', 'funniest'] },
+      answerId: { type: 'string', max: 64 },
+    },
+  },
+  next_turn: { role: 'host', phases: ['results'] },
+  play_again: { role: 'host', phases: ['gameover'] },
+  leave_game: { role: 'player' },
+  react: {
+    role: 'voter',
+    phases: ['reveal', 'guessing', 'voting', 'results'],
+    fields: { answerId: { type: 'string', max: 64 }, emoji: { type: 'string', values: REACTIONS } },
+  },
+  // Rate limited (see CHAT_LIMIT in game.js). Kept out of the question and
+  // answer phases, where it could give answers away.
+  chat: {
+    role: 'player',
+    phases: ['reveal', 'guessing', 'voting', 'results'],
+    fields: { text: { type: 'string', max: 200 } },
+  },
+  shuffle_teams: { role: 'host', phases: ['lobby'] },
+  move_to_team: {
+    role: 'host',
+    phases: ['lobby'],
+    // 'new' starts a team of their own
+    fields: { playerId: { type: 'string', max: 64 }, teamId: { type: 'string', max: 64 } },
+  },
+
+  // Moderation. Mid-game, a kicked player leaves the way leave_game does.
+  kick_player: {
+    role: 'host',
+    fields: { playerId: { type: 'string', max: 64 }, ban: { type: 'boolean', optional: true } },
+  },
+  rename_player: {
+    role: 'host',
+    fields: { playerId: { type: 'string', max: 64 }, name: { type: 'string', max: 20 } },
+  },
+  reject_answer: { role: 'host', phases: ['reveal'], fields: { answerId: { type: 'string', max: 64 } } },
+  lock_lobby: { role: 'host', fields: { locked: { type: 'boolean' } } },
+  // An empty password takes it off again
+  set_password: { role: 'host', fields: { password: { type: 'string', max: 32 } } },
+  // Background music, which the host can also turn on or off mid-game
+  set_music: { role: 'host', fields: { music: { type: 'boolean' } } },
+
+  // Pacing. A paused game keeps going — players can still answer, guess
+  // and vote — but its timers stand still until the host resumes it.
+  pause_game: {
+    role: 'host',
+    phases: ['question', 'answering', 'reveal', 'guessing', 'voting', 'results'],
+    fields: { paused: { type: 'boolean' } },
+  },
+  skip_phase: { role: 'host', phases: ['question', 'answering', 'reveal', 'guessing', 'voting'] },
+  // Adds 30 seconds to the phase's timer
+  extend_timer: { role: 'host', phases: ['question', 'answering', 'guessing', 'voting'] },
+
+  // Accessibility. A player who needs longer turns their own extra time
+  // on; it stretches the timers of every phase they play in.
+  set_extra_time: { role: 'player', fields: { extraTime: { type: 'boolean' } } },
+
+  // The public lobby browser on the home screen
+  watch_lobbies: {},
+  unwatch_lobbies: {},
+};
+
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function checkField(key, spec, value) {
+  if (value === undefined || value === null) {
+    return spec.optional ? null : `"${key}" is required`;
+  }
+  switch (spec.type) {
+    case 'string':
+      if (typeof value !== 'string') return `"${key}" must be a string`;
+      if (spec.max && value.length > spec.max) return `"${key}" is too long (max ${spec.max})`;
+      if (spec.values && !spec.values.includes(value)) return `"${key}" must be one of ${spec.values.join(', ')}`;
+      return null;
+    case 'boolean':
+      return typeof value === 'boolean' ? null : `"${key}" must be true or false`;
+    case 'object':
+      return isPlainObject(value) ? null : `"${key}" must be an object`;
+    case 'record':
+      if (!isPlainObject(value)) return `"${key}" must be an object`;
+      for (const item of Object.values(value)) {
+        if (typeof item !== spec.of) return `"${key}" values must be ${spec.of}s`;
+      }
+      return null;
+    default:
+      return null;
+  }
+}
+
+// Checks a parsed message's shape. Returns null if it's fine, or
+// { code, message, field } describing the first problem found.
+function validateMessage(msg) {
+  if (!isPlainObject(msg) || typeof msg.type !== 'string') {
+    return { code: 'INVALID_PAYLOAD', message: 'A message needs a "type"' };
+  }
+  const spec = MESSAGES[msg.type];
+  if (!spec) return { code: 'UNKNOWN_TYPE', message: `Unknown message type "${msg.type.slice(0, 40)}"` };
+  if (msg.requestId !== undefined && !['string', 'number'].includes(typeof msg.requestId)) {
+    return { code: 'INVALID_PAYLOAD', message: '"requestId" must be a string or number', field: 'requestId' };
+  }
+  for (const [key, fieldSpec] of Object.entries(spec.fields || {})) {
+    const problem = checkField(key, fieldSpec, msg[key]);
+    if (problem) return { code: 'INVALID_PAYLOAD', message: problem, field: key };
+  }
+  return null;
+}
+
+// Something to hand back from a handler when a request can't go ahead.
+// `params` fill in the code's message and go along for the client's
+// translation.
+function reject(code, params, extra) {
+  return { code, message: format(ERRORS[code], params || {}), ...(params && { params }), ...extra };
+}
+
+// The requestId to echo back, if the raw message carried a usable one
+function requestIdOf(msg) {
+  const id = isPlainObject(msg) ? msg.requestId : undefined;
+  return ['string', 'number'].includes(typeof id) ? id : undefined;
+}
+
+module.exports = { ERRORS, REACTIONS, MESSAGES, validateMessage, reject, requestIdOf };
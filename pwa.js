@@ -0,0 +1,177 @@
+const crypto = require('crypto');
+const zlib = require('zlib');
+const i18n = require('./i18n');
+
+// ─── INSTALLED APP ─────────────────────────────────────────────────
+// What a phone needs to install the client as an app: the web app
+// manifest, its icons and a service worker that keeps the client shell
+// for starting offline. server.js serves them (see APP INSTALL there).
+
+const APP_NAME = 'Pen and Paper Game';
+const THEME_COLOR = '#2D1B4E';
+const BACKGROUND_COLOR = '#F6F5F0';
+// 180 is the iOS home screen icon; the manifest lists the rest
+const ICON_SIZES = [180, 192, 512];
+const MANIFEST_ICON_SIZES = [192, 512];
+
+const iconUrl = size => `/icons/icon-${size}.png`;
+
+function manifest() {
+  return {
+    id: '/',
+    name: APP_NAME,
+    short_name: 'Pen & Paper',
+    description: 'Guess who said what — a party game for your phones',
+    start_url: '/',
+    // Everything on the server is in scope, so /join/CODE invite links open in the app
+    scope: '/',
+    display: 'standalone',
+    orientation: 'portrait',
+    background_color: BACKGROUND_COLOR,
+    theme_color: THEME_COLOR,
+    icons: MANIFEST_ICON_SIZES.map(size => ({
+      src: iconUrl(size), sizes: `${size}x${size}`, type: 'image/png', purpose: 'any maskable',
+    })),
+    // An invite link tapped while the app is open takes over its window
+    handle_links: 'preferred',
+    launch_handler: { client_mode: 'navigate-existing' },
+  };
+}
+
+// ─── ICONS ─────────────────────────────────────────────────────────
+// A green question mark in a speech bubble on the game's purple, drawn
+// here rather than shipped as files. Shapes are given in a unit square;
+// each pixel is sampled 4×4 times for smooth edges. The bubble stays
+// inside the middle 80%, so launchers can crop it to any mask.
+const ICON_SAMPLES = 4;
+const rgb = hex => [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16));
+const ICON_COLORS = { background: rgb(THEME_COLOR), bubble: rgb(BACKGROUND_COLOR), mark: rgb('#1A8C4E') };
+
+function iconColorAt(x, y) {
+  const from = (cx, cy) => Math.hypot(x - cx, y - cy);
+  // The hook of the "?": a ring with its lower-left quarter cut away
+  const hook = from(0.5, 0.4) <= 0.12 && from(0.5, 0.4) >= 0.065 && !(x < 0.5 && y > 0.4);
+  const stem = x >= 0.4675 && x <= 0.5325 && y >= 0.46 && y <= 0.58;
+  const dot = from(0.5, 0.655) <= 0.038;
+  if (hook || stem || dot) return ICON_COLORS.mark;
+  if (from(0.5, 0.5) <= 0.34) return ICON_COLORS.bubble;
+  return ICON_COLORS.background;
+}
+
+function drawIcon(size) {
+  const rowLength = size * 3 + 1;
+  const pixels = Buffer.alloc(rowLength * size);
+  for (let py = 0; py < size; py++) {
+    // Each row starts with its PNG filter type (0, none)
+    for (let px = 0; px < size; px++) {
+      const sum = [0, 0, 0];
+      for (let sy = 0; sy < ICON_SAMPLES; sy++) {
+        for (let sx = 0; sx < ICON_SAMPLES; sx++) {
+          const color = iconColorAt((px + (sx + 0.5) / ICON_SAMPLES) / size, (py + (sy + 0.5) / ICON_SAMPLES) / size);
+          for (let c = 0; c < 3; c++) sum[c] += color[c];
+        }
+      }
+      for (let c = 0; c < 3; c++) {
+        pixels[py * rowLength + 1 + px * 3 + c] = Math.round(sum[c] / (ICON_SAMPLES * ICON_SAMPLES));
+      }
+    }
+  }
+  return encodePng(size, size, pixels);
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xFFFFFFFF;
+  for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+function pngChunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+}
+
+// `pixels` are filtered RGB rows, 8 bits a channel
+function encodePng(width, height, pixels) {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8;  // bit depth
+  header[9] = 2;  // colour type: RGB
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]),
+    pngChunk('IHDR', header),
+    pngChunk('IDAT', zlib.deflateSync(pixels)),
+    pngChunk('IEND', Buffer.alloc(0)),
+  ]);
+}
+
+// Drawn on first request, then kept
+const icons = new Map();
+
+function icon(size) {
+  if (!ICON_SIZES.includes(size)) return null;
+  if (!icons.has(size)) icons.set(size, drawIcon(size));
+  return icons.get(size);
+}
+
+// ─── SERVICE WORKER ────────────────────────────────────────────────
+// The shell is the page, its translations, the manifest and the icons.
+// The cache is named after a hash of the page and catalogs, so a server
+// with a new client drops the old shell as soon as the worker updates.
+function shellUrls() {
+  return [
+    '/',
+    '/manifest.webmanifest',
+    '/locales',
+    ...i18n.listLanguages().map(l => `/locales/${l.id}.json`),
+    ...ICON_SIZES.map(iconUrl),
+  ];
+}
+
+function shellVersion(clientHtml) {
+  const hash = crypto.createHash('sha256').update(clientHtml);
+  for (const { id } of i18n.listLanguages()) hash.update(JSON.stringify(i18n.getCatalog(id)));
+  return hash.digest('hex').slice(0, 12);
+}
+
+// Pages come from the network while there is one, so players always get
+// the client that matches the server; offline, the game and its invite
+// links start from the cached shell. The rest of the shell is served
+// from the cache.
+function serviceWorker(clientHtml) {
+  return `const CACHE = 'pen-and-paper-${shellVersion(clientHtml)}';
+const SHELL = ${JSON.stringify(shellUrls())};
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(caches.open(CACHE).then(cache => cache.addAll(SHELL)).then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(caches.keys()
+    .then(keys => Promise.all(keys.filter(key => key !== CACHE).map(key => caches.delete(key))))
+    .then(() => self.clients.claim()));
+});
+
+self.addEventListener('fetch', (event) => {
+  const url = new URL(event.request.url);
+  if (event.request.method !== 'GET' || url.origin !== location.origin) return;
+  if (event.request.mode === 'navigate' && (url.pathname === '/' || url.pathname.startsWith('/join/'))) {
+    event.respondWith(fetch(event.request).catch(() => caches.match('/')));
+  } else if (SHELL.includes(url.pathname)) {
+    event.respondWith(caches.match(url.pathname).then(hit => hit || fetch(event.request)));
+  }
+});
+`;
+}
+
+module.exports = { ICON_SIZES, manifest, icon, serviceWorker, shellUrls };
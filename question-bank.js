@@ -0,0 +1,144 @@
+const fs = require('fs');
+const path = require('path');
+
+// ─── QUESTION BANK ─────────────────────────────────────────────────
+// Built-in packs are JSON files in questions/, one category per file:
+//   { "id": "icebreakers", "name": "Icebreakers", "description": "...", "questions": ["..."] }
+// A lobby can add one custom pack on top, uploaded by the host.
+
+const PACKS_DIR = path.join(__dirname, 'questions');
+const CUSTOM_PACK_ID = 'custom';
+const MAX_QUESTION_LENGTH = 200;
+const MAX_CUSTOM_QUESTIONS = 200;
+const MAX_CUSTOM_PACK_BYTES = 50 * 1024;
+
+function cleanQuestions(list) {
+  const seen = new Set();
+  const questions = [];
+  for (const raw of list) {
+    if (typeof raw !== 'string') continue;
+    const q = raw.trim().slice(0, MAX_QUESTION_LENGTH);
+    if (q && !seen.has(q)) {
+      seen.add(q);
+      questions.push(q);
+    }
+  }
+  return questions;
+}
+
+// Read by load(), which the server calls at startup with its logger.
+// Anything that needs a pack first loads them itself.
+const builtInPacks = new Map();
+let loaded = false;
+
+function load({ dir = PACKS_DIR, log = console } = {}) {
+  builtInPacks.clear();
+  loaded = true;
+  if (!fs.existsSync(dir)) return;
+  for (const file of fs.readdirSync(dir).filter(f => f.endsWith('.json')).sort()) {
+    try {
+      const data = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+      const id = data.id || path.basename(file, '.json');
+      builtInPacks.set(id, {
+        id,
+        name: data.name || id,
+        description: data.description || '',
+        questions: cleanQuestions(data.questions || []),
+      });
+    } catch (err) {
+      log.error(`  ❌ Skipping question pack ${file}: ${err.message}`);
+    }
+  }
+}
+
+function loadedPacks() {
+  if (!loaded) load();
+  return builtInPacks;
+}
+
+function getPack(id) {
+  return loadedPacks().get(id) || null;
+}
+
+function isKnownPack(id) {
+  return loadedPacks().has(id) || id === CUSTOM_PACK_ID;
+}
+
+// Summary of every pack a lobby can pick from, for the settings screen
+function listPacks(customPack) {
+  const packs = [...loadedPacks().values()];
+  if (customPack) packs.push(customPack);
+  return packs.map(p => ({
+    id: p.id,
+    name: p.name,
+    description: p.description,
+    count: p.questions.length,
+    custom: p.id === CUSTOM_PACK_ID,
+  }));
+}
+
+function packError(code, params) {
+  return Object.assign(new Error(code), { code, params });
+}
+
+// Accepts either JSON (an array of strings, or an object with a
+// `questions` array and optional `name`) or plain text with one question
+// per line; blank lines and lines starting with # are skipped.
+// Throws when the upload is unusable, with the error's `code` (one of
+// protocol.js's ERRORS) and `params` saying why.
+function parseCustomPack(fileName, content) {
+  if (typeof content !== 'string' || !content.trim()) throw packError('PACK_EMPTY');
+  if (Buffer.byteLength(content) > MAX_CUSTOM_PACK_BYTES) {
+    throw packError('PACK_TOO_BIG', { max: MAX_CUSTOM_PACK_BYTES / 1024 });
+  }
+
+  let name = typeof fileName === 'string' && fileName.trim()
+    ? fileName.trim().replace(/\.(json|txt)$/i, '').slice(0, 40)
+    : 'Custom pack';
+  let list;
+
+  const trimmed = content.trim();
+  if (trimmed.startsWith('[') || trimmed.startsWith('{')) {
+    let data;
+    try { data = JSON.parse(trimmed); } catch { throw packError('PACK_NOT_JSON'); }
+    list = Array.isArray(data) ? data : data.questions;
+    if (!Array.isArray(list)) throw packError('PACK_NO_QUESTION_LIST');
+    if (!Array.isArray(data) && typeof data.name === 'string' && data.name.trim()) {
+      name = data.name.trim().slice(0, 40);
+    }
+  } else {
+    list = trimmed.split(/\r?\n/).filter(line => !line.trim().startsWith('#'));
+  }
+
+  const questions = cleanQuestions(list).slice(0, MAX_CUSTOM_QUESTIONS);
+  if (questions.length === 0) throw packError('PACK_NO_QUESTIONS');
+
+  return { id: CUSTOM_PACK_ID, name, description: 'Uploaded by the host', questions };
+}
+
+// Pick a random question from the enabled packs that the lobby hasn't used
+// yet. Once everything has been asked, used questions are fair game again.
+// Returns null when no enabled pack has any questions.
+function drawQuestion({ packIds, customPack, used, exclude, random = Math.random }) {
+  const pool = [];
+  for (const id of packIds) {
+    const pack = id === CUSTOM_PACK_ID ? customPack : getPack(id);
+    if (pack) pool.push(...pack.questions);
+  }
+  if (pool.length === 0) return null;
+
+  let candidates = pool.filter(q => !used.has(q) && q !== exclude);
+  if (candidates.length === 0) candidates = pool.filter(q => q !== exclude);
+  if (candidates.length === 0) candidates = pool;
+  return candidates[Math.floor(random() * candidates.length)];
+}
+
+module.exports = {
+  CUSTOM_PACK_ID,
+  load,
+  getPack,
+  isKnownPack,
+  listPacks,
+  parseCustomPack,
+  drawQuestion,
+};
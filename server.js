@@ -1,21 +1,56 @@
 const http = require('http');
-const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 const { WebSocketServer } = require('ws');
+const { createMemoryStore, createJsonFileStore } = require('./storage');
+const { createGame } = require('./game');
+const protocol = require('./protocol');
+const history = require('./history');
+const i18n = require('./i18n');
+const questionBank = require('./question-bank');
+const pwa = require('./pwa');
+const { createProfiles } = require('./profiles');
+const { createLogger, createConsoleLogger } = require('./logger');
 
 // ─── CONFIG ────────────────────────────────────────────────────────
 const PORT = process.env.PORT || 3000;
 
-const DEFAULT_SETTINGS = {
-  rounds: 3,             // 1-5
-  timerQuestion: 60,     // 30-90
-  timerAnswer: 60,       // 30-90
-  timerPerPlayer: 30,    // 15-45
-  pointsPerCorrect: 1,   // 1, 1.5, 2
-  bonusEnabled: true,     // true/false
-  bonusPoints: 1,         // 0.5, 1, 1.5
+// Where lobbies are saved between restarts: 'memory' (default, nothing
+// survives) or 'file' (one JSON file per lobby in LOBBY_STORE_DIR)
+const LOBBY_STORE = process.env.LOBBY_STORE || 'memory';
+const LOBBY_STORE_DIR = process.env.LOBBY_STORE_DIR || path.join(__dirname, 'data', 'lobbies');
+
+// Player profiles and their lifetime stats: 'file' (default, one JSON file
+// per profile in PROFILE_STORE_DIR) or 'memory'
+const PROFILE_STORE = process.env.PROFILE_STORE || 'file';
+const PROFILE_STORE_DIR = process.env.PROFILE_STORE_DIR || path.join(__dirname, 'data', 'profiles');
+
+// Turns on the admin dashboard and /metrics (see ADMIN below). Unset, they're off.
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || null;
+
+// 'json' logs one JSON object per line instead of the console output (see logger.js)
+const log = createLogger(process.env.LOG_FORMAT);
+
+// Abuse limits (see LIMITS below, and DEFAULT_LIMITS in game.js). Any left
+// unset keep their defaults.
+const LIMIT_VARS = {
+  maxLobbies: 'MAX_LOBBIES',
+  lobbiesPerAddress: 'MAX_LOBBIES_PER_ADDRESS',
+  idleLobbyMinutes: 'LOBBY_IDLE_MINUTES',
+  maxMessageBytes: 'MAX_MESSAGE_BYTES',
+  connectionsPerAddress: 'MAX_CONNECTIONS_PER_ADDRESS',
+  connectionsPerMinute: 'MAX_CONNECTIONS_PER_MINUTE',
+  messagesPerSecond: 'MAX_MESSAGES_PER_SECOND',
 };
+const LIMITS = {};
+for (const [key, name] of Object.entries(LIMIT_VARS)) {
+  if (process.env[name]) LIMITS[key] = Number(process.env[name]);
+}
+
+// Behind a tunnel or reverse proxy every socket comes from the proxy; set
+// TRUST_PROXY=1 to take each client's address from X-Forwarded-For instead
+const TRUST_PROXY = process.env.TRUST_PROXY === '1';
 
 // ─── RESOLVE CLIENT HTML FIRST ─────────────────────────────────────
 const possiblePaths = [
@@ -26,604 +61,382 @@ const possiblePaths = [
 ];
 
 let clientHtml = null;
+let displayHtml = null;
+let adminHtml = null;
 for (const p of possiblePaths) {
   if (fs.existsSync(p)) {
     clientHtml = fs.readFileSync(p, 'utf8');
-    console.log(`  ✔ Found client at: ${p}`);
+    log.info(`  ✔ Found client at: ${p}`);
+    // The big-screen display and admin pages sit next to index.html
+    const displayPath = path.join(path.dirname(p), 'display.html');
+    if (fs.existsSync(displayPath)) displayHtml = fs.readFileSync(displayPath, 'utf8');
+    const adminPath = path.join(path.dirname(p), 'admin.html');
+    if (fs.existsSync(adminPath)) adminHtml = fs.readFileSync(adminPath, 'utf8');
     break;
   }
 }
 
 if (!clientHtml) {
-  console.error('\n  ❌ Could not find index.html!');
-  console.error('  Make sure your folder looks like this:\n');
-  console.error('    your-folder/');
-  console.error('    ├── server.js');
-  console.error('    └── client/');
-  console.error('        └── index.html\n');
+  log.error('\n  ❌ Could not find index.html!');
+  log.error('  Make sure your folder looks like this:\n');
+  log.error('    your-folder/');
+  log.error('    ├── server.js');
+  log.error('    └── client/');
+  log.error('        └── index.html\n');
   process.exit(1);
 }
 
-// ─── GAME STATE ────────────────────────────────────────────────────
-const lobbies = new Map();
-
-function generateLobbyCode() {
-  const chars = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
-  let code = '';
-  for (let i = 0; i < 5; i++) code += chars[Math.floor(Math.random() * chars.length)];
-  return lobbies.has(code) ? generateLobbyCode() : code;
-}
-
-function generateId() {
-  return crypto.randomBytes(8).toString('hex');
-}
-
-function sanitizeSettings(raw) {
-  const s = { ...DEFAULT_SETTINGS };
-  if (raw) {
-    if (typeof raw.rounds === 'number') s.rounds = Math.min(5, Math.max(1, Math.round(raw.rounds)));
-    if (typeof raw.timerQuestion === 'number') s.timerQuestion = Math.min(90, Math.max(30, Math.round(raw.timerQuestion)));
-    if (typeof raw.timerAnswer === 'number') s.timerAnswer = Math.min(90, Math.max(30, Math.round(raw.timerAnswer)));
-    if (typeof raw.timerPerPlayer === 'number') s.timerPerPlayer = Math.min(45, Math.max(15, Math.round(raw.timerPerPlayer)));
-    if ([1, 1.5, 2].includes(raw.pointsPerCorrect)) s.pointsPerCorrect = raw.pointsPerCorrect;
-    if (typeof raw.bonusEnabled === 'boolean') s.bonusEnabled = raw.bonusEnabled;
-    if ([0.5, 1, 1.5].includes(raw.bonusPoints)) s.bonusPoints = raw.bonusPoints;
+// ─── GAME HISTORY ──────────────────────────────────────────────────
+//   /lobby/CODE/history         the latest game as JSON, with its best moments
+//   /lobby/CODE/history.md      the same game as a Markdown transcript
+//   /lobby/CODE/history.html    a printable page
+// Add ?game=N for an earlier game (1 is the oldest the lobby still keeps).
+// A password-protected lobby also needs ?token= (a player's session) or
+// ?password=, on these and on /lobby/CODE/stats.
+const HISTORY_ROUTE = /^\/lobby\/([A-Za-z0-9]{1,10})\/history(\.json|\.md|\.html)?(?:\?(.*))?$/;
+
+function sendHistory(res, games, format, query) {
+  const params = new URLSearchParams(query || '');
+  const index = params.has('game') ? parseInt(params.get('game'), 10) - 1 : (games?.length || 0) - 1;
+  const record = games?.[index];
+  if (!record) {
+    res.writeHead(404, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: games ? 'No game found' : 'Lobby not found' }));
+    return;
   }
-  return s;
-}
-
-function createLobby(hostId, hostName) {
-  const code = generateLobbyCode();
-  const lobby = {
-    code,
-    hostId,
-    players: [{ id: hostId, name: hostName, score: 0, connected: true }],
-    phase: 'lobby',
-    settings: { ...DEFAULT_SETTINGS },
-    currentGuesserIdx: 0,
-    guesserOrder: [],
-    currentQuestion: '',
-    answers: new Map(),
-    revealIndex: 0,
-    guesses: new Map(),
-    timer: null,
-    timerEnd: null,
-    votes: { best: new Map(), funniest: new Map() },
-    shuffledAnswers: [],
-    guessResults: null,
-  };
-  lobbies.set(code, lobby);
-  return lobby;
-}
-
-function getGuesser(lobby) {
-  const id = lobby.guesserOrder[lobby.currentGuesserIdx];
-  return lobby.players.find(p => p.id === id);
-}
 
-function getAnswerers(lobby) {
-  const guesserId = lobby.guesserOrder[lobby.currentGuesserIdx];
-  return lobby.players.filter(p => p.id !== guesserId);
-}
-
-function shuffleArray(arr) {
-  const a = [...arr];
-  for (let i = a.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
-    [a[i], a[j]] = [a[j], a[i]];
+  const headers = { 'Cache-Control': 'no-store' };
+  if (format === '.md') {
+    res.writeHead(200, { ...headers, 'Content-Type': 'text/markdown; charset=utf-8' });
+    res.end(history.toMarkdown(record));
+  } else if (format === '.html') {
+    res.writeHead(200, { ...headers, 'Content-Type': 'text/html; charset=utf-8' });
+    res.end(history.toHtml(record));
+  } else {
+    res.writeHead(200, { ...headers, 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ ...record, game: index + 1, games: games.length, moments: history.findMoments(record) }));
   }
-  return a;
-}
-
-// ─── TIMER HELPERS ─────────────────────────────────────────────────
-function startTimer(lobby, seconds, callback) {
-  clearTimer(lobby);
-  lobby.timerEnd = Date.now() + seconds * 1000;
-  lobby.timer = setTimeout(() => {
-    lobby.timer = null;
-    lobby.timerEnd = null;
-    callback();
-  }, seconds * 1000);
-  broadcastToLobby(lobby, { type: 'timer', seconds, endsAt: lobby.timerEnd });
 }
 
-function clearTimer(lobby) {
-  if (lobby.timer) {
-    clearTimeout(lobby.timer);
-    lobby.timer = null;
-    lobby.timerEnd = null;
-  }
+// Whether the query string lets its sender into the lobby's records
+function canRead(game, code, query) {
+  const params = new URLSearchParams(query || '');
+  return game.canReadLobby(code, { token: params.get('token'), password: params.get('password') });
 }
 
-// ─── PHASE TRANSITIONS ────────────────────────────────────────────
-function startGame(lobby) {
-  const playerIds = lobby.players.map(p => p.id);
-  lobby.guesserOrder = [];
-  for (let r = 0; r < lobby.settings.rounds; r++) {
-    lobby.guesserOrder.push(...shuffleArray(playerIds));
-  }
-  lobby.currentGuesserIdx = 0;
-  lobby.players.forEach(p => p.score = 0);
-  startQuestionPhase(lobby);
+// ─── STATS ─────────────────────────────────────────────────────────
+//   /stats              every profile on this server, plus leaderboards
+//   /stats/PROFILE_ID   one profile
+//   /lobby/CODE/stats   the same, for the players in one lobby
+const PROFILE_ROUTE = /^\/stats\/([0-9a-f]{16})$/;
+const LOBBY_STATS_ROUTE = /^\/lobby\/([A-Za-z0-9]{1,10})\/stats(?:\?(.*))?$/;
+
+// ─── TRANSLATIONS ──────────────────────────────────────────────────
+//   /locales            the languages there are catalogs for
+//   /locales/ID.json    one catalog (see i18n.js)
+const LOCALE_ROUTE = /^\/locales\/([A-Za-z-]{2,10})\.json$/;
+
+function sendJson(res, status, data) {
+  res.writeHead(status, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' });
+  res.end(JSON.stringify(data));
 }
 
-function startQuestionPhase(lobby) {
-  lobby.phase = 'question';
-  lobby.currentQuestion = '';
-  lobby.answers = new Map();
-  lobby.guesses = new Map();
-  lobby.votes = { best: new Map(), funniest: new Map() };
-  lobby.shuffledAnswers = [];
-  lobby.revealIndex = 0;
-  lobby.guessResults = null;
-
-  const guesser = getGuesser(lobby);
-  const turnNumber = lobby.currentGuesserIdx + 1;
-  const totalTurns = lobby.guesserOrder.length;
-
-  broadcastToLobby(lobby, {
-    type: 'phase',
-    phase: 'question',
-    guesser: { id: guesser.id, name: guesser.name },
-    turnNumber,
-    totalTurns,
-    roundNumber: Math.floor(lobby.currentGuesserIdx / lobby.players.length) + 1,
-    totalRounds: lobby.settings.rounds,
-  });
-
-  startTimer(lobby, lobby.settings.timerQuestion, () => {
-    if (!lobby.currentQuestion) {
-      lobby.currentQuestion = "What's the best thing about being alive?";
-    }
-    startAnswerPhase(lobby);
-  });
-}
-
-function startAnswerPhase(lobby) {
-  lobby.phase = 'answering';
-  broadcastToLobby(lobby, {
-    type: 'phase',
-    phase: 'answering',
-    question: lobby.currentQuestion,
-    guesser: { id: getGuesser(lobby).id, name: getGuesser(lobby).name },
-  });
-
-  startTimer(lobby, lobby.settings.timerAnswer, () => {
-    const answerers = getAnswerers(lobby);
-    answerers.forEach(p => {
-      if (!lobby.answers.has(p.id)) {
-        lobby.answers.set(p.id, '...');
-      }
-    });
-    startRevealPhase(lobby);
-  });
+// ─── APP INSTALL ───────────────────────────────────────────────────
+//   /manifest.webmanifest   the web app manifest
+//   /icons/icon-SIZE.png    the app icon, in each of pwa.ICON_SIZES
+//   /sw.js                  the service worker, which keeps the client shell for offline starts
+const ICON_ROUTE = /^\/icons\/icon-(\d+)\.png$/;
+// Built on first request: it hashes the catalogs, which the server loads at
+// startup with its own logger
+let serviceWorker = null;
+
+// ─── ADMIN ─────────────────────────────────────────────────────────
+//   /admin                           the dashboard page
+//   /admin/lobbies                   every lobby, with its phase, players, age and idle time
+//   POST /admin/lobbies/CODE/close   closes a lobby and sends everyone in it home
+//   /metrics                         server metrics in the Prometheus text format
+// Everything but the page itself needs `Authorization: Bearer <ADMIN_TOKEN>`.
+// With no token configured, the whole section is switched off.
+const CLOSE_LOBBY_ROUTE = /^\/admin\/lobbies\/([A-Za-z0-9]{1,10})\/close$/;
+
+function isAdmin(req, adminToken) {
+  const given = (req.headers.authorization || '').replace(/^Bearer /, '');
+  // Compared as hashes, so the lengths always match for timingSafeEqual
+  const hash = (text) => crypto.createHash('sha256').update(text).digest();
+  return crypto.timingSafeEqual(hash(given), hash(adminToken));
 }
 
-function startRevealPhase(lobby) {
-  const entries = [];
-  for (const [playerId, text] of lobby.answers) {
-    entries.push({ id: generateId(), text, playerId });
-  }
-  lobby.shuffledAnswers = shuffleArray(entries);
-  lobby.revealIndex = 0;
-  lobby.phase = 'reveal';
-
-  broadcastToLobby(lobby, {
-    type: 'phase',
-    phase: 'reveal',
-    question: lobby.currentQuestion,
-    totalAnswers: lobby.shuffledAnswers.length,
-    guesser: { id: getGuesser(lobby).id, name: getGuesser(lobby).name },
-  });
-
-  sendRevealAnswer(lobby);
-}
+// name → [type, help], in the order they're listed
+const METRICS = {
+  pnp_sockets: ['gauge', 'Open WebSocket connections'],
+  pnp_lobbies: ['gauge', 'Lobbies on this server'],
+  pnp_games_in_progress: ['gauge', 'Lobbies in the middle of a game'],
+  pnp_players: ['gauge', 'Players connected to a lobby'],
+  pnp_spectators: ['gauge', 'Spectators and big-screen displays connected to a lobby'],
+  pnp_games_started_total: ['counter', 'Games started since the server came up'],
+  pnp_games_completed_total: ['counter', 'Games played to the end since the server came up'],
+  pnp_game_duration_seconds_avg: ['gauge', 'Average length of a completed game'],
+  pnp_messages_total: ['counter', 'Messages received from clients'],
+  pnp_messages_per_second: ['gauge', 'Messages received per second, over the last minute'],
+};
 
-function sendRevealAnswer(lobby) {
-  if (lobby.revealIndex < lobby.shuffledAnswers.length) {
-    const answer = lobby.shuffledAnswers[lobby.revealIndex];
-    broadcastToLobby(lobby, {
-      type: 'reveal_answer',
-      index: lobby.revealIndex,
-      total: lobby.shuffledAnswers.length,
-      answer: { id: answer.id, text: answer.text },
-    });
+function formatMetrics(values) {
+  const lines = [];
+  for (const [name, [type, help]] of Object.entries(METRICS)) {
+    lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`, `${name} ${Number(values[name].toFixed(3))}`);
   }
+  return lines.join('\n') + '\n';
 }
 
-function startGuessingPhase(lobby) {
-  lobby.phase = 'guessing';
-  const answerers = getAnswerers(lobby);
-  const timerSeconds = lobby.settings.timerPerPlayer * answerers.length;
-
-  const answers = lobby.shuffledAnswers.map(a => ({ id: a.id, text: a.text }));
-  const players = answerers.map(p => ({ id: p.id, name: p.name }));
-
-  broadcastToLobby(lobby, {
-    type: 'phase',
-    phase: 'guessing',
-    question: lobby.currentQuestion,
-    answers,
-    players,
-    guesser: { id: getGuesser(lobby).id, name: getGuesser(lobby).name },
-  });
-
-  startTimer(lobby, timerSeconds, () => {
-    scoreGuesses(lobby);
-  });
-}
-
-function startVotingPhase(lobby) {
-  lobby.phase = 'voting';
-  const answers = lobby.shuffledAnswers.map(a => ({ id: a.id, text: a.text }));
-  const guesserId = getGuesser(lobby).id;
-
-  broadcastToLobby(lobby, {
-    type: 'phase',
-    phase: 'voting',
-    question: lobby.currentQuestion,
-    answers,
-    guesser: { id: guesserId, name: getGuesser(lobby).name },
-  });
-
-  startTimer(lobby, 20, () => {
-    tallyVotes(lobby);
-  });
-}
-
-function tallyVotes(lobby) {
-  const bestCounts = new Map();
-  const funniestCounts = new Map();
-
-  for (const [, answerId] of lobby.votes.best) {
-    bestCounts.set(answerId, (bestCounts.get(answerId) || 0) + 1);
-  }
-  for (const [, answerId] of lobby.votes.funniest) {
-    funniestCounts.set(answerId, (funniestCounts.get(answerId) || 0) + 1);
-  }
-
-  let bestAnswerId = null, bestMax = 0;
-  for (const [id, count] of bestCounts) {
-    if (count > bestMax) { bestMax = count; bestAnswerId = id; }
-  }
-  let funniestAnswerId = null, funniestMax = 0;
-  for (const [id, count] of funniestCounts) {
-    if (count > funniestMax) { funniestMax = count; funniestAnswerId = id; }
-  }
-
-  const bonusPts = lobby.settings.bonusPoints;
-
-  if (bestAnswerId) {
-    const answer = lobby.shuffledAnswers.find(a => a.id === bestAnswerId);
-    if (answer) {
-      const player = lobby.players.find(p => p.id === answer.playerId);
-      if (player) player.score += bonusPts;
-    }
-  }
-  if (funniestAnswerId) {
-    const answer = lobby.shuffledAnswers.find(a => a.id === funniestAnswerId);
-    if (answer) {
-      const player = lobby.players.find(p => p.id === answer.playerId);
-      if (player) player.score += bonusPts;
-    }
-  }
-
-  showResults(lobby, bestAnswerId, funniestAnswerId);
+function sendMetrics(res, game, sockets) {
+  const m = game.getMetrics();
+  res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8', 'Cache-Control': 'no-store' });
+  res.end(formatMetrics({
+    pnp_sockets: sockets,
+    pnp_lobbies: m.lobbies,
+    pnp_games_in_progress: m.gamesInProgress,
+    pnp_players: m.players,
+    pnp_spectators: m.spectators,
+    pnp_games_started_total: m.gamesStarted,
+    pnp_games_completed_total: m.gamesCompleted,
+    pnp_game_duration_seconds_avg: m.averageGameSeconds,
+    pnp_messages_total: m.messages,
+    pnp_messages_per_second: m.messagesPerSecond,
+  }));
 }
 
-function scoreGuesses(lobby) {
-  const guesser = getGuesser(lobby);
-  let correct = 0;
-  const results = [];
-
-  for (const answer of lobby.shuffledAnswers) {
-    const guessedPlayerId = lobby.guesses.get(answer.id);
-    const actualPlayer = lobby.players.find(p => p.id === answer.playerId);
-    const guessedPlayer = lobby.players.find(p => p.id === guessedPlayerId);
-    const isCorrect = guessedPlayerId === answer.playerId;
-    if (isCorrect) correct++;
-
-    results.push({
-      answerId: answer.id,
-      answerText: answer.text,
-      actualPlayer: { id: actualPlayer.id, name: actualPlayer.name },
-      guessedPlayer: guessedPlayer ? { id: guessedPlayer.id, name: guessedPlayer.name } : null,
-      correct: isCorrect,
-    });
-  }
+// Answers an admin request, or returns false if `req` isn't one
+function handleAdmin(req, res, { game, adminToken, sockets }) {
+  const closeMatch = req.url.match(CLOSE_LOBBY_ROUTE);
+  if (req.url !== '/admin' && req.url !== '/admin/lobbies' && req.url !== '/metrics' && !closeMatch) return false;
 
-  guesser.score += correct * lobby.settings.pointsPerCorrect;
-  lobby.guessResults = { correct, total: lobby.shuffledAnswers.length, results };
-
-  // If bonus voting is off, skip straight to results
-  if (!lobby.settings.bonusEnabled) {
-    showResults(lobby, null, null);
+  if (!adminToken) {
+    res.writeHead(404);
+    res.end('Not found');
+  } else if (req.url === '/admin') {
+    res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+    res.end(adminHtml || 'Admin page not found');
+  } else if (!isAdmin(req, adminToken)) {
+    sendJson(res, 401, { error: 'Admin token required' });
+  } else if (req.url === '/metrics') {
+    sendMetrics(res, game, sockets());
+  } else if (req.url === '/admin/lobbies') {
+    sendJson(res, 200, { lobbies: game.listLobbies() });
+  } else if (req.method !== 'POST') {
+    sendJson(res, 405, { error: 'Use POST to close a lobby' });
   } else {
-    startVotingPhase(lobby);
+    const closed = game.closeLobby(closeMatch[1].toUpperCase(), 'admin');
+    sendJson(res, closed ? 200 : 404, closed ? { closed: true } : { error: 'Lobby not found' });
   }
+  return true;
 }
 
-function showResults(lobby, bestAnswerId, funniestAnswerId) {
-  lobby.phase = 'results';
-
-  const bestAnswer = lobby.shuffledAnswers.find(a => a.id === bestAnswerId);
-  const funniestAnswer = lobby.shuffledAnswers.find(a => a.id === funniestAnswerId);
-
-  broadcastToLobby(lobby, {
-    type: 'phase',
-    phase: 'results',
-    guessResults: lobby.guessResults,
-    settings: lobby.settings,
-    bestAnswer: bestAnswer ? {
-      text: bestAnswer.text,
-      player: lobby.players.find(p => p.id === bestAnswer.playerId)?.name,
-      points: lobby.settings.bonusPoints,
-    } : null,
-    funniestAnswer: funniestAnswer ? {
-      text: funniestAnswer.text,
-      player: lobby.players.find(p => p.id === funniestAnswer.playerId)?.name,
-      points: lobby.settings.bonusPoints,
-    } : null,
-    scoreboard: lobby.players.map(p => ({ id: p.id, name: p.name, score: p.score }))
-      .sort((a, b) => b.score - a.score),
-  });
-}
+// ─── LIMITS ────────────────────────────────────────────────────────
+// Per-address limits on sockets and a per-socket limit on messages, so one
+// client can't tie up the server. Going over the connection limits closes
+// the new socket with a reason (code 1008); a message over the rate is
+// dropped with a RATE_LIMITED error; one over the size limit closes the
+// socket (1009).
+//
+// A party on one Wi-Fi shares an address, so the connection limits leave
+// room for a full team lobby (30 players) with its spectators and displays,
+// all reconnecting at once when the Wi-Fi drops.
+const DEFAULT_SERVER_LIMITS = {
+  maxMessageBytes: 128 * 1024, // drawings and custom question packs fit comfortably
+  connectionsPerAddress: 60,   // sockets open at once
+  connectionsPerMinute: 180,   // new sockets
+  messagesPerSecond: 20,       // per socket, with bursts of up to twice that
+};
 
-function nextTurn(lobby) {
-  lobby.currentGuesserIdx++;
-  if (lobby.currentGuesserIdx >= lobby.guesserOrder.length) {
-    lobby.phase = 'gameover';
-    broadcastToLobby(lobby, {
-      type: 'phase',
-      phase: 'gameover',
-      scoreboard: lobby.players.map(p => ({ id: p.id, name: p.name, score: p.score }))
-        .sort((a, b) => b.score - a.score),
-    });
-  } else {
-    startQuestionPhase(lobby);
-  }
+// Each proxy appends the address it got the request from, so the last entry
+// is the one our proxy wrote; anything before it came from the client.
+function addressOf(req, trustProxy) {
+  const forwarded = trustProxy && req.headers['x-forwarded-for'];
+  return forwarded ? forwarded.split(',').pop().trim() : req.socket.remoteAddress;
 }
 
-// ─── WEBSOCKET ─────────────────────────────────────────────────────
-const clients = new Map();
-
-function broadcastToLobby(lobby, msg) {
-  const data = JSON.stringify(msg);
-  for (const [ws, client] of clients) {
-    if (client.lobbyCode === lobby.code && ws.readyState === 1) {
-      ws.send(data);
-    }
-  }
+// Token bucket: refills at messagesPerSecond, holds up to twice that
+function createMessageLimit(limits, now = Date.now) {
+  const burst = limits.messagesPerSecond * 2;
+  let tokens = burst;
+  let refilledAt = now();
+  return () => {
+    tokens = Math.min(burst, tokens + (now() - refilledAt) / 1000 * limits.messagesPerSecond);
+    refilledAt = now();
+    if (tokens < 1) return false;
+    tokens--;
+    return true;
+  };
 }
 
-function sendTo(ws, msg) {
-  if (ws.readyState === 1) ws.send(JSON.stringify(msg));
-}
+function createAddressLimits(limits, now = Date.now) {
+  // Address → { open, connects: [times] }
+  const addresses = new Map();
 
-function broadcastLobbyState(lobby) {
-  broadcastToLobby(lobby, {
-    type: 'lobby_update',
-    players: lobby.players.map(p => ({ id: p.id, name: p.name, score: p.score, connected: p.connected })),
-    hostId: lobby.hostId,
-    code: lobby.code,
-    settings: lobby.settings,
-  });
-}
+  function entry(address) {
+    if (!addresses.has(address)) addresses.set(address, { open: 0, connects: [] });
+    return addresses.get(address);
+  }
 
-function handleDisconnect(ws) {
-  const client = clients.get(ws);
-  if (client) {
-    console.log(`  ← Player ${client.name} disconnected`);
-    const lobby = lobbies.get(client.lobbyCode);
-    if (lobby) {
-      const player = lobby.players.find(p => p.id === client.id);
-      if (player) player.connected = false;
-      broadcastLobbyState(lobby);
-      if (lobby.players.every(p => !p.connected)) {
-        clearTimer(lobby);
-        lobbies.delete(lobby.code);
-        console.log(`  🗑  Lobby ${lobby.code} removed (empty)`);
+  return {
+    // Counts a new socket in. Returns why it's refused, or null.
+    connect(address) {
+      const e = entry(address);
+      e.connects = e.connects.filter(t => now() - t < 60 * 1000);
+      if (e.open >= limits.connectionsPerAddress) return 'Too many connections from your address';
+      if (e.connects.length >= limits.connectionsPerMinute) return 'Too many new connections — try again in a minute';
+      e.open++;
+      e.connects.push(now());
+      return null;
+    },
+    disconnect(address) {
+      entry(address).open--;
+    },
+    // Forgets addresses with nothing open and nothing left to count
+    prune() {
+      for (const [address, e] of addresses) {
+        if (e.open === 0 && e.connects.every(t => now() - t >= 60 * 1000)) addresses.delete(address);
       }
-    }
-    clients.delete(ws);
-  }
+    },
+  };
 }
 
-// ─── MESSAGE HANDLER ───────────────────────────────────────────────
-function handleMessage(ws, data) {
-  let msg;
-  try { msg = JSON.parse(data); } catch { return; }
-
-  const client = clients.get(ws);
-
-  switch (msg.type) {
-    case 'create_lobby': {
-      const id = generateId();
-      const name = (msg.name || 'Player').slice(0, 20);
-      const lobby = createLobby(id, name);
-      clients.set(ws, { id, lobbyCode: lobby.code, name });
-      console.log(`  + ${name} created lobby ${lobby.code}`);
-      sendTo(ws, { type: 'joined', playerId: id, lobbyCode: lobby.code, isHost: true });
-      broadcastLobbyState(lobby);
-      break;
-    }
-
-    case 'join_lobby': {
-      const code = (msg.code || '').toUpperCase().trim();
-      const lobby = lobbies.get(code);
-      if (!lobby) return sendTo(ws, { type: 'error', message: 'Lobby not found' });
-      if (lobby.phase !== 'lobby') return sendTo(ws, { type: 'error', message: 'Game already in progress' });
-      if (lobby.players.length >= 10) return sendTo(ws, { type: 'error', message: 'Lobby is full (max 10)' });
-
-      const id = generateId();
-      const name = (msg.name || 'Player').slice(0, 20);
-      lobby.players.push({ id, name, score: 0, connected: true });
-      clients.set(ws, { id, lobbyCode: code, name });
-      console.log(`  + ${name} joined lobby ${code}`);
-      sendTo(ws, { type: 'joined', playerId: id, lobbyCode: code, isHost: false });
-      broadcastLobbyState(lobby);
-      break;
-    }
-
-    case 'update_settings': {
-      if (!client) return;
-      const lobby = lobbies.get(client.lobbyCode);
-      if (!lobby || lobby.hostId !== client.id) return;
-      if (lobby.phase !== 'lobby') return;
-      lobby.settings = sanitizeSettings(msg.settings);
-      console.log(`  ⚙ Settings updated in lobby ${lobby.code}`);
-      broadcastLobbyState(lobby);
-      break;
-    }
-
-    case 'start_game': {
-      if (!client) return;
-      const lobby = lobbies.get(client.lobbyCode);
-      if (!lobby || lobby.hostId !== client.id) return;
-      if (lobby.players.length < 3) return sendTo(ws, { type: 'error', message: 'Need at least 3 players' });
-      console.log(`  ▶ Game started in lobby ${lobby.code} with ${lobby.players.length} players`);
-      startGame(lobby);
-      break;
-    }
-
-    case 'submit_question': {
-      if (!client) return;
-      const lobby = lobbies.get(client.lobbyCode);
-      if (!lobby || lobby.phase !== 'question') return;
-      if (getGuesser(lobby).id !== client.id) return;
-      lobby.currentQuestion = (msg.question || '').slice(0, 200);
-      clearTimer(lobby);
-      startAnswerPhase(lobby);
-      break;
+// ─── HTTP SERVER ───────────────────────────────────────────────────
+// Serves the pages and feeds every WebSocket connection into `game`
+// (see game.js). Tests build their own game and call this directly.
+function createServer({ game, log = createConsoleLogger(), adminToken = null, limits: limitOverrides, trustProxy = false }) {
+  const limits = { ...DEFAULT_SERVER_LIMITS, ...limitOverrides };
+  const addressLimits = createAddressLimits(limits);
+  const server = http.createServer((req, res) => {
+    if (handleAdmin(req, res, { game, adminToken, sockets: () => wss.clients.size })) return;
+    const historyMatch = req.url.match(HISTORY_ROUTE);
+    const profileMatch = req.url.match(PROFILE_ROUTE);
+    const lobbyStatsMatch = req.url.match(LOBBY_STATS_ROUTE);
+    const localeMatch = req.url.match(LOCALE_ROUTE);
+    const iconMatch = req.url.match(ICON_ROUTE);
+    if (req.url === '/' || req.url === '/index.html' || req.url.startsWith('/join/')) {
+      res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+      res.end(clientHtml);
+    } else if (req.url.startsWith('/display/') && displayHtml) {
+      res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+      res.end(displayHtml);
+    } else if (req.url === '/health') {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ status: 'ok', lobbies: game.lobbies.size }));
+    } else if (historyMatch) {
+      const [, code, format, query] = historyMatch;
+      if (!canRead(game, code.toUpperCase(), query)) sendJson(res, 403, { error: 'This lobby needs a password' });
+      else sendHistory(res, game.getHistory(code.toUpperCase()), format, query);
+    } else if (req.url === '/lobbies') {
+      // The public lobby browser (see game.js), for bots and community sites
+      sendJson(res, 200, { lobbies: game.listPublicLobbies() });
+    } else if (req.url === '/stats') {
+      sendJson(res, 200, game.profiles.leaderboard());
+    } else if (profileMatch) {
+      const profile = game.profiles.get(profileMatch[1]);
+      sendJson(res, profile ? 200 : 404, profile || { error: 'Profile not found' });
+    } else if (lobbyStatsMatch && !canRead(game, lobbyStatsMatch[1].toUpperCase(), lobbyStatsMatch[2])) {
+      sendJson(res, 403, { error: 'This lobby needs a password' });
+    } else if (lobbyStatsMatch) {
+      const stats = game.getLobbyStats(lobbyStatsMatch[1].toUpperCase());
+      sendJson(res, stats ? 200 : 404, stats || { error: 'Lobby not found' });
+    } else if (req.url === '/locales') {
+      sendJson(res, 200, { languages: i18n.listLanguages(), default: i18n.DEFAULT_LANGUAGE });
+    } else if (localeMatch) {
+      const catalog = i18n.getCatalog(localeMatch[1]);
+      sendJson(res, catalog ? 200 : 404, catalog || { error: 'Language not found' });
+    } else if (req.url === '/manifest.webmanifest') {
+      res.writeHead(200, { 'Content-Type': 'application/manifest+json' });
+      res.end(JSON.stringify(pwa.manifest()));
+    } else if (iconMatch && pwa.icon(Number(iconMatch[1]))) {
+      res.writeHead(200, { 'Content-Type': 'image/png', 'Cache-Control': 'public, max-age=86400' });
+      res.end(pwa.icon(Number(iconMatch[1])));
+    } else if (req.url === '/sw.js') {
+      // Always checked with the server, so a new client reaches installed apps
+      res.writeHead(200, { 'Content-Type': 'text/javascript; charset=utf-8', 'Cache-Control': 'no-cache' });
+      serviceWorker ??= pwa.serviceWorker(clientHtml);
+      res.end(serviceWorker);
+    } else {
+      res.writeHead(404);
+      res.end('Not found');
     }
+  });
 
-    case 'submit_answer': {
-      if (!client) return;
-      const lobby = lobbies.get(client.lobbyCode);
-      if (!lobby || lobby.phase !== 'answering') return;
-      if (client.id === getGuesser(lobby).id) return;
-      lobby.answers.set(client.id, (msg.answer || '').slice(0, 300));
-      sendTo(ws, { type: 'answer_submitted' });
-
-      const answerers = getAnswerers(lobby);
-      if (answerers.every(p => lobby.answers.has(p.id))) {
-        clearTimer(lobby);
-        startRevealPhase(lobby);
-      } else {
-        broadcastToLobby(lobby, {
-          type: 'answer_progress',
-          submitted: lobby.answers.size,
-          total: answerers.length,
-        });
-      }
-      break;
-    }
+  const wss = new WebSocketServer({ server, maxPayload: limits.maxMessageBytes });
+  const rateLimited = JSON.stringify({ type: 'error', ...protocol.reject('RATE_LIMITED') });
 
-    case 'next_reveal': {
-      if (!client) return;
-      const lobby = lobbies.get(client.lobbyCode);
-      if (!lobby || lobby.phase !== 'reveal') return;
-      if (getGuesser(lobby).id !== client.id) return;
-      lobby.revealIndex++;
-      if (lobby.revealIndex >= lobby.shuffledAnswers.length) {
-        startGuessingPhase(lobby);
-      } else {
-        sendRevealAnswer(lobby);
-      }
-      break;
+  wss.on('connection', (ws, req) => {
+    const address = addressOf(req, trustProxy);
+    const refused = addressLimits.connect(address);
+    if (refused) {
+      log.info(`  ⛔ Refused a connection from ${address}: ${refused}`, { address });
+      ws.close(1008, refused);
+      return;
     }
+    log.info('  ✔ New WebSocket connection');
+
+    const conn = {
+      address,
+      send(data) {
+        if (ws.readyState === 1) ws.send(data);
+      },
+      close() {
+        ws.close();
+      },
+    };
+
+    const allowMessage = createMessageLimit(limits);
+    ws.on('message', (data) => {
+      if (!allowMessage()) return conn.send(rateLimited);
+      game.handleMessage(conn, data.toString());
+    });
 
-    case 'submit_guesses': {
-      if (!client) return;
-      const lobby = lobbies.get(client.lobbyCode);
-      if (!lobby || lobby.phase !== 'guessing') return;
-      if (getGuesser(lobby).id !== client.id) return;
-      lobby.guesses = new Map(Object.entries(msg.guesses || {}));
-      clearTimer(lobby);
-      scoreGuesses(lobby);
-      break;
-    }
+    ws.on('close', () => {
+      addressLimits.disconnect(address);
+      game.handleDisconnect(conn);
+    });
 
-    case 'vote': {
-      if (!client) return;
-      const lobby = lobbies.get(client.lobbyCode);
-      if (!lobby || lobby.phase !== 'voting') return;
-      if (msg.category === 'best' && msg.answerId) {
-        lobby.votes.best.set(client.id, msg.answerId);
-      }
-      if (msg.category === 'funniest' && msg.answerId) {
-        lobby.votes.funniest.set(client.id, msg.answerId);
-      }
-      const allVoted = lobby.players.every(p =>
-        lobby.votes.best.has(p.id) && lobby.votes.funniest.has(p.id)
-      );
-      if (allVoted) {
-        clearTimer(lobby);
-        tallyVotes(lobby);
-      }
-      break;
-    }
+    ws.on('error', (err) => {
+      log.error('  ❌ WS error:', err.message);
+      game.handleDisconnect(conn);
+    });
+  });
 
-    case 'next_turn': {
-      if (!client) return;
-      const lobby = lobbies.get(client.lobbyCode);
-      if (!lobby || lobby.phase !== 'results') return;
-      if (lobby.hostId !== client.id) return;
-      nextTurn(lobby);
-      break;
-    }
+  // Addresses are tidied up once a minute, for as long as the server runs
+  const pruning = setInterval(() => addressLimits.prune(), 60 * 1000);
+  pruning.unref();
+  server.on('close', () => clearInterval(pruning));
 
-    case 'play_again': {
-      if (!client) return;
-      const lobby = lobbies.get(client.lobbyCode);
-      if (!lobby || lobby.hostId !== client.id) return;
-      lobby.phase = 'lobby';
-      lobby.players.forEach(p => p.score = 0);
-      broadcastToLobby(lobby, { type: 'phase', phase: 'lobby' });
-      broadcastLobbyState(lobby);
-      break;
-    }
-  }
+  return server;
 }
 
-// ─── HTTP SERVER ───────────────────────────────────────────────────
-const server = http.createServer((req, res) => {
-  if (req.url === '/' || req.url === '/index.html' || req.url.startsWith('/join/')) {
-    res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
-    res.end(clientHtml);
-  } else if (req.url === '/health') {
-    res.writeHead(200, { 'Content-Type': 'application/json' });
-    res.end(JSON.stringify({ status: 'ok', lobbies: lobbies.size }));
-  } else {
-    res.writeHead(404);
-    res.end('Not found');
-  }
-});
-
-// ─── WEBSOCKET SERVER ──────────────────────────────────────────────
-const wss = new WebSocketServer({ server });
-
-wss.on('connection', (ws) => {
-  console.log('  ✔ New WebSocket connection');
-
-  ws.on('message', (data) => {
-    handleMessage(ws, data.toString());
-  });
-
-  ws.on('close', () => {
-    handleDisconnect(ws);
+// ─── START ─────────────────────────────────────────────────────────
+if (require.main === module) {
+  i18n.load({ log });
+  questionBank.load({ log });
+  const store = LOBBY_STORE === 'file' ? createJsonFileStore(LOBBY_STORE_DIR, { log }) : createMemoryStore();
+  const profiles = createProfiles(PROFILE_STORE === 'file' ? createJsonFileStore(PROFILE_STORE_DIR, { log }) : createMemoryStore(), { log });
+  const game = createGame({ store, profiles, log, limits: LIMITS });
+  const server = createServer({ game, log, adminToken: ADMIN_TOKEN, limits: LIMITS, trustProxy: TRUST_PROXY });
+
+  const ready = [
+    game.restoreLobbies().catch(err => {
+      log.error('  ❌ Could not restore saved lobbies:', err.message);
+    }),
+    profiles.load().catch(err => {
+      log.error('  ❌ Could not load player profiles:', err.message);
+    }),
+  ];
+  Promise.all(ready).then(() => {
+    server.listen(PORT, () => {
+      log.info('');
+      log.info('  🎮  Pen and Paper Game Server');
+      log.info(`  🌐  http://localhost:${PORT}`, { port: Number(PORT) });
+      log.info('  📋  Share the lobby code with friends on your network');
+      if (ADMIN_TOKEN) log.info(`  🛠  Admin dashboard at http://localhost:${PORT}/admin`);
+      log.info('');
+    });
   });
+}
 
-  ws.on('error', (err) => {
-    console.error('  ❌ WS error:', err.message);
-    handleDisconnect(ws);
-  });
-});
-
-server.listen(PORT, () => {
-  console.log('');
-  console.log('  🎮  Pen and Paper Game Server');
-  console.log(`  🌐  http://localhost:${PORT}`);
-  console.log('  📋  Share the lobby code with friends on your network');
-  console.log('');
-});
\ No newline at end of file
+module.exports = { createServer };
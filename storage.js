@@ -0,0 +1,80 @@
+const fs = require('fs');
+const path = require('path');
+
+// ─── LOBBY STORES ──────────────────────────────────────────────────
+// A store keeps one serialized snapshot per lobby code. Every store
+// exposes the same three async methods, so the server never cares where
+// the data actually lives:
+//
+//   load()            → Promise<object[]>   every saved snapshot
+//   save(code, data)  → Promise<void>       replace the snapshot for `code`
+//   remove(code)      → Promise<void>       forget `code`
+//
+// Snapshots are plain JSON-safe objects; turning a live lobby into one
+// (and back) is the server's job.
+
+// Default store: nothing outlives the process, same as having no store.
+function createMemoryStore() {
+  const snapshots = new Map();
+  return {
+    name: 'memory',
+    async load() {
+      return [...snapshots.values()].map(s => JSON.parse(s));
+    },
+    async save(code, data) {
+      snapshots.set(code, JSON.stringify(data));
+    },
+    async remove(code) {
+      snapshots.delete(code);
+    },
+  };
+}
+
+// One JSON file per lobby in `dir`. Writes go to a temp file first and are
+// renamed into place, so a crash mid-write never leaves a truncated lobby.
+function createJsonFileStore(dir, { log = console } = {}) {
+  // Writes for the same lobby are chained so an older snapshot can never
+  // land on top of a newer one.
+  const queues = new Map();
+  const fileFor = (code) => path.join(dir, `${code}.json`);
+
+  function enqueue(code, task) {
+    const prev = queues.get(code) || Promise.resolve();
+    const next = prev.then(task, task);
+    queues.set(code, next);
+    next.finally(() => {
+      if (queues.get(code) === next) queues.delete(code);
+    });
+    return next;
+  }
+
+  return {
+    name: 'file',
+    async load() {
+      await fs.promises.mkdir(dir, { recursive: true });
+      const files = (await fs.promises.readdir(dir)).filter(f => f.endsWith('.json'));
+      const snapshots = [];
+      for (const file of files) {
+        try {
+          snapshots.push(JSON.parse(await fs.promises.readFile(path.join(dir, file), 'utf8')));
+        } catch (err) {
+          log.error(`  ❌ Skipping unreadable lobby file ${file}: ${err.message}`);
+        }
+      }
+      return snapshots;
+    },
+    save(code, data) {
+      return enqueue(code, async () => {
+        await fs.promises.mkdir(dir, { recursive: true });
+        const tmp = `${fileFor(code)}.tmp`;
+        await fs.promises.writeFile(tmp, JSON.stringify(data));
+        await fs.promises.rename(tmp, fileFor(code));
+      });
+    },
+    remove(code) {
+      return enqueue(code, () => fs.promises.rm(fileFor(code), { force: true }));
+    },
+  };
+}
+
+module.exports = { createMemoryStore, createJsonFileStore };
@@ -0,0 +1,65 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTable, findBot } = require('./support/harness');
+
+const TIMERS = { timerQuestion: 60, timerAnswer: 60, timerPerPlayer: 30, timerVoting: 20 };
+
+async function setExtraTime(table, bot, extraTime) {
+  bot.send({ type: 'set_extra_time', extraTime });
+  const update = await table.host.next('lobby_update');
+  return update.players.find(p => p.id === bot.id).extraTime;
+}
+
+test('extra time stretches the timers of every phase the player has a move in', async (t) => {
+  const table = await createTable(t, { settings: TIMERS });
+  const { host } = table;
+  const cat = table.players[2];
+  assert.equal(await setExtraTime(table, cat, true), true);
+
+  host.send({ type: 'start_game' });
+  const question = await host.phase('question');
+  const guesser = findBot(table, question.guesser.id);
+  const catGuesses = guesser === cat;
+  assert.equal((await host.next('timer')).seconds, catGuesses ? 90 : 60);
+
+  guesser.send({ type: 'submit_question', question: 'Tea or coffee?' });
+  await host.phase('answering');
+  assert.equal((await host.next('timer')).seconds, catGuesses ? 60 : 90);
+
+  const answerers = table.players.filter(b => b !== guesser);
+  for (const bot of answerers) bot.send({ type: 'submit_answer', answer: `${bot.name} says tea` });
+  const reveal = await host.phase('reveal');
+  for (let i = 0; i < reveal.totalAnswers; i++) guesser.send({ type: 'next_reveal' });
+
+  // Thirty seconds for each of the two answers
+  const guessing = await host.phase('guessing');
+  assert.equal((await host.next('timer')).seconds, catGuesses ? 90 : 60);
+
+  guesser.send({ type: 'submit_guesses', guesses: Object.fromEntries(guessing.answers.map(a => [a.id, answerers[0].id])) });
+  await host.phase('voting');
+  // Everyone votes
+  assert.equal((await host.next('timer')).seconds, 30);
+});
+
+test('extra time can be turned off again, and only counts while the player is here', async (t) => {
+  const table = await createTable(t, { settings: TIMERS });
+  const [, ben, cat] = table.players;
+  await setExtraTime(table, ben, true);
+  assert.equal(await setExtraTime(table, ben, false), false);
+  await setExtraTime(table, cat, true);
+  await cat.close();
+
+  table.host.send({ type: 'start_game' });
+  await table.host.phase('question');
+  assert.equal((await table.host.next('timer')).seconds, 60);
+});
+
+test('only players can ask for extra time', async (t) => {
+  const table = await createTable(t);
+  const watcher = await table.bot('Watcher');
+  watcher.send({ type: 'join_as_spectator', name: 'Watcher', code: table.code });
+  await watcher.next('joined');
+
+  watcher.send({ type: 'set_extra_time', extraTime: true });
+  assert.equal((await watcher.next('error')).code, 'NOT_A_PLAYER');
+});
@@ -0,0 +1,180 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTable, startServer, playTurn } = require('./support/harness');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const { createJsonLogger } = require('../logger');
+const i18n = require('../i18n');
+const questionBank = require('../question-bank');
+const { createJsonFileStore } = require('../storage');
+
+const TOKEN = 'let-me-in';
+const SECOND = 1000;
+
+function admin(env, path, { token = TOKEN, method = 'GET' } = {}) {
+  return fetch(`${env.httpUrl}${path}`, { method, headers: { Authorization: `Bearer ${token}` } });
+}
+
+async function metrics(env) {
+  const text = await (await admin(env, '/metrics')).text();
+  return Object.fromEntries(text.split('\n').filter(l => l && !l.startsWith('#')).map(l => {
+    const [name, value] = l.split(' ');
+    return [name, Number(value)];
+  }));
+}
+
+test('the admin routes are off without a token, and locked with one', async (t) => {
+  const off = await startServer(t);
+  for (const path of ['/admin', '/admin/lobbies', '/metrics']) {
+    assert.equal((await admin(off, path)).status, 404);
+  }
+
+  const on = await startServer(t, { adminToken: TOKEN });
+  assert.equal((await admin(on, '/admin', { token: '' })).status, 200);
+  assert.equal((await admin(on, '/admin/lobbies', { token: 'guess' })).status, 401);
+  assert.equal((await fetch(`${on.httpUrl}/metrics`)).status, 401);
+  assert.equal((await admin(on, '/admin/lobbies')).status, 200);
+});
+
+test('every lobby is listed, public or not, with its age and idle time', async (t) => {
+  const table = await createTable(t, { adminToken: TOKEN });
+  table.clock.tick(90 * SECOND);
+  table.players[1].send({ type: 'leave_game', requestId: 1 });
+  await table.players[1].next('left_game');
+  table.clock.tick(30 * SECOND);
+
+  const { lobbies } = await (await admin(table, '/admin/lobbies')).json();
+  assert.deepEqual(lobbies, [{
+    code: table.code,
+    host: 'Ann',
+    phase: 'lobby',
+    paused: false,
+    players: 2,
+    connected: 2,
+    spectators: 0,
+    maxPlayers: 10,
+    visibility: 'private',
+    locked: false,
+    hasPassword: false,
+    teamMode: false,
+    ageSeconds: 120,
+    idleSeconds: 30,
+  }]);
+});
+
+test('closing a lobby sends everyone in it home', async (t) => {
+  const table = await createTable(t, { adminToken: TOKEN });
+  const watcher = await table.bot('Watcher');
+  watcher.send({ type: 'join_as_spectator', name: 'Watcher', code: table.code });
+  await watcher.next('joined');
+  table.host.send({ type: 'start_game' });
+  await table.host.phase('question');
+
+  assert.equal((await admin(table, `/admin/lobbies/${table.code}/close`)).status, 405);
+  const res = await admin(table, `/admin/lobbies/${table.code.toLowerCase()}/close`, { method: 'POST' });
+  assert.deepEqual(await res.json(), { closed: true });
+  for (const bot of [...table.players, watcher]) {
+    const closed = await bot.next('lobby_closed');
+    assert.equal(closed.reason, 'admin');
+  }
+  assert.ok(!table.game.lobbies.has(table.code));
+
+  const again = await admin(table, `/admin/lobbies/${table.code}/close`, { method: 'POST' });
+  assert.equal(again.status, 404);
+  const back = await table.bot('Ann');
+  back.send({ type: 'rejoin', code: table.code, token: table.host.token });
+  await back.next('rejoin_failed');
+});
+
+test('metrics count sockets, games and messages', async (t) => {
+  const table = await createTable(t, { adminToken: TOKEN, settings: { rounds: 1 } });
+  const before = await metrics(table);
+  assert.equal(before.pnp_sockets, 3);
+  assert.equal(before.pnp_lobbies, 1);
+  assert.equal(before.pnp_players, 3);
+  assert.equal(before.pnp_games_started_total, 0);
+
+  table.host.send({ type: 'start_game' });
+  for (let turn = 0; turn < 3; turn++) {
+    await playTurn(table);
+    table.clock.tick(100 * SECOND);
+    table.host.send({ type: 'next_turn' });
+  }
+  await table.host.phase('gameover');
+
+  const after = await metrics(table);
+  assert.equal(after.pnp_games_started_total, 1);
+  assert.equal(after.pnp_games_completed_total, 1);
+  assert.equal(after.pnp_games_in_progress, 0);
+  assert.equal(after.pnp_game_duration_seconds_avg, 300);
+  assert.ok(after.pnp_messages_total > before.pnp_messages_total);
+  // Only the messages of the last minute count towards the rate
+  assert.ok(after.pnp_messages_per_second < after.pnp_messages_total / 60);
+});
+
+test('the JSON logger writes one object per line, with the fields merged in', () => {
+  const lines = [];
+  const log = createJsonLogger({ write: line => lines.push(line), now: () => Date.UTC(2024, 0, 1) });
+  log.info('  ▶ Game started in lobby ABCDE', { lobby: 'ABCDE', players: 4 });
+  log.error('  ❌ Could not save lobby ABCDE:', 'disk full');
+  log.info('');
+
+  assert.equal(lines.length, 2);
+  assert.ok(lines.every(line => line.endsWith('\n')));
+  assert.deepEqual(JSON.parse(lines[0]), {
+    time: '2024-01-01T00:00:00.000Z',
+    level: 'info',
+    msg: 'Game started in lobby ABCDE',
+    lobby: 'ABCDE',
+    players: 4,
+  });
+  assert.equal(JSON.parse(lines[1]).msg, 'Could not save lobby ABCDE: disk full');
+});
+
+test('unreadable catalogs, packs and lobby files are reported through the server log', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pnp-log-'));
+  fs.writeFileSync(path.join(dir, 'broken.json'), '{ not json');
+  t.after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    i18n.load();
+    questionBank.load();
+  });
+  const errors = [];
+  const log = { info() {}, error: (...args) => errors.push(args.join(' ')) };
+
+  i18n.load({ dir, log });
+  questionBank.load({ dir, log });
+  assert.deepEqual(await createJsonFileStore(dir, { log }).load(), []);
+  assert.equal(errors.length, 3);
+  assert.match(errors[0], /Skipping translation catalog broken\.json/);
+  assert.match(errors[1], /Skipping question pack broken\.json/);
+  assert.match(errors[2], /Skipping unreadable lobby file broken\.json/);
+});
+
+test('a real server reports broken catalogs and packs through its own log, and only there', async (t) => {
+  const root = path.join(__dirname, '..');
+  const server = spawn(process.execPath, ['-r', path.join(__dirname, 'support', 'broken-data.js'), 'server.js'], {
+    cwd: root,
+    env: { ...process.env, PORT: '0', LOG_FORMAT: 'json', LOBBY_STORE: 'memory', PROFILE_STORE: 'memory' },
+  });
+  t.after(() => server.kill());
+  let stdout = '';
+  let stderr = '';
+  server.stderr.on('data', chunk => { stderr += chunk; });
+  await new Promise((resolve, reject) => {
+    server.stdout.on('data', chunk => {
+      stdout += chunk;
+      if (stdout.includes('Share the lobby code')) resolve();
+    });
+    server.on('exit', code => reject(new Error(`server exited with ${code}: ${stderr}`)));
+  });
+
+  assert.equal(stderr, '');
+  const lines = stdout.trim().split('\n').map(line => JSON.parse(line));
+  const errors = lines.filter(l => l.level === 'error').map(l => l.msg);
+  assert.equal(errors.length, 2);
+  assert.match(errors[0], /^Skipping translation catalog broken\.json: /);
+  assert.match(errors[1], /^Skipping question pack broken\.json: /);
+});
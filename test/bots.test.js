@@ -0,0 +1,199 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTable, findBot } = require('./support/harness');
+const { createSeededRandom } = require('./support/seeded-random');
+const bots = require('../bots');
+const icebreakers = require('../questions/icebreakers.json');
+
+const SECOND = 1000;
+// Long enough for every bot to make its move
+const THINK = 8 * SECOND;
+const REVEAL_STEP = 4 * SECOND;
+
+// The bots here are the harness's socket clients; the server's bot
+// players are the ones added with add_bot.
+
+// Sends a message and waits for its ack, leaving next() where it was
+async function acked(client, msg) {
+  const requestId = `${msg.type}-${client.inbox.length}`;
+  client.send({ ...msg, requestId });
+  const reply = await client.sees(m => m.requestId === requestId);
+  assert.equal(reply.type, 'ack', reply.message);
+}
+
+async function addBotPlayer(table) {
+  table.host.send({ type: 'add_bot' });
+  const update = await table.host.next('lobby_update');
+  return update.players[update.players.length - 1];
+}
+
+// One turn with the people doing their part and the clock giving the bot
+// players time to do theirs
+async function playTurn(table) {
+  const { host } = table;
+  const question = await host.phase('question');
+  const guesser = findBot(table, question.guesser.id);
+  const answerers = table.players.filter(p => p !== guesser);
+
+  if (guesser) await acked(guesser, { type: 'submit_question', question: 'What is the best pizza topping?' });
+  else table.clock.tick(THINK);
+  const answering = await host.phase('answering');
+
+  for (const p of answerers) await acked(p, { type: 'submit_answer', answer: `${p.name} says hi` });
+  // With a person guessing, a bot player is still to answer
+  if (guesser) table.clock.tick(THINK);
+  const reveal = await host.phase('reveal');
+
+  if (guesser) {
+    for (let i = 0; i < reveal.totalAnswers; i++) guesser.send({ type: 'next_reveal' });
+  } else {
+    table.clock.tick(reveal.totalAnswers * REVEAL_STEP);
+  }
+  const guessing = await host.phase('guessing');
+
+  if (guesser) {
+    const guesses = Object.fromEntries(guessing.answers.map(a => [a.id, guessing.players[0].id]));
+    await acked(guesser, { type: 'submit_guesses', guesses });
+  } else {
+    table.clock.tick(THINK);
+  }
+  const voting = await host.phase('voting');
+
+  for (const p of table.players) {
+    await acked(p, { type: 'vote', category: 'best', answerId: voting.answers[0].id });
+    await acked(p, { type: 'vote', category: 'funniest', answerId: voting.answers[0].id });
+  }
+  table.clock.tick(THINK);
+  const results = await host.phase('results');
+  return { guesser, answering, results };
+}
+
+test('two friends and a bot player can play a whole game', async (t) => {
+  const table = await createTable(t, { players: 2, settings: { rounds: 1, questionPacks: ['icebreakers'] } });
+  table.host.send({ type: 'start_game' });
+  assert.equal((await table.host.next('error')).code, 'NOT_ENOUGH_PLAYERS');
+
+  const robot = await addBotPlayer(table);
+  assert.equal(robot.bot, true);
+  assert.equal(robot.connected, true);
+  assert.ok(!['Ann', 'Ben'].includes(robot.name));
+
+  table.host.send({ type: 'start_game' });
+  let botAsked = null;
+  for (let turn = 0; turn < 3; turn++) {
+    const { guesser, answering, results } = await playTurn(table);
+    if (!guesser) botAsked = answering.question;
+    // Every answerer's answer made it in, the bot player's included
+    assert.equal(results.guessResults.total, 2);
+    table.host.send({ type: 'next_turn' });
+  }
+  const gameover = await table.host.phase('gameover');
+  assert.deepEqual(gameover.scoreboard.map(s => s.name).sort(), ['Ann', 'Ben', robot.name].sort());
+  // On its own turn the bot player asked something from the enabled pack
+  assert.ok(icebreakers.questions.includes(botAsked), botAsked);
+});
+
+test('bot players answer in their own voice, from the pool for the question', () => {
+  const random = createSeededRandom(3);
+  const question = "What's the best pizza topping?";
+  const pizza = ['pineapple', 'extra cheese', 'mushrooms', 'just more pizza', 'anchovies'];
+
+  const sensible = bots.writeAnswer({ question, personality: 'sensible', random });
+  assert.match(sensible, /^[A-Z].*\.$/);
+  assert.ok(pizza.includes(sensible.slice(0, -1).toLowerCase()), sensible);
+  const silly = bots.writeAnswer({ question, personality: 'silly', random });
+  assert.equal(silly, silly.toUpperCase());
+  assert.match(silly, /!|😂/);
+  const deadpan = bots.writeAnswer({ question, personality: 'deadpan', random });
+  assert.equal(deadpan, deadpan.toLowerCase());
+
+  // Answers already given this turn aren't repeated
+  const given = pizza.slice(1).map(a => `${a}.`);
+  assert.equal(bots.writeAnswer({ question, personality: 'sensible', given, random }), 'Pineapple.');
+  // A question with no known topic still gets an answer
+  assert.ok(bots.writeAnswer({ question: 'Xyzzy?', personality: 'deadpan', random }));
+});
+
+test('a hard bot guesser matches answers by style, and spots other bots', () => {
+  const history = new Map([
+    ['ann', ['lol idk', 'nah', 'pizza i guess']],
+    ['ben', ['I would choose a long and thoughtful answer, of course.', 'Definitely the mountains in spring.']],
+  ]);
+  const answers = [
+    { id: 'a1', text: 'Probably something sensible, with a full stop at the end.' },
+    { id: 'a2', text: 'meh' },
+    { id: 'a3', text: 'PINEAPPLE!! 🎉' },
+  ];
+  const { guesses, wagers } = bots.matchAnswers({
+    answers,
+    players: ['ann', 'ben', 'bolt'],
+    history,
+    botIds: new Set(['bolt']),
+    difficulty: 'hard',
+    random: createSeededRandom(1),
+  });
+  assert.deepEqual(guesses, { a1: 'ben', a2: 'ann', a3: 'bolt' });
+  assert.equal(wagers.a3, 3);
+
+  // Easy bots guess blind, but still pin each answer on someone different
+  const easy = bots.matchAnswers({
+    answers, players: ['ann', 'ben', 'bolt'], history, botIds: new Set(), difficulty: 'easy', random: createSeededRandom(2),
+  });
+  assert.deepEqual(Object.values(easy.guesses).sort(), ['ann', 'ben', 'bolt']);
+});
+
+test('bot players hold still while the game is paused', async (t) => {
+  const table = await createTable(t, { players: 2, settings: { timerQuestion: 120, timerAnswer: 120 } });
+  await addBotPlayer(table);
+  table.host.send({ type: 'start_game' });
+  const question = await table.host.phase('question');
+  const guesser = findBot(table, question.guesser.id);
+  await acked(table.host, { type: 'pause_game', paused: true });
+
+  // The bot player either has the question to write, or (once a person
+  // has written it) an answer
+  if (guesser) await acked(guesser, { type: 'submit_question', question: 'Tea or coffee?' });
+  table.clock.tick(60 * SECOND);
+  const lobby = table.game.lobbies.get(table.code);
+  const robot = lobby.players.find(p => p.bot);
+  const moved = () => (guesser ? lobby.answers.has(robot.id) : lobby.phase === 'answering');
+  assert.ok(!moved());
+
+  await acked(table.host, { type: 'pause_game', paused: false });
+  table.clock.tick(THINK);
+  assert.ok(moved());
+});
+
+test('bot players are never host, and never keep a lobby open', async (t) => {
+  const table = await createTable(t, { players: 2 });
+  await addBotPlayer(table);
+  const [ann, ben] = table.players;
+
+  ann.send({ type: 'leave_game' });
+  const handoff = await ben.next('host_changed');
+  assert.equal(handoff.name, 'Ben');
+
+  ben.send({ type: 'leave_game' });
+  await ben.next('left_game');
+  table.clock.tick(2 * 60 * SECOND);
+  assert.ok(!table.game.lobbies.has(table.code));
+});
+
+test('bot players are kicked like anyone, and left out of team games', async (t) => {
+  const table = await createTable(t, { players: 4 });
+  const robot = await addBotPlayer(table);
+  table.host.send({ type: 'kick_player', playerId: robot.id });
+  assert.ok(!(await table.host.next('lobby_update')).players.some(p => p.bot));
+
+  await addBotPlayer(table);
+  await addBotPlayer(table);
+  table.host.send({ type: 'update_settings', settings: { teamMode: true } });
+  // The host hears the bots went, rather than seeing them vanish
+  assert.equal((await table.host.next('bots_removed')).count, 2);
+  const teams = await table.host.next(m => m.type === 'lobby_update' && m.settings.teamMode);
+  assert.equal(teams.players.length, 4);
+  assert.ok(!teams.players.some(p => p.bot));
+
+  table.host.send({ type: 'add_bot' });
+  assert.equal((await table.host.next('error')).code, 'NO_BOTS_IN_TEAMS');
+});
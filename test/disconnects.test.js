@@ -0,0 +1,250 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTable, findBot, disconnect, reconnect, playTurn } = require('./support/harness');
+
+const SECOND = 1000;
+
+async function firstTurn(table) {
+  table.host.send({ type: 'start_game' });
+  const question = await table.host.phase('question');
+  const guesser = findBot(table, question.guesser.id);
+  const others = table.players.filter(b => b !== guesser);
+  return { guesser, others };
+}
+
+test('a guesser who drops while asking gets a short grace period, then is skipped', async (t) => {
+  const table = await createTable(t, { players: 4 });
+  const { guesser, others: [watcher] } = await firstTurn(table);
+
+  await disconnect(guesser, watcher);
+  const timer = await watcher.next(m => m.type === 'timer' && m.seconds === 15);
+  assert.equal(timer.endsAt, table.clock.now() + 15 * SECOND);
+
+  table.clock.tick(15 * SECOND);
+  const skipped = await watcher.next('turn_skipped');
+  assert.equal(skipped.playerId, guesser.id);
+  const question = await watcher.phase('question');
+  assert.equal(question.turnNumber, 2);
+  assert.notEqual(question.guesser.id, guesser.id);
+});
+
+test('a guesser who comes back in time keeps their turn', async (t) => {
+  const table = await createTable(t);
+  const { guesser, others: [watcher] } = await firstTurn(table);
+
+  await disconnect(guesser, watcher);
+  table.clock.tick(10 * SECOND);
+  const { bot: back, snapshot } = await reconnect(table, guesser);
+  assert.equal(snapshot.phase.phase, 'question');
+  assert.equal(snapshot.phase.guesser.id, back.id);
+
+  back.send({ type: 'submit_question', question: 'Still here?' });
+  const answering = await watcher.phase('answering');
+  assert.equal(answering.question, 'Still here?');
+});
+
+test('a returning guesser gets back the time the grace period cut', async (t) => {
+  const table = await createTable(t, { settings: { timerQuestion: 60 } });
+  const { guesser, others: [watcher] } = await firstTurn(table);
+
+  table.clock.tick(10 * SECOND);
+  await disconnect(guesser, watcher);
+  await watcher.next(m => m.type === 'timer' && m.seconds === 15);
+  table.clock.tick(5 * SECOND);
+  await reconnect(table, guesser);
+
+  const timer = await watcher.next(m => m.type === 'timer' && m.seconds === 60);
+  assert.equal(timer.endsAt, table.clock.now() + 45 * SECOND);
+  table.clock.tick(44 * SECOND);
+  assert.equal(table.game.lobbies.get(table.code).phase, 'question');
+});
+
+test('answering finishes once every connected answerer is in', async (t) => {
+  const table = await createTable(t, { players: 4 });
+  const { guesser, others: [a, b, c] } = await firstTurn(table);
+  guesser.send({ type: 'submit_question', question: 'Q?' });
+  await Promise.all([a, b, c].map(bot => bot.phase('answering')));
+
+  a.send({ type: 'submit_answer', answer: 'A' });
+  b.send({ type: 'submit_answer', answer: 'B' });
+  await b.next('answer_submitted');
+  await disconnect(c, guesser);
+
+  const reveal = await guesser.phase('reveal');
+  assert.equal(reveal.totalAnswers, 2);
+});
+
+test('an answerer who is away when time runs out is left out of the guessing', async (t) => {
+  const table = await createTable(t, { players: 4, settings: { timerPerPlayer: 20 } });
+  const { guesser, others: [a, b, c] } = await firstTurn(table);
+  guesser.send({ type: 'submit_question', question: 'Q?' });
+  await Promise.all([a, b, c].map(bot => bot.phase('answering')));
+  a.send({ type: 'submit_answer', answer: 'A' });
+  await a.next('answer_submitted');
+  await disconnect(c, guesser);
+
+  table.clock.tick(60 * SECOND);
+  const reveal = await guesser.phase('reveal');
+  for (let i = 0; i < reveal.totalAnswers; i++) guesser.send({ type: 'next_reveal' });
+  const guessing = await guesser.phase('guessing');
+  assert.deepEqual(guessing.players.map(p => p.name).sort(), [a.name, b.name].sort());
+  // Twenty seconds for each of the two answers
+  assert.equal((await guesser.next('timer')).seconds, 40);
+
+  const [first, second] = guessing.answers;
+  guesser.send({ type: 'submit_guesses', guesses: { [first.id]: a.id, [second.id]: b.id }, requestId: 1 });
+  assert.equal((await guesser.next(m => m.requestId === 1)).type, 'ack');
+});
+
+test('the reveal plays itself while the guesser is away', async (t) => {
+  const table = await createTable(t, { players: 4 });
+  const { guesser, others: [watcher, ...rest] } = await firstTurn(table);
+  guesser.send({ type: 'submit_question', question: 'Q?' });
+  await watcher.phase('answering');
+  [watcher, ...rest].forEach(bot => bot.send({ type: 'submit_answer', answer: bot.name }));
+  await watcher.phase('reveal');
+
+  await disconnect(guesser, watcher);
+  for (let index = 1; index < 3; index++) {
+    table.clock.tick(5 * SECOND);
+    await watcher.next(m => m.type === 'reveal_answer' && m.index === index);
+  }
+  table.clock.tick(5 * SECOND);
+  await watcher.phase('guessing');
+
+  // Guessing only waits out the grace period for an absent guesser
+  const timer = await watcher.next(m => m.type === 'timer' && m.seconds === 15);
+  assert.ok(timer);
+  table.clock.tick(15 * SECOND);
+  const voting = await watcher.phase('voting');
+  assert.equal(voting.answers.length, 3);
+});
+
+test('a returning guesser takes the reveal back', async (t) => {
+  const table = await createTable(t);
+  const { guesser, others: [watcher, other] } = await firstTurn(table);
+  guesser.send({ type: 'submit_question', question: 'Q?' });
+  await watcher.phase('answering');
+  watcher.send({ type: 'submit_answer', answer: 'one' });
+  other.send({ type: 'submit_answer', answer: 'two' });
+  await watcher.phase('reveal');
+
+  await disconnect(guesser, watcher);
+  const { bot: back, snapshot } = await reconnect(table, guesser);
+  assert.equal(snapshot.revealed.length, 1);
+  assert.equal(table.clock.untilNext(), null);
+
+  back.send({ type: 'next_reveal' });
+  await watcher.next(m => m.type === 'reveal_answer' && m.index === 1);
+});
+
+test('hosting passes on when the host leaves', async (t) => {
+  const table = await createTable(t);
+  const [ann, ben, cat] = table.players;
+
+  await disconnect(ann, cat);
+  const changed = await cat.next('host_changed');
+  assert.equal(changed.hostId, ben.id);
+  assert.equal(changed.name, 'Ben');
+
+  // The old host's seat still counts, and the new host can start the game
+  ben.send({ type: 'start_game' });
+  const question = await cat.phase('question');
+  assert.equal(question.totalTurns, 9);
+});
+
+test('votes only wait for players who are still here', async (t) => {
+  const table = await createTable(t, { players: 4 });
+  const { guesser, others } = await firstTurn(table);
+  guesser.send({ type: 'submit_question', question: 'Q?' });
+  await guesser.phase('answering');
+  others.forEach(bot => bot.send({ type: 'submit_answer', answer: bot.name }));
+  await guesser.phase('reveal');
+  for (let i = 0; i < 3; i++) guesser.send({ type: 'next_reveal' });
+  const guessing = await guesser.phase('guessing');
+  guesser.send({ type: 'submit_guesses', guesses: {} });
+  await guesser.phase('voting');
+
+  const [leaver, ...stayers] = others;
+  const pick = guessing.answers[0].id;
+  for (const bot of [guesser, ...stayers]) {
+    bot.send({ type: 'vote', category: 'best', answerId: pick });
+    bot.send({ type: 'vote', category: 'funniest', answerId: pick });
+  }
+  await disconnect(leaver, guesser);
+  const results = await guesser.phase('results');
+  assert.equal(results.bestAnswers.length, 1);
+});
+
+test('a rejoining player lands back in the current phase', async (t) => {
+  const table = await createTable(t);
+  const { guesser, others: [ben, cat] } = await firstTurn(table);
+  guesser.send({ type: 'submit_question', question: 'Q?' });
+  await ben.phase('answering');
+  ben.send({ type: 'submit_answer', answer: 'mine' });
+  await ben.next('answer_submitted');
+
+  await disconnect(ben, cat);
+  const { bot: back, snapshot } = await reconnect(table, ben);
+  const joined = back.inbox.find(m => m.type === 'joined');
+  assert.equal(joined.rejoined, true);
+  assert.equal(joined.playerId, ben.id);
+  assert.equal(snapshot.phase.phase, 'answering');
+  assert.equal(snapshot.answerSubmitted, true);
+  assert.deepEqual(snapshot.answerProgress, { submitted: 1, total: 2 });
+  assert.ok(snapshot.timer.remaining > 0);
+});
+
+test('opening the game in a second tab replaces the first', async (t) => {
+  const table = await createTable(t);
+  const [, ben] = table.players;
+  const second = await table.bot('Ben');
+  second.send({ type: 'rejoin', code: table.code, token: ben.token });
+  await second.next('joined');
+  await ben.next('session_replaced');
+});
+
+test('a stale session is turned away', async (t) => {
+  const table = await createTable(t);
+  const stranger = await table.bot('Stranger');
+  stranger.send({ type: 'rejoin', code: table.code, token: 'not-a-real-token' });
+  const failed = await stranger.next('rejoin_failed');
+  assert.equal(failed.message, 'Your game has ended');
+});
+
+test('an empty lobby is kept for two minutes, then removed', async (t) => {
+  const table = await createTable(t);
+  const [ann, ben, cat] = table.players;
+  ann.send({ type: 'start_game' });
+  await cat.phase('question');
+  await disconnect(ann, cat);
+  await disconnect(ben, cat);
+  await cat.close();
+  while (table.game.lobbies.get(table.code).players.some(p => p.connected)) {
+    await new Promise(resolve => setImmediate(resolve));
+  }
+
+  table.clock.tick(2 * 60 * SECOND - 1);
+  assert.ok(table.game.lobbies.has(table.code));
+  table.clock.tick(1);
+  assert.ok(!table.game.lobbies.has(table.code));
+});
+
+test('a guesser who is gone when their turn comes is skipped straight away', async (t) => {
+  const table = await createTable(t, { players: 4, settings: { bonusEnabled: false } });
+  table.host.send({ type: 'start_game' });
+  // Peek, so whoever plays the turn below still sees the question
+  const question = await table.host.sees(m => m.type === 'phase' && m.phase === 'question');
+  const order = table.game.lobbies.get(table.code).guesserOrder;
+  const upNext = findBot(table, order[1]);
+  const observer = table.players.find(b => b !== upNext && b.id !== question.guesser.id);
+
+  await disconnect(upNext, observer);
+  await playTurn({ ...table, host: observer });
+  findBot(table, table.game.lobbies.get(table.code).hostId).send({ type: 'next_turn' });
+
+  const skipped = await observer.next('turn_skipped');
+  assert.equal(skipped.playerId, upNext.id);
+  const next = await observer.phase('question');
+  assert.equal(next.turnNumber, 3);
+});
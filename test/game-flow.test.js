@@ -0,0 +1,141 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTable, startServer, playTurn } = require('./support/harness');
+
+test('a three-player game runs every phase in order through to game over', async (t) => {
+  const table = await createTable(t, { settings: { rounds: 1 } });
+  const [ann, ben] = table.players;
+  ann.send({ type: 'start_game' });
+
+  const guessers = [];
+  for (let turn = 1; turn <= 3; turn++) {
+    const question = await ben.phase('question');
+    assert.equal(question.turnNumber, turn);
+    assert.equal(question.totalTurns, 3);
+    assert.equal(question.roundNumber, 1);
+    guessers.push(question.guesser.id);
+
+    const { results } = await playTurn(table);
+    assert.equal(results.guessResults.correct, 2);
+    assert.equal(results.guessResults.total, 2);
+    ann.send({ type: 'next_turn' });
+  }
+
+  // Everyone guesses exactly once per round
+  assert.deepEqual([...guessers].sort(), table.players.map(b => b.id).sort());
+
+  const over = await ben.phase('gameover');
+  assert.equal(over.scoreboard.length, 3);
+
+  // Phases a non-guessing player sees, in order, for the first turn
+  const phases = ben.inbox.filter(m => m.type === 'phase').map(m => m.phase);
+  assert.deepEqual(phases.slice(0, 6), ['question', 'answering', 'reveal', 'guessing', 'voting', 'results']);
+});
+
+test('every guesser gets one turn per round', async (t) => {
+  const table = await createTable(t, { players: 4, settings: { rounds: 2 } });
+  const [ann, ben] = table.players;
+  ann.send({ type: 'start_game' });
+
+  const turns = [];
+  for (let turn = 0; turn < 8; turn++) {
+    turns.push(await ben.phase('question'));
+    await playTurn(table);
+    ann.send({ type: 'next_turn' });
+  }
+  await ben.phase('gameover');
+
+  for (const round of [turns.slice(0, 4), turns.slice(4)]) {
+    assert.equal(new Set(round.map(q => q.guesser.id)).size, 4);
+  }
+  assert.deepEqual(turns.map(q => q.roundNumber), [1, 1, 1, 1, 2, 2, 2, 2]);
+});
+
+test('answers are revealed one at a time without their authors', async (t) => {
+  const table = await createTable(t);
+  const [ann] = table.players;
+  ann.send({ type: 'start_game' });
+
+  const question = await ann.phase('question');
+  const guesser = table.players.find(b => b.id === question.guesser.id);
+  const others = table.players.filter(b => b !== guesser);
+  guesser.send({ type: 'submit_question', question: 'Best pizza?' });
+  await Promise.all(others.map(b => b.phase('answering')));
+  others[0].send({ type: 'submit_answer', answer: 'Pineapple' });
+  await others[0].next('answer_submitted');
+  const progress = await guesser.next('answer_progress');
+  assert.deepEqual({ submitted: progress.submitted, total: progress.total }, { submitted: 1, total: 2 });
+  others[1].send({ type: 'submit_answer', answer: 'Plain cheese' });
+
+  const reveal = await guesser.phase('reveal');
+  assert.equal(reveal.totalAnswers, 2);
+  const first = await others[0].next('reveal_answer');
+  assert.equal(first.index, 0);
+  assert.deepEqual(Object.keys(first.answer).sort(), ['id', 'text']);
+
+  // Only the guesser can move the reveal along
+  others[0].send({ type: 'next_reveal' });
+  guesser.send({ type: 'next_reveal' });
+  const second = await others[1].next(m => m.type === 'reveal_answer' && m.index === 1);
+  assert.notEqual(second.answer.id, first.answer.id);
+
+  guesser.send({ type: 'next_reveal' });
+  const guessing = await others[0].phase('guessing');
+  assert.deepEqual(guessing.answers.map(a => a.text).sort(), ['Pineapple', 'Plain cheese']);
+  assert.ok(guessing.answers.every(a => !('playerId' in a)));
+});
+
+test('only the host can start, and only with three players', async (t) => {
+  const env = await startServer(t);
+  const ann = await env.bot('Ann');
+  ann.send({ type: 'create_lobby', name: 'Ann' });
+  const { lobbyCode: code } = await ann.next('joined');
+  const ben = await env.bot('Ben');
+  ben.send({ type: 'join_lobby', name: 'Ben', code });
+  await ben.next('joined');
+
+  ann.send({ type: 'start_game' });
+  assert.equal((await ann.next('error')).message, 'Need at least 3 players');
+
+  const cat = await env.bot('Cat');
+  cat.send({ type: 'join_lobby', name: 'Cat', code });
+  await cat.next('joined');
+  cat.send({ type: 'start_game' });
+  ann.send({ type: 'start_game' });
+  const question = await cat.phase('question');
+  assert.equal(question.turnNumber, 1);
+});
+
+test('joining a lobby that does not exist fails', async (t) => {
+  const table = await createTable(t);
+  const late = await table.bot('Late');
+  late.send({ type: 'join_lobby', name: 'Late', code: 'ZZZZZ' });
+  assert.equal((await late.next('error')).message, 'Lobby not found');
+});
+
+test('play again resets scores and returns everyone to the lobby', async (t) => {
+  const table = await createTable(t, { settings: { rounds: 1 } });
+  const [ann, ben] = table.players;
+  ann.send({ type: 'start_game' });
+  for (let turn = 0; turn < 3; turn++) {
+    await playTurn(table);
+    ann.send({ type: 'next_turn' });
+  }
+  const over = await ben.phase('gameover');
+  assert.ok(over.scoreboard.some(p => p.score > 0));
+
+  ann.send({ type: 'play_again' });
+  await ben.phase('lobby');
+  const lobby = await ben.next('lobby_update');
+  assert.ok(lobby.players.every(p => p.score === 0));
+});
+
+test('the same seed deals the same lobby code and turn order', async (t) => {
+  const deal = async () => {
+    const table = await createTable(t, { seed: 42 });
+    table.host.send({ type: 'start_game' });
+    const question = await table.host.phase('question');
+    return { code: table.code, guesser: table.players.find(b => b.id === question.guesser.id).name };
+  };
+  assert.deepEqual(await deal(), await deal());
+});
@@ -0,0 +1,117 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTable, findBot, disconnect, playTurn } = require('./support/harness');
+
+async function playGame(table, script) {
+  table.host.send({ type: 'start_game' });
+  for (let turn = 0; turn < table.players.length; turn++) {
+    await playTurn(table, script);
+    table.host.send({ type: 'next_turn' });
+  }
+  return table.host.phase('gameover');
+}
+
+async function getHistory(table, suffix = '') {
+  const res = await fetch(`${table.httpUrl}/lobby/${table.code}/history${suffix}`);
+  return { status: res.status, type: res.headers.get('content-type'), body: await res.text() };
+}
+
+test('every turn is recorded with answers, authors, guesses and points', async (t) => {
+  const table = await createTable(t, { settings: { rounds: 1 } });
+  const over = await playGame(table, { answer: bot => `${bot.name}'s answer` });
+
+  const { status, body } = await getHistory(table);
+  assert.equal(status, 200);
+  const game = JSON.parse(body);
+  assert.equal(game.code, table.code);
+  assert.equal(game.game, 1);
+  assert.equal(game.turns.length, 3);
+  assert.ok(game.endedAt >= game.startedAt);
+  assert.deepEqual(game.scoreboard, over.scoreboard);
+
+  for (const turn of game.turns) {
+    assert.equal(turn.skipped, false);
+    assert.equal(turn.question, 'What is your favourite snack?');
+    assert.equal(turn.answers.length, 2);
+    for (const answer of turn.answers) {
+      assert.equal(answer.text, `${answer.author.name}'s answer`);
+      assert.equal(answer.correct, true);
+      assert.deepEqual(answer.guessed, answer.author);
+    }
+    const votes = turn.answers.reduce((n, a) => n + a.votes.best + a.votes.funniest, 0);
+    assert.equal(votes, 6);
+    assert.ok(turn.points.some(e => e.reason.startsWith('Spotted ')));
+  }
+  assert.deepEqual(game.moments.map(m => m.id), over.moments.map(m => m.id));
+});
+
+test('game over picks out best moments', async (t) => {
+  const table = await createTable(t, { settings: { rounds: 1 } });
+  const over = await playGame(table);
+  const ids = over.moments.map(m => m.id);
+  assert.ok(ids.includes('mind-reader'));
+  assert.ok(ids.includes('crowd-favourite'));
+  assert.ok(ids.includes('biggest-turn'));
+  assert.equal(over.turnCount, 3);
+  const favourite = over.moments.find(m => m.id === 'crowd-favourite');
+  assert.ok(favourite.answer.text);
+});
+
+test('transcripts come as Markdown and as a printable page', async (t) => {
+  const table = await createTable(t, { settings: { rounds: 1, bonusEnabled: false } });
+  await playGame(table, { question: 'Cats or <dogs>?' });
+
+  const md = await getHistory(table, '.md');
+  assert.match(md.type, /text\/markdown/);
+  assert.match(md.body, /^# Pen and Paper — game /);
+  assert.match(md.body, /> Cats or \\<dogs\\>\?/);
+  assert.match(md.body, /## Final standings/);
+
+  const html = await getHistory(table, '.html');
+  assert.match(html.type, /text\/html/);
+  assert.match(html.body, /<blockquote>Cats or &lt;dogs&gt;\?<\/blockquote>/);
+});
+
+test('play again keeps earlier games, and ?game picks one', async (t) => {
+  const table = await createTable(t, { settings: { rounds: 1, bonusEnabled: false } });
+  await playGame(table, { question: 'First game?' });
+  table.host.send({ type: 'play_again' });
+  await table.host.phase('lobby');
+  table.host.send({ type: 'start_game' });
+  await playTurn(table, { question: 'Second game?' });
+
+  const latest = JSON.parse((await getHistory(table)).body);
+  assert.equal(latest.game, 2);
+  assert.equal(latest.games, 2);
+  assert.equal(latest.endedAt, null);
+  assert.equal(latest.turns.length, 1);
+  assert.equal(latest.turns[0].question, 'Second game?');
+
+  const first = JSON.parse((await getHistory(table, '?game=1')).body);
+  assert.equal(first.turns[0].question, 'First game?');
+  assert.equal((await getHistory(table, '?game=3')).status, 404);
+});
+
+test('skipped turns are in the transcript too', async (t) => {
+  const table = await createTable(t, { players: 4, settings: { rounds: 1 } });
+  table.host.send({ type: 'start_game' });
+  const question = await table.host.sees(m => m.type === 'phase' && m.phase === 'question');
+  const order = table.game.lobbies.get(table.code).guesserOrder;
+  const upNext = findBot(table, order[1]);
+  const observer = table.players.find(b => b !== upNext && b.id !== question.guesser.id);
+  await disconnect(upNext, observer);
+  await playTurn({ ...table, host: observer });
+  findBot(table, table.game.lobbies.get(table.code).hostId).send({ type: 'next_turn' });
+  await observer.next('turn_skipped');
+
+  const game = JSON.parse((await getHistory(table)).body);
+  assert.deepEqual(game.turns.map(turn => turn.skipped), [false, true]);
+  assert.equal(game.turns[1].guesser.id, upNext.id);
+});
+
+test('unknown lobbies have no history', async (t) => {
+  const table = await createTable(t);
+  const res = await fetch(`${table.httpUrl}/lobby/ZZZZZ/history`);
+  assert.equal(res.status, 404);
+  assert.equal((await getHistory(table)).status, 404);
+});
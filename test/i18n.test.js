@@ -0,0 +1,81 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTable, startServer, playTurn } = require('./support/harness');
+const i18n = require('../i18n');
+const protocol = require('../protocol');
+
+function placeholders(text) {
+  return (text.match(/\{\w+\}/g) || []).sort();
+}
+
+// A key with its plural suffix taken off
+function baseKey(key) {
+  return key.replace(/\.(zero|one|two|few|many|other)$/, '');
+}
+
+test('every catalog covers the English strings, with the same placeholders', () => {
+  const english = i18n.getCatalog('en').strings;
+  assert.deepEqual(i18n.listLanguages().map(l => l.id), ['de', 'en', 'es']);
+
+  for (const { id } of i18n.listLanguages()) {
+    const { strings } = i18n.getCatalog(id);
+    const keys = new Set(Object.keys(strings).map(baseKey));
+    for (const [key, text] of Object.entries(english)) {
+      assert.ok(keys.has(baseKey(key)), `${id} is missing ${key}`);
+      const own = strings[key] ?? strings[`${baseKey(key)}.other`];
+      assert.deepEqual(placeholders(own), placeholders(text), `${id} ${key}`);
+    }
+  }
+});
+
+test('the English catalog has every error the server sends, word for word', () => {
+  const english = i18n.getCatalog('en').strings;
+  for (const [code, message] of Object.entries(protocol.ERRORS)) {
+    assert.equal(english[`errors.${code}`], message, code);
+  }
+});
+
+test('strings are filled in, pluralised, and fall back to English', () => {
+  assert.equal(i18n.translate('es', 'errors.LOBBY_FULL', { max: 10 }), 'La sala está llena (máx. 10)');
+  assert.equal(i18n.translate('en', 'gameover.points', { count: 1 }), '1 point');
+  assert.equal(i18n.translate('en', 'gameover.points', { count: 4 }), '4 points');
+  assert.equal(i18n.translate('de', 'stats.wins', { count: 2 }), '2 Siege');
+  // An unknown language reads as English, an unknown key as itself
+  assert.equal(i18n.translate('xx', 'errors.NOT_HOST'), protocol.ERRORS.NOT_HOST);
+  assert.equal(i18n.translate('es', 'no.such.key'), 'no.such.key');
+});
+
+test('errors carry their code and params as well as the English message', () => {
+  assert.deepEqual(protocol.reject('LOBBY_FULL', { max: 10 }), {
+    code: 'LOBBY_FULL', message: 'Lobby is full (max 10)', params: { max: 10 },
+  });
+  assert.deepEqual(protocol.reject('NOT_HOST'), { code: 'NOT_HOST', message: protocol.ERRORS.NOT_HOST });
+});
+
+test('point entries carry a key the client can translate', async (t) => {
+  const table = await createTable(t, { settings: { bonusEnabled: false } });
+  table.host.send({ type: 'start_game' });
+  const { results } = await playTurn(table);
+
+  for (const entry of results.breakdown) {
+    assert.equal(entry.key, 'points.spotted');
+    assert.equal(i18n.translate('en', entry.key, entry.params), entry.reason);
+    assert.match(i18n.translate('es', entry.key, entry.params), /^Descubrió la respuesta de /);
+  }
+});
+
+test('catalogs are served to the client', async (t) => {
+  const env = await startServer(t);
+  const list = await (await fetch(`${env.httpUrl}/locales`)).json();
+  assert.equal(list.default, 'en');
+  assert.ok(list.languages.some(l => l.id === 'es' && l.name === 'Español'));
+
+  const spanish = await (await fetch(`${env.httpUrl}/locales/es.json`)).json();
+  assert.equal(spanish.strings['lobby.players'], 'Jugadores');
+  assert.equal((await fetch(`${env.httpUrl}/locales/xx.json`)).status, 404);
+
+  // The big-screen display is handed the host's language the same way
+  const display = await fetch(`${env.httpUrl}/display/ABCDE?lang=es`);
+  assert.equal(display.status, 200);
+  assert.match(await display.text(), /fetch\(`\/locales\/\$\{id\}\.json`\)/);
+});
@@ -0,0 +1,180 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTable, findBot, playTurn } = require('./support/harness');
+
+async function start(table) {
+  table.host.send({ type: 'start_game' });
+  // Peek, so playTurn still sees the first question
+  return table.host.sees(m => m.type === 'phase' && m.phase === 'question');
+}
+
+async function joinLate(table, name) {
+  const bot = await table.bot(name);
+  bot.send({ type: 'join_lobby', name, code: table.code });
+  const joined = await bot.next('joined');
+  table.players.push(bot);
+  return { bot, joined };
+}
+
+// The guessers of each round, as lists of player ids
+function rounds(lobby) {
+  const out = [];
+  let start = 0;
+  for (const size of lobby.roundSizes) {
+    out.push(lobby.guesserOrder.slice(start, start + size));
+    start += size;
+  }
+  return out;
+}
+
+test('a late joiner watches the current turn and answers from the next one', async (t) => {
+  const table = await createTable(t, { settings: { rounds: 2, bonusEnabled: false } });
+  const first = await start(table);
+  assert.equal(first.totalTurns, 6);
+
+  const { bot: dan, joined } = await joinLate(table, 'Dan');
+  assert.equal(joined.waiting, true);
+  assert.equal((await dan.next('state')).phase.phase, 'question');
+  const update = await table.host.next(m => m.type === 'lobby_update' && m.players.length === 4);
+  assert.equal(update.players.find(p => p.id === dan.id).waiting, true);
+
+  // Sitting this turn out: not asked for an answer, not offered as an author
+  const guesser = findBot(table, first.guesser.id);
+  guesser.send({ type: 'submit_question', question: 'Q?' });
+  await dan.phase('answering');
+  dan.send({ type: 'submit_answer', answer: 'Me too!' });
+  assert.equal((await dan.next('error')).code, 'JOINING_NEXT_TURN');
+  table.players.pop();
+  const answerers = table.players.filter(b => b !== guesser);
+  answerers.forEach(b => b.send({ type: 'submit_answer', answer: b.name }));
+  await guesser.phase('reveal');
+  guesser.send({ type: 'next_reveal' });
+  guesser.send({ type: 'next_reveal' });
+  const guessing = await guesser.phase('guessing');
+  assert.ok(!guessing.players.some(p => p.id === dan.id));
+  guesser.send({ type: 'submit_guesses', guesses: {} });
+  await table.host.phase('results');
+
+  // One turn for Dan in each round: two more turns in all
+  table.players.push(dan);
+  table.host.send({ type: 'next_turn' });
+  const next = await table.host.sees(m => m.type === 'phase' && m.phase === 'question');
+  assert.equal(next.totalTurns, 8);
+  const { guessing: nextGuessing } = await playTurn(table);
+  if (next.guesser.id !== dan.id) assert.ok(nextGuessing.players.some(p => p.id === dan.id));
+});
+
+test('late joiners are spread one per remaining round, after the current turn', async (t) => {
+  const table = await createTable(t, { settings: { rounds: 3 } });
+  await start(table);
+  const { bot: dan } = await joinLate(table, 'Dan');
+  const { bot: eve } = await joinLate(table, 'Eve');
+  await table.host.next(m => m.type === 'lobby_update' && m.players.length === 5);
+
+  const lobby = table.game.lobbies.get(table.code);
+  const first = lobby.guesserOrder[0];
+  assert.deepEqual(lobby.roundSizes, [5, 5, 5]);
+  for (const round of rounds(lobby)) {
+    assert.equal(new Set(round).size, 5);
+    assert.ok(round.includes(dan.id) && round.includes(eve.id));
+  }
+  // The turn being played never moves
+  assert.equal(lobby.guesserOrder[0], first);
+  assert.notEqual(first, dan.id);
+});
+
+test('round numbers follow the changing rounds', async (t) => {
+  const table = await createTable(t, { settings: { rounds: 2, bonusEnabled: false } });
+  await start(table);
+  await joinLate(table, 'Dan');
+  await table.host.sees(m => m.type === 'lobby_update' && m.players.length === 4);
+  const lobby = table.game.lobbies.get(table.code);
+  const [firstRound] = rounds(lobby);
+
+  const seen = [];
+  for (let turn = 0; turn < lobby.guesserOrder.length; turn++) {
+    const question = await table.host.sees(m => m.type === 'phase' && m.phase === 'question'
+      && m.turnNumber === turn + 1);
+    seen.push(question.roundNumber);
+    await playTurn(table);
+    table.host.send({ type: 'next_turn' });
+  }
+  await table.host.phase('gameover');
+  assert.deepEqual(seen, [...firstRound.map(() => 1), ...Array(lobby.roundSizes[1]).fill(2)]);
+});
+
+test('leaving mid-game drops future turns but keeps the score', async (t) => {
+  const table = await createTable(t, { players: 4, settings: { rounds: 2, bonusEnabled: false } });
+  const first = await start(table);
+  const { results } = await playTurn(table);
+  const guesser = findBot(table, first.guesser.id);
+  const leaver = guesser !== table.host ? guesser : table.players[1];
+  const lobby = table.game.lobbies.get(table.code);
+  const turnsLeft = lobby.guesserOrder.length - lobby.guesserOrder.slice(1).filter(id => id === leaver.id).length;
+
+  leaver.send({ type: 'leave_game', requestId: 1 });
+  await leaver.next('left_game');
+  assert.equal((await leaver.next('ack')).requestId, 1);
+  table.players.splice(table.players.indexOf(leaver), 1);
+
+  const update = await table.host.next(m => m.type === 'lobby_update' && m.players.some(p => p.left));
+  const gone = update.players.find(p => p.id === leaver.id);
+  assert.deepEqual([gone.left, gone.connected], [true, false]);
+  assert.ok(!lobby.guesserOrder.slice(1).includes(leaver.id));
+
+  table.host.send({ type: 'next_turn' });
+  const next = await table.host.sees(m => m.type === 'phase' && m.phase === 'question');
+  assert.equal(next.totalTurns, turnsLeft);
+  const { guessing, results: after } = await playTurn(table);
+  assert.ok(!guessing.players.some(p => p.id === leaver.id));
+  const score = results.scoreboard.find(p => p.id === leaver.id).score;
+  assert.equal(after.scoreboard.find(p => p.id === leaver.id).score, score);
+
+  // Their seat is gone for good
+  const back = await table.bot(leaver.name);
+  back.send({ type: 'rejoin', code: table.code, token: leaver.token });
+  assert.equal((await back.next('rejoin_failed')).code, 'SESSION_EXPIRED');
+});
+
+test('a guesser who leaves mid-turn has their turn skipped', async (t) => {
+  const table = await createTable(t, { players: 4 });
+  const first = await start(table);
+  let guesser = findBot(table, first.guesser.id);
+  if (guesser === table.host) {
+    // Let the host's turn go by, so the one leaving isn't the host
+    await playTurn(table);
+    table.host.send({ type: 'next_turn' });
+    const next = await table.host.sees(m => m.type === 'phase' && m.phase === 'question' && m.turnNumber === 2);
+    guesser = findBot(table, next.guesser.id);
+  }
+  guesser.send({ type: 'leave_game' });
+  assert.equal((await table.host.next('turn_skipped')).playerId, guesser.id);
+  const next = await table.host.next(m => m.type === 'phase' && m.phase === 'question'
+    && m.guesser.id !== guesser.id);
+  assert.notEqual(next.guesser.id, guesser.id);
+});
+
+test('the game ends when fewer than two players are left', async (t) => {
+  const table = await createTable(t);
+  await start(table);
+  const [, ben, cat] = table.players;
+  ben.send({ type: 'leave_game' });
+  await table.host.next(m => m.type === 'lobby_update' && m.players.some(p => p.left));
+  cat.send({ type: 'leave_game' });
+  const over = await table.host.phase('gameover');
+  assert.equal(over.scoreboard.length, 3);
+
+  // Play again clears out everyone who left
+  table.host.send({ type: 'play_again' });
+  const update = await table.host.next(m => m.type === 'lobby_update' && m.players.length === 1);
+  assert.equal(update.players[0].id, table.host.id);
+});
+
+test('leaving before the game starts just frees the seat', async (t) => {
+  const table = await createTable(t);
+  const [ann, ben] = table.players;
+  ann.send({ type: 'leave_game' });
+  await ann.next('left_game');
+  const update = await ben.next(m => m.type === 'lobby_update' && m.players.length === 2);
+  assert.equal(update.hostId, ben.id);
+});
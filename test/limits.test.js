@@ -0,0 +1,104 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTable, startServer } = require('./support/harness');
+
+const MINUTE = 60 * 1000;
+
+function closed(bot) {
+  return new Promise(resolve => bot.ws.once('close', (code, reason) => resolve({ code, reason: reason.toString() })));
+}
+
+async function createLobby(env, name) {
+  const bot = await env.bot(name);
+  bot.send({ type: 'create_lobby', name });
+  return bot.next(m => m.type === 'joined' || m.type === 'error');
+}
+
+test('lobbies left alone are closed, and everyone is told why', async (t) => {
+  const table = await createTable(t, { limits: { idleLobbyMinutes: 30 } });
+  const watcher = await table.bot('Watcher');
+  watcher.send({ type: 'join_as_spectator', name: 'Watcher', code: table.code });
+  await watcher.next('joined');
+
+  // Anything a player sends keeps it open
+  table.clock.tick(20 * MINUTE);
+  table.players[1].send({ type: 'leave_game' });
+  await table.players[1].next('left_game');
+  table.clock.tick(20 * MINUTE);
+  assert.ok(table.game.lobbies.has(table.code));
+
+  table.clock.tick(10 * MINUTE);
+  for (const bot of [table.host, table.players[2], watcher]) {
+    const { reason, message } = await bot.next('lobby_closed');
+    assert.equal(reason, 'idle');
+    assert.equal(message, 'This lobby was closed after 30 minutes with nothing happening');
+  }
+  assert.equal(table.game.lobbies.size, 0);
+});
+
+test('the server takes only so many lobbies, and so many from one address', async (t) => {
+  const env = await startServer(t, { limits: { maxLobbies: 3, lobbiesPerAddress: 2 } });
+  assert.equal((await createLobby(env, 'Ann')).type, 'joined');
+  assert.equal((await createLobby(env, 'Ben')).type, 'joined');
+  assert.equal((await createLobby(env, 'Cat')).code, 'TOO_MANY_LOBBIES');
+
+  // Ten minutes on, the address may start more; the server cap still holds
+  env.clock.tick(10 * MINUTE);
+  assert.equal((await createLobby(env, 'Dan')).type, 'joined');
+  assert.equal((await createLobby(env, 'Eve')).code, 'SERVER_FULL');
+});
+
+test('each address gets a limited number of sockets', async (t) => {
+  const env = await startServer(t, { limits: { connectionsPerAddress: 2 } });
+  const [ann] = [await env.bot('Ann'), await env.bot('Ben')];
+  const cat = await env.bot('Cat');
+  const refused = await closed(cat);
+  assert.deepEqual(refused, { code: 1008, reason: 'Too many connections from your address' });
+
+  // A slot opens up when someone leaves
+  await ann.close();
+  const dan = await env.bot('Dan');
+  dan.send({ type: 'watch_lobbies' });
+  await dan.next('lobby_list');
+});
+
+test('behind a proxy, the address is the one the proxy added', async (t) => {
+  const env = await startServer(t, { trustProxy: true, limits: { connectionsPerAddress: 1 } });
+  await env.bot('Ann', { 'x-forwarded-for': '10.0.0.1' });
+  // Whatever a client puts before it, the last entry is the proxy's
+  const ben = await env.bot('Ben', { 'x-forwarded-for': '192.168.1.50, 10.0.0.1' });
+  assert.equal((await closed(ben)).code, 1008);
+  const cat = await env.bot('Cat', { 'x-forwarded-for': '10.0.0.1, 10.0.0.2' });
+  cat.send({ type: 'watch_lobbies' });
+  await cat.next('lobby_list');
+});
+
+test('new sockets per minute are limited too', async (t) => {
+  const env = await startServer(t, { limits: { connectionsPerMinute: 2 } });
+  await (await env.bot('Ann')).close();
+  await (await env.bot('Ben')).close();
+  const cat = await env.bot('Cat');
+  assert.equal((await closed(cat)).code, 1008);
+});
+
+test('a flood of messages is cut off', async (t) => {
+  const env = await startServer(t, { limits: { messagesPerSecond: 5 } });
+  const ann = await env.bot('Ann');
+  for (let i = 0; i < 30; i++) ann.send({ type: 'watch_lobbies' });
+  const error = await ann.next('error');
+  assert.equal(error.code, 'RATE_LIMITED');
+  const lists = ann.inbox.filter(m => m.type === 'lobby_list').length;
+  assert.ok(lists >= 10 && lists < 15, `${lists} messages got through`);
+
+  // It's counted per socket, so others at the same address aren't held up
+  const ben = await env.bot('Ben');
+  ben.send({ type: 'watch_lobbies' });
+  await ben.next('lobby_list');
+});
+
+test('an oversized message closes the socket', async (t) => {
+  const env = await startServer(t, { limits: { maxMessageBytes: 1024 } });
+  const ann = await env.bot('Ann');
+  ann.send({ type: 'create_lobby', name: 'x'.repeat(2000) });
+  assert.equal((await closed(ann)).code, 1009);
+});
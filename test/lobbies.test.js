@@ -0,0 +1,153 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTable, startServer } = require('./support/harness');
+
+async function getLobbies(env) {
+  const res = await fetch(`${env.httpUrl}/lobbies`);
+  return (await res.json()).lobbies;
+}
+
+async function makePublic(table) {
+  table.host.send({ type: 'update_settings', settings: { visibility: 'public' } });
+  await table.host.next(m => m.type === 'lobby_update' && m.settings.visibility === 'public');
+}
+
+test('a password keeps out anyone who does not know it', async (t) => {
+  const table = await createTable(t);
+  const [host, ben] = table.players;
+  host.send({ type: 'set_password', password: 'sesame' });
+  const update = await ben.next(m => m.type === 'lobby_update' && m.hasPassword);
+  assert.ok(!JSON.stringify(update).includes('sesame'));
+
+  const dan = await table.bot('Dan');
+  dan.send({ type: 'join_lobby', name: 'Dan', code: table.code });
+  assert.equal((await dan.next('error')).code, 'PASSWORD_REQUIRED');
+  dan.send({ type: 'join_lobby', name: 'Dan', code: table.code, password: 'open up' });
+  assert.equal((await dan.next('error')).code, 'WRONG_PASSWORD');
+  dan.send({ type: 'join_lobby', name: 'Dan', code: table.code, password: 'sesame' });
+  await dan.next('joined');
+
+  // Players already in don't need it to get back in
+  await ben.close();
+  const back = await table.bot('Ben');
+  back.send({ type: 'rejoin', code: table.code, token: ben.token });
+  await back.next('joined');
+
+  host.send({ type: 'set_password', password: '' });
+  await host.next(m => m.type === 'lobby_update' && !m.hasPassword);
+  const eve = await table.bot('Eve');
+  eve.send({ type: 'join_lobby', name: 'Eve', code: table.code });
+  await eve.next('joined');
+});
+
+test('spectators and big-screen displays need the password too', async (t) => {
+  const table = await createTable(t);
+  table.host.send({ type: 'set_password', password: 'sesame' });
+  await table.host.next(m => m.type === 'lobby_update' && m.hasPassword);
+
+  const watcher = await table.bot('Watcher');
+  watcher.send({ type: 'join_as_spectator', name: 'Watcher', code: table.code });
+  assert.equal((await watcher.next('error')).code, 'PASSWORD_REQUIRED');
+  watcher.send({ type: 'join_as_spectator', name: 'Watcher', code: table.code, password: 'open up' });
+  assert.equal((await watcher.next('error')).code, 'WRONG_PASSWORD');
+  watcher.send({ type: 'join_as_spectator', name: 'Watcher', code: table.code, password: 'sesame' });
+  await watcher.next('joined');
+
+  const tv = await table.bot('TV');
+  tv.send({ type: 'join_display', code: table.code });
+  assert.equal((await tv.next('error')).code, 'PASSWORD_REQUIRED');
+  tv.send({ type: 'join_display', code: table.code, password: 'sesame' });
+  await tv.next('joined');
+});
+
+test("a password-protected lobby's history and stats are only for the people in it", async (t) => {
+  const table = await createTable(t);
+  table.host.send({ type: 'set_password', password: 'sesame' });
+  await table.host.next(m => m.type === 'lobby_update' && m.hasPassword);
+
+  const lobbyUrl = `${table.httpUrl}/lobby/${table.code}`;
+  assert.equal((await fetch(`${lobbyUrl}/history`)).status, 403);
+  assert.equal((await fetch(`${lobbyUrl}/history.md?token=nope`)).status, 403);
+  assert.equal((await fetch(`${lobbyUrl}/stats`)).status, 403);
+  assert.equal((await fetch(`${lobbyUrl}/stats?token=${table.host.token}`)).status, 200);
+  assert.equal((await fetch(`${lobbyUrl}/stats?password=sesame`)).status, 200);
+  // No game played yet, but it gets past the password
+  assert.equal((await fetch(`${lobbyUrl}/history?password=sesame`)).status, 404);
+});
+
+test('only the host can set a password', async (t) => {
+  const table = await createTable(t);
+  table.players[1].send({ type: 'set_password', password: 'mine' });
+  assert.equal((await table.players[1].next('error')).code, 'NOT_HOST');
+});
+
+test('public lobbies are listed over HTTP, private ones are not', async (t) => {
+  const table = await createTable(t);
+  assert.deepEqual(await getLobbies(table), []);
+
+  table.host.send({ type: 'update_settings', settings: { rounds: 2, scoringMode: 'wager', visibility: 'public' } });
+  await table.host.next(m => m.type === 'lobby_update' && m.settings.visibility === 'public');
+  const [listed] = await getLobbies(table);
+  assert.deepEqual(listed, {
+    code: table.code,
+    host: 'Ann',
+    players: 3,
+    maxPlayers: 10,
+    phase: 'lobby',
+    hasPassword: false,
+    settings: {
+      rounds: 2,
+      scoringMode: { id: 'wager', name: 'Confidence Wager' },
+      answerMode: 'text',
+      teamMode: false,
+      questionPacks: listed.settings.questionPacks,
+    },
+  });
+  assert.ok(listed.settings.questionPacks.length > 0);
+
+  // Locked lobbies drop off the list
+  table.host.send({ type: 'lock_lobby', locked: true });
+  await table.host.next(m => m.type === 'lobby_update' && m.locked);
+  assert.deepEqual(await getLobbies(table), []);
+});
+
+test('the list is pushed to browsers as lobbies change', async (t) => {
+  const table = await createTable(t);
+  const browser = await table.bot('Browser');
+  browser.send({ type: 'watch_lobbies' });
+  assert.deepEqual((await browser.next('lobby_list')).lobbies, []);
+
+  await makePublic(table);
+  const shown = await browser.next(m => m.type === 'lobby_list' && m.lobbies.length === 1);
+  assert.equal(shown.lobbies[0].code, table.code);
+
+  table.host.send({ type: 'start_game' });
+  await browser.next(m => m.type === 'lobby_list' && m.lobbies[0]?.phase === 'question');
+
+  // One click from the list: the browser joins, and stops getting updates
+  const watcher = await table.bot('Watcher');
+  watcher.send({ type: 'watch_lobbies' });
+  await watcher.next('lobby_list');
+  const pushes = browser.inbox.filter(m => m.type === 'lobby_list').length;
+  browser.send({ type: 'join_lobby', name: 'Browser', code: table.code });
+  await browser.next('joined');
+  await watcher.next(m => m.type === 'lobby_list' && m.lobbies[0]?.players === 4);
+  assert.equal(browser.inbox.filter(m => m.type === 'lobby_list').length, pushes);
+});
+
+test('browsers can stop watching', async (t) => {
+  const env = await startServer(t);
+  const browser = await env.bot('Browser');
+  browser.send({ type: 'watch_lobbies' });
+  await browser.next('lobby_list');
+  browser.send({ type: 'unwatch_lobbies', requestId: 1 });
+  await browser.next('ack');
+
+  const host = await env.bot('Ann');
+  host.send({ type: 'create_lobby', name: 'Ann' });
+  await host.next('joined');
+  host.send({ type: 'update_settings', settings: { visibility: 'public' } });
+  await host.next(m => m.type === 'lobby_update' && m.settings.visibility === 'public');
+  await new Promise(resolve => setImmediate(resolve));
+  assert.equal(browser.inbox.filter(m => m.type === 'lobby_list').length, 1);
+});
@@ -0,0 +1,222 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTable, findBot } = require('./support/harness');
+const { createWordFilter } = require('../word-filter');
+
+async function join(table, name, extra = {}) {
+  const bot = await table.bot(name);
+  bot.send({ type: 'join_lobby', name, code: table.code, ...extra });
+  return bot;
+}
+
+// Plays up to the reveal with one answer per answerer, and returns the bots
+async function toReveal(table, answer = bot => `${bot.name} says hi`) {
+  table.host.send({ type: 'start_game' });
+  const question = await table.host.phase('question');
+  const guesser = findBot(table, question.guesser.id);
+  const answerers = table.players.filter(b => b !== guesser);
+  guesser.send({ type: 'submit_question', question: 'What is your favourite snack?' });
+  await guesser.phase('answering');
+  answerers.forEach(b => b.send({ type: 'submit_answer', answer: answer(b) }));
+  await guesser.phase('reveal');
+  return { guesser, answerers };
+}
+
+test('the host can kick a player, who loses their seat for good', async (t) => {
+  const table = await createTable(t);
+  const [host, ben] = table.players;
+  host.send({ type: 'kick_player', playerId: ben.id });
+
+  assert.deepEqual(await ben.next('kicked'), { type: 'kicked', banned: false });
+  const update = await host.next(m => m.type === 'lobby_update' && m.players.length === 2);
+  assert.ok(!update.players.some(p => p.id === ben.id));
+
+  const again = await table.bot('Ben');
+  again.send({ type: 'rejoin', code: table.code, token: ben.token });
+  assert.equal((await again.next('rejoin_failed')).code, 'SESSION_EXPIRED');
+  // A plain kick doesn't stop them joining again
+  const back = await join(table, 'Ben');
+  await back.next('joined');
+});
+
+test('a ban turns the same device away', async (t) => {
+  const table = await createTable(t, { deviceKeys: true });
+  const [host, ben] = table.players;
+  host.send({ type: 'kick_player', playerId: ben.id, ban: true });
+  assert.equal((await ben.next('kicked')).banned, true);
+  assert.equal((await host.next(m => m.type === 'lobby_update' && m.players.length === 2)).banned, 1);
+
+  const again = await join(table, 'Benjamin', { deviceKey: 'device-Ben' });
+  assert.equal((await again.next('error')).code, 'BANNED');
+  // Nor can they come back to watch, and vote
+  again.send({ type: 'join_as_spectator', name: 'Benjamin', code: table.code, deviceKey: 'device-Ben' });
+  assert.equal((await again.next('error')).code, 'BANNED');
+  const other = await join(table, 'Dan', { deviceKey: 'device-Dan' });
+  await other.next('joined');
+});
+
+test('kicking is host-only and never yourself', async (t) => {
+  const table = await createTable(t);
+  const [host, ben, cat] = table.players;
+  ben.send({ type: 'kick_player', playerId: cat.id });
+  assert.equal((await ben.next('error')).code, 'NOT_HOST');
+  host.send({ type: 'kick_player', playerId: host.id });
+  assert.equal((await host.next('error')).code, 'NOT_YOURSELF');
+  host.send({ type: 'kick_player', playerId: 'nobody' });
+  assert.equal((await host.next('error')).field, 'playerId');
+});
+
+test('a player kicked mid-game leaves it, and the turn goes on without them', async (t) => {
+  const table = await createTable(t, { players: 4 });
+  const { host } = table;
+  host.send({ type: 'start_game' });
+  const question = await host.phase('question');
+  const guesser = findBot(table, question.guesser.id);
+  const [kicked, ...answerers] = table.players.filter(b => b !== guesser && b !== host);
+  if (host !== guesser) answerers.push(host);
+
+  host.send({ type: 'kick_player', playerId: kicked.id });
+  await kicked.next('kicked');
+  const update = await host.next(m => m.type === 'lobby_update' && m.players.some(p => p.left));
+  assert.equal(update.players.find(p => p.left).id, kicked.id);
+  host.send({ type: 'kick_player', playerId: kicked.id });
+  assert.equal((await host.next('error')).code, 'PLAYER_NOT_FOUND');
+
+  guesser.send({ type: 'submit_question', question: 'What is your favourite snack?' });
+  await guesser.phase('answering');
+  answerers.forEach(b => b.send({ type: 'submit_answer', answer: `${b.name} says hi` }));
+  const reveal = await guesser.phase('reveal');
+  assert.equal(reveal.totalAnswers, answerers.length);
+});
+
+test('a locked lobby turns new players away but lets old ones back in', async (t) => {
+  const table = await createTable(t);
+  const [host, ben] = table.players;
+  host.send({ type: 'lock_lobby', locked: true });
+  assert.equal((await host.next(m => m.type === 'lobby_update' && m.locked)).locked, true);
+
+  const dan = await join(table, 'Dan');
+  assert.equal((await dan.next('error')).code, 'LOBBY_LOCKED');
+  dan.send({ type: 'join_as_spectator', name: 'Dan', code: table.code });
+  assert.equal((await dan.next('error')).code, 'LOBBY_LOCKED');
+
+  await ben.close();
+  const returning = await table.bot('Ben');
+  returning.send({ type: 'rejoin', code: table.code, token: ben.token });
+  assert.equal((await returning.next('joined')).rejoined, true);
+
+  host.send({ type: 'lock_lobby', locked: false });
+  await host.next(m => m.type === 'lobby_update' && !m.locked);
+  dan.send({ type: 'join_lobby', name: 'Dan', code: table.code });
+  await dan.next('joined');
+});
+
+test('the host can rename a player, through the word filter', async (t) => {
+  const table = await createTable(t);
+  const [host, ben] = table.players;
+  host.send({ type: 'rename_player', playerId: ben.id, name: 'Big Shit' });
+  assert.equal((await ben.next('renamed')).name, 'Big S***');
+  const update = await host.next(m => m.type === 'lobby_update' && m.players.some(p => p.name === 'Big S***'));
+  assert.equal(update.players.find(p => p.id === ben.id).name, 'Big S***');
+});
+
+test('names, questions and answers are masked server-side', async (t) => {
+  const table = await createTable(t, { settings: { filterWords: ['broccoli'] } });
+  const rude = await join(table, 'Fuck Face');
+  assert.equal((await table.host.next(m => m.type === 'lobby_update' && m.players.length === 4))
+    .players[3].name, 'F*** Face');
+  await rude.next('joined');
+
+  table.players.push(rude);
+  const { guesser } = await toReveal(table, bot => `${bot.name}: BROCCOLI is shit`);
+  const { answer } = await guesser.next('reveal_answer');
+  assert.match(answer.text, /: B\*{7} is s\*{3}$/);
+});
+
+test('a question drawn from the uploaded pack when time runs out is filtered too', async (t) => {
+  const table = await createTable(t, { settings: { filterWords: ['broccoli'], questionPacks: [], timerQuestion: 30 } });
+  table.host.send({ type: 'upload_question_pack', name: 'Ours', content: 'Who hates broccoli the most?' });
+  await table.host.next('pack_uploaded');
+  table.host.send({ type: 'start_game' });
+  await table.host.phase('question');
+  table.clock.tick(30 * 1000);
+  assert.equal((await table.host.phase('answering')).question, 'Who hates b******* the most?');
+});
+
+test('the word filter can be switched off', async (t) => {
+  const table = await createTable(t, { settings: { wordFilter: false } });
+  const { guesser } = await toReveal(table, () => 'Oh shit');
+  assert.equal((await guesser.next('reveal_answer')).answer.text, 'Oh shit');
+});
+
+test('the host can pull an answer during the reveal', async (t) => {
+  const table = await createTable(t, { players: 4 });
+  const { guesser } = await toReveal(table);
+  const first = await guesser.next('reveal_answer');
+  assert.equal(first.total, 3);
+
+  // Answers not yet on screen can't be pulled
+  const lobby = table.game.lobbies.get(table.code);
+  table.host.send({ type: 'reject_answer', answerId: lobby.shuffledAnswers[2].id });
+  assert.equal((await table.host.next('error')).code, 'UNKNOWN_ANSWER');
+
+  table.host.send({ type: 'reject_answer', answerId: first.answer.id });
+  assert.deepEqual(await guesser.next('answer_rejected'), { type: 'answer_rejected', answerId: first.answer.id, total: 2 });
+  // The next answer takes its place
+  const replacement = await guesser.next('reveal_answer');
+  assert.deepEqual([replacement.index, replacement.total], [0, 2]);
+
+  guesser.send({ type: 'next_reveal' });
+  guesser.send({ type: 'next_reveal' });
+  const guessing = await guesser.phase('guessing');
+  assert.equal(guessing.answers.length, 2);
+  assert.ok(!guessing.answers.some(a => a.id === first.answer.id));
+});
+
+test('a pulled answer stays anonymous: its author is still offered, as a miss', async (t) => {
+  const table = await createTable(t, { players: 4, settings: { timerPerPlayer: 20 } });
+  const { guesser, answerers } = await toReveal(table);
+  const first = await guesser.next('reveal_answer');
+  const author = findBot(table, table.game.lobbies.get(table.code).shuffledAnswers[0].playerId);
+  table.host.send({ type: 'reject_answer', answerId: first.answer.id });
+  await guesser.next('answer_rejected');
+
+  guesser.send({ type: 'next_reveal' });
+  guesser.send({ type: 'next_reveal' });
+  const guessing = await guesser.phase('guessing');
+  assert.equal(guessing.answers.length, 2);
+  // Leaving them out would tell everyone whose answer it was
+  assert.deepEqual(guessing.players.map(p => p.id).sort(), answerers.map(b => b.id).sort());
+  assert.equal((await guesser.next('timer')).seconds, 60);
+
+  const [a, b] = guessing.answers;
+  const authorOf = id => table.game.lobbies.get(table.code).shuffledAnswers.find(x => x.id === id).playerId;
+  guesser.send({ type: 'submit_guesses', guesses: { [a.id]: author.id, [b.id]: authorOf(b.id) } });
+  await guesser.phase('voting');
+  const results = table.game.lobbies.get(table.code).guessResults;
+  assert.deepEqual(results.results.map(r => r.correct), [false, true]);
+});
+
+test('pulling every answer skips the turn', async (t) => {
+  const table = await createTable(t);
+  const { guesser } = await toReveal(table);
+  const first = await guesser.next('reveal_answer');
+  guesser.send({ type: 'next_reveal' });
+  const second = await guesser.next('reveal_answer');
+
+  // The earlier one first, then the one on screen
+  table.host.send({ type: 'reject_answer', answerId: first.answer.id });
+  await guesser.next('answer_rejected');
+  table.host.send({ type: 'reject_answer', answerId: second.answer.id });
+  assert.equal((await guesser.next('turn_skipped')).playerId, guesser.id);
+  const next = await table.host.phase('question');
+  assert.notEqual(next.guesser.id, guesser.id);
+  assert.ok(!guesser.inbox.some(m => m.type === 'phase' && m.phase === 'guessing'));
+});
+
+test('the filter only masks whole words', () => {
+  const clean = createWordFilter(['ass', 'heck']);
+  assert.equal(clean('A classy assassin'), 'A classy assassin');
+  assert.equal(clean('What the HECK, asses'), 'What the H***, a****');
+  assert.equal(createWordFilter([])('heck'), 'heck');
+});
@@ -0,0 +1,28 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTable } = require('./support/harness');
+
+test('music is off until the host turns it on, in the lobby or mid-game', async (t) => {
+  const table = await createTable(t);
+  const { host } = table;
+  const ben = table.players[1];
+
+  host.send({ type: 'update_settings', settings: { music: true } });
+  assert.equal((await ben.next('lobby_update')).settings.music, true);
+  host.send({ type: 'update_settings', settings: {} });
+  assert.equal((await ben.next('lobby_update')).settings.music, false);
+
+  host.send({ type: 'start_game' });
+  await ben.phase('question');
+  host.send({ type: 'set_music', music: true });
+  assert.equal((await ben.next('lobby_update')).settings.music, true);
+  host.send({ type: 'set_music', music: false });
+  assert.equal((await ben.next('lobby_update')).settings.music, false);
+});
+
+test('only the host can turn the music on', async (t) => {
+  const table = await createTable(t);
+  const ben = table.players[1];
+  ben.send({ type: 'set_music', music: true });
+  assert.equal((await ben.next('error')).code, 'NOT_HOST');
+});
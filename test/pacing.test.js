@@ -0,0 +1,133 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTable, findBot, disconnect, playTurn } = require('./support/harness');
+
+const SECOND = 1000;
+
+async function firstTurn(table) {
+  table.host.send({ type: 'start_game' });
+  const question = await table.host.phase('question');
+  const guesser = findBot(table, question.guesser.id);
+  return { guesser, others: table.players.filter(b => b !== guesser) };
+}
+
+test('pausing freezes the timer and resuming picks it up again', async (t) => {
+  const table = await createTable(t, { settings: { timerQuestion: 60 } });
+  await firstTurn(table);
+  await table.host.next('timer');
+  table.clock.tick(20 * SECOND);
+
+  table.host.send({ type: 'pause_game', paused: true });
+  assert.deepEqual(await table.players[1].next('paused'), { type: 'paused', paused: true, remaining: 40 * SECOND });
+  table.clock.tick(5 * 60 * SECOND);
+  const lobby = table.game.lobbies.get(table.code);
+  assert.equal(lobby.phase, 'question');
+
+  table.host.send({ type: 'pause_game', paused: false });
+  await table.host.next(m => m.type === 'paused' && !m.paused);
+  const timer = await table.host.next('timer');
+  assert.deepEqual([timer.seconds, timer.endsAt], [60, table.clock.now() + 40 * SECOND]);
+  table.clock.tick(40 * SECOND);
+  await table.host.phase('answering');
+});
+
+test('a phase that starts while paused waits for the resume', async (t) => {
+  const table = await createTable(t, { settings: { timerAnswer: 45 } });
+  const { guesser } = await firstTurn(table);
+  table.host.send({ type: 'pause_game', paused: true });
+  await table.host.next('paused');
+
+  // Players can still play; only the clock stands still
+  guesser.send({ type: 'submit_question', question: 'Tea or coffee?' });
+  await table.host.phase('answering');
+  const frozen = await table.host.next('timer');
+  assert.deepEqual(frozen, { type: 'timer', seconds: 45, endsAt: null, remaining: 45 * SECOND });
+  table.clock.tick(60 * SECOND);
+  assert.equal(table.game.lobbies.get(table.code).phase, 'answering');
+
+  table.host.send({ type: 'pause_game', paused: false });
+  assert.equal((await table.host.next('timer')).endsAt, table.clock.now() + 45 * SECOND);
+});
+
+test('the host can add time to the clock', async (t) => {
+  const table = await createTable(t, { settings: { timerQuestion: 30 } });
+  await firstTurn(table);
+  await table.host.next('timer');
+  table.clock.tick(10 * SECOND);
+
+  table.host.send({ type: 'extend_timer' });
+  const timer = await table.players[2].next(m => m.type === 'timer' && m.seconds === 60);
+  assert.equal(timer.endsAt, table.clock.now() + 50 * SECOND);
+
+  table.host.send({ type: 'pause_game', paused: true });
+  table.host.send({ type: 'extend_timer' });
+  const paused = await table.host.next(m => m.type === 'timer' && m.endsAt === null);
+  assert.deepEqual([paused.seconds, paused.remaining], [90, 80 * SECOND]);
+});
+
+test('skipping a phase ends it as if time ran out', async (t) => {
+  const table = await createTable(t, { settings: { questionPacks: ['icebreakers'] } });
+  const { guesser, others } = await firstTurn(table);
+
+  table.host.send({ type: 'skip_phase' });
+  const answering = await table.host.phase('answering');
+  assert.ok(answering.question);
+
+  others.forEach(b => b.send({ type: 'submit_answer', answer: `${b.name} says hi` }));
+  await guesser.phase('reveal');
+  table.host.send({ type: 'skip_phase' });
+  const guessing = await guesser.phase('guessing');
+  assert.equal(guessing.answers.length, 2);
+
+  table.host.send({ type: 'skip_phase' });
+  await table.host.phase('voting');
+  table.host.send({ type: 'skip_phase' });
+  const results = await table.host.phase('results');
+  assert.equal(results.guessResults.correct, 0);
+});
+
+test('pacing controls are the host’s', async (t) => {
+  const table = await createTable(t);
+  await firstTurn(table);
+  for (const type of ['skip_phase', 'extend_timer']) {
+    table.players[1].send({ type });
+    assert.equal((await table.players[1].next('error')).code, 'NOT_HOST');
+  }
+  table.players[1].send({ type: 'pause_game', paused: true });
+  assert.equal((await table.players[1].next('error')).code, 'NOT_HOST');
+});
+
+test('relaxed mode has no timers: phases end when everyone is done', async (t) => {
+  const table = await createTable(t, { settings: { relaxed: true } });
+  const { guesser, others } = await firstTurn(table);
+  table.clock.tick(10 * 60 * SECOND);
+  assert.equal(table.game.lobbies.get(table.code).phase, 'question');
+
+  table.host.send({ type: 'extend_timer' });
+  assert.equal((await table.host.next('error')).code, 'NO_TIMER');
+
+  guesser.send({ type: 'submit_question', question: 'Tea or coffee?' });
+  await others[0].phase('answering');
+  others.forEach(b => b.send({ type: 'submit_answer', answer: `${b.name} says hi` }));
+  await guesser.phase('reveal');
+  assert.ok(!table.host.inbox.some(m => m.type === 'timer'));
+});
+
+test('a relaxed guesser who drops out still only gets the grace period', async (t) => {
+  const table = await createTable(t, { settings: { relaxed: true } });
+  const { guesser, others } = await firstTurn(table);
+  await disconnect(guesser, others[0]);
+  const grace = await others[0].next('timer');
+  assert.equal(grace.seconds, 15);
+  table.clock.tick(15 * SECOND);
+  await others[0].next('turn_skipped');
+});
+
+test('the voting timer follows the lobby setting', async (t) => {
+  const table = await createTable(t, { settings: { timerVoting: 45 } });
+  table.host.send({ type: 'start_game' });
+  await playTurn(table);
+  const { inbox } = table.host;
+  const voting = inbox.findIndex(m => m.type === 'phase' && m.phase === 'voting');
+  assert.equal(inbox.slice(voting).find(m => m.type === 'timer').seconds, 45);
+});
@@ -0,0 +1,130 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTable, startServer, playTurn } = require('./support/harness');
+const { createProfiles, profileIdFor, MIN_FOR_RATES } = require('../profiles');
+const { createMemoryStore } = require('../storage');
+
+const silentLog = { info() {}, error() {} };
+
+async function playGame(table, script) {
+  table.host.send({ type: 'start_game' });
+  for (let turn = 0; turn < table.players.length; turn++) {
+    await playTurn(table, script);
+    table.host.send({ type: 'next_turn' });
+  }
+  return table.host.phase('gameover');
+}
+
+async function getJson(table, path) {
+  const res = await fetch(`${table.httpUrl}${path}`);
+  return { status: res.status, body: await res.json() };
+}
+
+test('players who send a device key get a profile, others do not', async (t) => {
+  const env = await startServer(t);
+  const ann = await env.bot('Ann');
+  ann.send({ type: 'create_lobby', name: 'Ann', deviceKey: 'secret-key' });
+  const { lobbyCode } = await ann.next('joined');
+  const ben = await env.bot('Ben');
+  ben.send({ type: 'join_lobby', name: 'Ben', code: lobbyCode });
+  const update = await ben.next(m => m.type === 'lobby_update' && m.players.length === 2);
+
+  const [annSeat, benSeat] = update.players;
+  assert.equal(annSeat.profileId, profileIdFor('secret-key'));
+  assert.equal(benSeat.profileId, null);
+  // The key itself never goes out to anyone
+  assert.ok(!JSON.stringify(update).includes('secret-key'));
+});
+
+test('a finished game adds to every profile at the table', async (t) => {
+  const table = await createTable(t, { settings: { rounds: 1 }, deviceKeys: true });
+  const over = await playGame(table, { answer: bot => `${bot.name}'s answer` });
+
+  const { status, body } = await getJson(table, `/lobby/${table.code}/stats`);
+  assert.equal(status, 200);
+  assert.equal(body.players.length, 3);
+  const winner = over.scoreboard[0];
+  for (const profile of body.players) {
+    const seat = over.scoreboard.find(p => p.name === profile.name);
+    assert.equal(profile.stats.gamesPlayed, 1);
+    assert.equal(profile.stats.points, seat.score);
+    assert.equal(profile.stats.gamesWon, seat.score === winner.score ? 1 : 0);
+    // Every answer is guessed right by the default script
+    assert.equal(profile.stats.guessesMade, 2);
+    assert.equal(profile.guessAccuracy, 1);
+    assert.equal(profile.stats.answersWritten, 2);
+    assert.equal(profile.spottedRate, 1);
+  }
+  const awards = body.players.reduce((n, p) => n + p.stats.bestAwards + p.stats.funniestAwards, 0);
+  assert.ok(awards >= 6);
+
+  const one = await getJson(table, `/stats/${body.players[0].id}`);
+  assert.deepEqual(one.body, body.players[0]);
+  const all = await getJson(table, '/stats');
+  assert.equal(all.body.players.length, 3);
+  assert.ok(all.body.leaderboards.mostWins.length >= 1);
+});
+
+test('unknown profiles and lobbies are 404s', async (t) => {
+  const table = await createTable(t);
+  assert.equal((await getJson(table, '/stats/0123456789abcdef')).status, 404);
+  assert.equal((await getJson(table, '/lobby/ZZZZZ/stats')).status, 404);
+});
+
+test('one device in two seats is only counted once per game', () => {
+  const profiles = createProfiles(createMemoryStore(), { log: silentLog });
+  const id = profiles.attach('shared-phone', 'Ann', 0);
+  const game = {
+    scoreboard: [{ id: 'a', name: 'Ann', score: 3 }, { id: 'b', name: 'Ann again', score: 1 }],
+    turns: [],
+  };
+  profiles.recordGame(game, new Map([['a', id], ['b', id]]), 1);
+  assert.equal(profiles.get(id).stats.gamesPlayed, 1);
+  assert.equal(profiles.get(id).stats.gamesWon, 1);
+  // Reattaching under a new name renames the profile but keeps its stats
+  profiles.attach('shared-phone', 'Annie', 2);
+  assert.equal(profiles.get(id).name, 'Annie');
+  assert.equal(profiles.get(id).stats.gamesPlayed, 1);
+});
+
+test('rate leaderboards only rank players with enough behind them', () => {
+  const profiles = createProfiles(createMemoryStore(), { log: silentLog });
+  const ann = profiles.attach('ann', 'Ann', 0);
+  const ben = profiles.attach('ben', 'Ben', 0);
+  const cat = profiles.attach('cat', 'Cat', 0);
+  const player = (id, name) => ({ id, name });
+  const turn = (guesser, answers) => ({
+    skipped: false,
+    guesser,
+    answers: answers.map(([author, correct]) => ({ author, correct })),
+    points: [],
+  });
+  const A = player('a', 'Ann'), B = player('b', 'Ben'), C = player('c', 'Cat');
+  const turns = [];
+  // Ann guesses MIN_FOR_RATES times, always spotting Ben and never Cat
+  for (let i = 0; i < MIN_FOR_RATES; i++) turns.push(turn(A, [[B, true], [C, false]]));
+  // Ben only guesses once, but gets it right
+  turns.push(turn(B, [[A, true]]));
+  profiles.recordGame({
+    scoreboard: [{ id: 'a', score: 5 }, { id: 'b', score: 1 }, { id: 'c', score: 0 }],
+    turns,
+  }, new Map([['a', ann], ['b', ben], ['c', cat]]), 1);
+
+  const { leaderboards } = profiles.leaderboard();
+  assert.deepEqual(leaderboards.sharpestGuesser.map(e => e.name), ['Ann']);
+  assert.deepEqual(leaderboards.mostPredictable.map(e => e.name), ['Ben']);
+  assert.deepEqual(leaderboards.bestDisguise.map(e => [e.name, e.value]), [['Cat', 0], ['Ben', 1]]);
+  assert.deepEqual(leaderboards.mostWins.map(e => e.name), ['Ann']);
+});
+
+test('profiles survive a restart through their store', async () => {
+  const store = createMemoryStore();
+  const before = createProfiles(store, { log: silentLog });
+  const id = before.attach('ann', 'Ann', 0);
+  before.recordGame({ scoreboard: [{ id: 'a', score: 2 }], turns: [] }, new Map([['a', id]]), 1);
+  await new Promise(resolve => setImmediate(resolve));
+
+  const after = createProfiles(store, { log: silentLog });
+  await after.load();
+  assert.equal(after.get(id).stats.gamesWon, 1);
+});
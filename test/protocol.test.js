@@ -0,0 +1,168 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTable, startServer, findBot } = require('./support/harness');
+const protocol = require('../protocol');
+
+async function firstTurn(table) {
+  table.host.send({ type: 'start_game' });
+  const question = await table.host.phase('question');
+  const guesser = findBot(table, question.guesser.id);
+  const others = table.players.filter(b => b !== guesser);
+  return { guesser, others };
+}
+
+test('every message type has a spec and every rejection a message', () => {
+  for (const [type, spec] of Object.entries(protocol.MESSAGES)) {
+    assert.deepEqual(protocol.validateMessage({ type, ...sample(spec) }), null, type);
+  }
+  assert.equal(protocol.reject('NOT_HOST').message, protocol.ERRORS.NOT_HOST);
+});
+
+// The smallest message that satisfies a spec
+function sample(spec) {
+  const values = { string: 'x', boolean: true, object: {}, record: {} };
+  return Object.fromEntries(Object.entries(spec.fields || {})
+    .filter(([, field]) => !field.optional)
+    .map(([key, field]) => [key, field.values ? field.values[0] : values[field.type]]));
+}
+
+test('malformed messages are rejected with INVALID_PAYLOAD and the bad field', () => {
+  assert.equal(protocol.validateMessage(null).code, 'INVALID_PAYLOAD');
+  assert.equal(protocol.validateMessage([]).code, 'INVALID_PAYLOAD');
+  assert.equal(protocol.validateMessage({ type: 'teleport' }).code, 'UNKNOWN_TYPE');
+
+  const cases = [
+    [{ type: 'join_lobby', code: 12345 }, 'code'],
+    [{ type: 'join_lobby', code: 'ABCDEF' }, 'code'],
+    [{ type: 'create_lobby', name: 'x'.repeat(21) }, 'name'],
+    [{ type: 'submit_question', question: 'Q?', answerMode: 'interpretive dance' }, 'answerMode'],
+    [{ type: 'submit_guesses', guesses: ['a'] }, 'guesses'],
+    [{ type: 'submit_guesses', guesses: { a: 7 } }, 'guesses'],
+    [{ type: 'submit_guesses', guesses: {}, wagers: { a: 'lots' } }, 'wagers'],
+    [{ type: 'vote', category: 'loudest', answerId: 'a' }, 'category'],
+    [{ type: 'vote', category: 'best' }, 'answerId'],
+    [{ type: 'start_game', requestId: { nested: true } }, 'requestId'],
+  ];
+  for (const [msg, field] of cases) {
+    const problem = protocol.validateMessage(msg);
+    assert.equal(problem?.code, 'INVALID_PAYLOAD', JSON.stringify(msg));
+    assert.equal(problem.field, field);
+  }
+});
+
+test('errors carry a code and echo the request id', async (t) => {
+  const env = await startServer(t);
+  const bot = await env.bot('Ann');
+
+  bot.ws.send('{ not json');
+  assert.equal((await bot.next('error')).code, 'INVALID_JSON');
+
+  bot.send({ type: 'teleport', requestId: 1 });
+  assert.deepEqual(await bot.next('error'), {
+    type: 'error', code: 'UNKNOWN_TYPE', message: 'Unknown message type "teleport"', requestId: 1,
+  });
+
+  bot.send({ type: 'start_game', requestId: 'r-2' });
+  const notInLobby = await bot.next('error');
+  assert.equal(notInLobby.code, 'NOT_IN_LOBBY');
+  assert.equal(notInLobby.requestId, 'r-2');
+
+  bot.send({ type: 'join_lobby', code: 'ZZZZZ', name: 'Ann', requestId: 3 });
+  assert.deepEqual(await bot.next('error'), {
+    type: 'error', code: 'LOBBY_NOT_FOUND', message: 'Lobby not found', requestId: 3,
+  });
+});
+
+test('requests that go through are acked after their replies', async (t) => {
+  const env = await startServer(t);
+  const bot = await env.bot('Ann');
+  bot.send({ type: 'create_lobby', name: 'Ann', requestId: 'create' });
+  await bot.next('joined');
+  const ack = await bot.next('ack');
+  assert.deepEqual(ack, { type: 'ack', requestId: 'create', request: 'create_lobby' });
+
+  // No requestId, no ack
+  bot.send({ type: 'update_settings', settings: { rounds: 2 } });
+  bot.send({ type: 'update_settings', settings: { rounds: 1 }, requestId: 9 });
+  assert.equal((await bot.next('ack')).requestId, 9);
+  assert.equal(bot.inbox.filter(m => m.type === 'ack').length, 2);
+});
+
+test('only the host may run the lobby', async (t) => {
+  const table = await createTable(t);
+  const [, ben] = table.players;
+  ben.send({ type: 'start_game', requestId: 1 });
+  ben.send({ type: 'update_settings', settings: { rounds: 1 }, requestId: 2 });
+  assert.equal((await ben.next('error')).code, 'NOT_HOST');
+  assert.equal((await ben.next('error')).requestId, 2);
+});
+
+test('actions outside their phase are WRONG_PHASE', async (t) => {
+  const table = await createTable(t);
+  const { guesser, others: [other] } = await firstTurn(table);
+
+  other.send({ type: 'submit_answer', answer: 'Too early' });
+  assert.equal((await other.next('error')).code, 'WRONG_PHASE');
+  table.host.send({ type: 'next_turn' });
+  assert.equal((await table.host.next('error')).code, 'WRONG_PHASE');
+  table.host.send({ type: 'update_settings', settings: {} });
+  assert.equal((await table.host.next('error')).code, 'WRONG_PHASE');
+
+  other.send({ type: 'submit_question', question: 'Mine?' });
+  assert.equal((await other.next('error')).code, 'NOT_GUESSER');
+  guesser.send({ type: 'submit_question', question: 'Q?' });
+  await guesser.phase('answering');
+  guesser.send({ type: 'submit_answer', answer: 'Me too' });
+  assert.equal((await guesser.next('error')).code, 'NOT_ANSWERER');
+});
+
+test('guesses and votes must point at answers from this turn', async (t) => {
+  const table = await createTable(t);
+  const { guesser, others } = await firstTurn(table);
+  guesser.send({ type: 'submit_question', question: 'Q?' });
+  await guesser.phase('answering');
+  others.forEach(b => b.send({ type: 'submit_answer', answer: b.name }));
+  await guesser.phase('reveal');
+  guesser.send({ type: 'next_reveal' });
+  guesser.send({ type: 'next_reveal' });
+  const { answers } = await guesser.phase('guessing');
+
+  guesser.send({ type: 'submit_guesses', guesses: { 'no-such-answer': others[0].id } });
+  assert.deepEqual(await guesser.next('error'), {
+    type: 'error', code: 'UNKNOWN_ANSWER', message: protocol.ERRORS.UNKNOWN_ANSWER, field: 'guesses',
+  });
+  guesser.send({ type: 'submit_guesses', guesses: { [answers[0].id]: guesser.id } });
+  assert.equal((await guesser.next('error')).code, 'UNKNOWN_PLAYER');
+  assert.equal(table.game.lobbies.get(table.code).phase, 'guessing');
+
+  guesser.send({ type: 'submit_guesses', guesses: {} });
+  await guesser.phase('voting');
+  others[0].send({ type: 'vote', category: 'best', answerId: 'nope', requestId: 5 });
+  const error = await others[0].next('error');
+  assert.equal(error.code, 'UNKNOWN_ANSWER');
+  assert.equal(error.requestId, 5);
+});
+
+test('spectators can only vote, and displays can do nothing', async (t) => {
+  const table = await createTable(t);
+  const viewer = await table.bot('Viewer');
+  viewer.send({ type: 'join_as_spectator', name: 'Viewer', code: table.code });
+  await viewer.next('joined');
+  viewer.send({ type: 'start_game' });
+  assert.equal((await viewer.next('error')).code, 'NOT_A_PLAYER');
+
+  const tv = await table.bot('TV');
+  tv.send({ type: 'join_display', code: table.code });
+  await tv.next('joined');
+  tv.send({ type: 'vote', category: 'best', answerId: 'x' });
+  assert.equal((await tv.next('error')).code, 'NOT_A_PLAYER');
+});
+
+test('a failed rejoin still answers as rejoin_failed', async (t) => {
+  const env = await startServer(t);
+  const bot = await env.bot('Ann');
+  bot.send({ type: 'rejoin', code: 'ABCDE', token: 'gone', requestId: 4 });
+  assert.deepEqual(await bot.next('rejoin_failed'), {
+    type: 'rejoin_failed', code: 'SESSION_EXPIRED', message: 'Your game has ended', requestId: 4,
+  });
+});
@@ -0,0 +1,46 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./support/harness');
+
+test('the manifest makes the whole site, invite links included, the app', async (t) => {
+  const env = await startServer(t);
+  const res = await fetch(`${env.httpUrl}/manifest.webmanifest`);
+  assert.equal(res.headers.get('content-type'), 'application/manifest+json');
+  const manifest = await res.json();
+  assert.equal(manifest.start_url, '/');
+  assert.equal(manifest.scope, '/');
+  assert.equal(manifest.display, 'standalone');
+  assert.deepEqual(manifest.icons.map(i => i.sizes), ['192x192', '512x512']);
+
+  const invite = await fetch(`${env.httpUrl}/join/ABCDE`);
+  assert.match(await invite.text(), /<link rel="manifest" href="\/manifest.webmanifest">/);
+});
+
+test('icons are PNGs of the size asked for', async (t) => {
+  const env = await startServer(t);
+  for (const size of [180, 192, 512]) {
+    const res = await fetch(`${env.httpUrl}/icons/icon-${size}.png`);
+    assert.equal(res.headers.get('content-type'), 'image/png');
+    const png = Buffer.from(await res.arrayBuffer());
+    assert.equal(png.toString('ascii', 1, 4), 'PNG');
+    // The width and height open the IHDR chunk
+    assert.equal(png.readUInt32BE(16), size);
+    assert.equal(png.readUInt32BE(20), size);
+  }
+  assert.equal((await fetch(`${env.httpUrl}/icons/icon-64.png`)).status, 404);
+});
+
+test('the service worker caches the shell, including every catalog', async (t) => {
+  const env = await startServer(t);
+  const res = await fetch(`${env.httpUrl}/sw.js`);
+  assert.match(res.headers.get('content-type'), /^text\/javascript/);
+  assert.equal(res.headers.get('cache-control'), 'no-cache');
+
+  const source = await res.text();
+  const shell = JSON.parse(source.match(/const SHELL = (.*);/)[1]);
+  for (const url of ['/', '/manifest.webmanifest', '/locales', '/locales/es.json', '/icons/icon-192.png']) {
+    assert.ok(shell.includes(url), url);
+  }
+  // Everything in it is there to be cached
+  for (const url of shell) assert.equal((await fetch(`${env.httpUrl}${url}`)).status, 200, url);
+});
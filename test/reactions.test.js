@@ -0,0 +1,124 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTable, findBot, reconnect } = require('./support/harness');
+
+const SECOND = 1000;
+
+// Plays up to the reveal, and returns the guesser, the answerers and the
+// first answer on screen
+async function toReveal(table) {
+  table.host.send({ type: 'start_game' });
+  const question = await table.host.phase('question');
+  const guesser = findBot(table, question.guesser.id);
+  const answerers = table.players.filter(b => b !== guesser);
+  guesser.send({ type: 'submit_question', question: 'Best pizza topping?' });
+  await guesser.phase('answering');
+  answerers.forEach(b => b.send({ type: 'submit_answer', answer: `${b.name}'s topping` }));
+  const { answer } = await guesser.next('reveal_answer');
+  return { guesser, answerers, first: answer };
+}
+
+test('reactions are counted per answer and go out to everyone', async (t) => {
+  const table = await createTable(t, { players: 4 });
+  const { guesser, answerers, first } = await toReveal(table);
+  const [ben, cat] = answerers;
+
+  ben.send({ type: 'react', answerId: first.id, emoji: '🔥' });
+  cat.send({ type: 'react', answerId: first.id, emoji: '🔥' });
+  cat.send({ type: 'react', answerId: first.id, emoji: '😆' });
+  const update = await guesser.next(m => m.type === 'reactions' && m.counts['😆']);
+  assert.deepEqual(update, { type: 'reactions', answerId: first.id, counts: { '🔥': 2, '😆': 1 } });
+
+  // Reacting again takes it back
+  ben.send({ type: 'react', answerId: first.id, emoji: '🔥' });
+  assert.deepEqual((await guesser.next('reactions')).counts, { '🔥': 1, '😆': 1 });
+});
+
+test('only revealed answers and known emoji can be reacted to', async (t) => {
+  const table = await createTable(t, { players: 4 });
+  const { answerers, first } = await toReveal(table);
+  const hidden = table.game.lobbies.get(table.code).shuffledAnswers[2];
+
+  answerers[0].send({ type: 'react', answerId: hidden.id, emoji: '🔥' });
+  assert.equal((await answerers[0].next('error')).code, 'UNKNOWN_ANSWER');
+  answerers[0].send({ type: 'react', answerId: first.id, emoji: '💩' });
+  assert.equal((await answerers[0].next('error')).field, 'emoji');
+});
+
+test('spectators react too, and a rejoin gets the counts back', async (t) => {
+  const table = await createTable(t);
+  const { guesser, answerers, first } = await toReveal(table);
+  const watcher = await table.bot('Watcher');
+  watcher.send({ type: 'join_as_spectator', name: 'Watcher', code: table.code });
+  await watcher.next('state');
+
+  watcher.send({ type: 'react', answerId: first.id, emoji: '👏' });
+  answerers[0].send({ type: 'react', answerId: first.id, emoji: '❤️' });
+  await guesser.next(m => m.type === 'reactions' && m.counts['❤️']);
+
+  const { snapshot } = await reconnect(table, answerers[0]);
+  assert.deepEqual(snapshot.reactions[first.id], { '👏': 1, '❤️': 1 });
+  assert.deepEqual(snapshot.myReactions[first.id], ['❤️']);
+});
+
+test('the most reacted answer is the crowd favourite', async (t) => {
+  const table = await createTable(t, { players: 4, settings: { bonusEnabled: false } });
+  const { guesser, answerers, first } = await toReveal(table);
+  for (const bot of answerers) bot.send({ type: 'react', answerId: first.id, emoji: '😮' });
+  await guesser.next(m => m.type === 'reactions' && m.counts['😮'] === 3);
+
+  for (let i = 0; i < 3; i++) guesser.send({ type: 'next_reveal' });
+  await guesser.phase('guessing');
+  guesser.send({ type: 'submit_guesses', guesses: {} });
+  const results = await table.host.phase('results');
+  assert.equal(results.crowdFavorite.text, first.text);
+  assert.equal(results.crowdFavorite.player, first.text.replace("'s topping", ''));
+  assert.deepEqual(results.crowdFavorite.reactions, { '😮': 3 });
+
+  const res = await fetch(`${table.httpUrl}/lobby/${table.code}/history`);
+  const { turns } = await res.json();
+  assert.deepEqual(turns[0].answers.find(a => a.text === first.text).reactions, { '😮': 3 });
+});
+
+test('chat reaches the lobby, filtered, from the reveal on', async (t) => {
+  const table = await createTable(t);
+  table.players[1].send({ type: 'chat', text: 'hi' });
+  assert.equal((await table.players[1].next('error')).code, 'WRONG_PHASE');
+
+  const { answerers } = await toReveal(table);
+  answerers[0].send({ type: 'chat', text: '  that one is shit  ' });
+  const chat = await answerers[1].next('chat');
+  assert.deepEqual(chat.from, { id: answerers[0].id, name: answerers[0].name });
+  assert.equal(chat.text, 'that one is s***');
+
+  answerers[0].send({ type: 'chat', text: '   ' });
+  assert.equal((await answerers[0].next('error')).field, 'text');
+});
+
+test('chat is rate limited per player', async (t) => {
+  const table = await createTable(t);
+  const { answerers } = await toReveal(table);
+  const [ben] = answerers;
+  for (let i = 0; i < 5; i++) ben.send({ type: 'chat', text: `message ${i}` });
+  ben.send({ type: 'chat', text: 'one too many' });
+  assert.equal((await ben.next('error')).code, 'RATE_LIMITED');
+  assert.equal(ben.inbox.filter(m => m.type === 'chat').length, 5);
+
+  table.clock.tick(10 * SECOND);
+  ben.send({ type: 'chat', text: 'back again', requestId: 1 });
+  await ben.next('ack');
+});
+
+test('the guesser is left out of the chat while guessing', async (t) => {
+  const table = await createTable(t);
+  const { guesser, answerers } = await toReveal(table);
+  guesser.send({ type: 'next_reveal' });
+  guesser.send({ type: 'next_reveal' });
+  await guesser.phase('guessing');
+
+  guesser.send({ type: 'chat', text: 'any hints?' });
+  assert.equal((await guesser.next('error')).code, 'CHAT_HIDDEN');
+  answerers[0].send({ type: 'chat', text: 'mine is the second one' });
+  await answerers[1].next('chat');
+  assert.ok(!guesser.inbox.some(m => m.type === 'chat'));
+});
@@ -0,0 +1,186 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTable, playTurn, pointsBy } = require('./support/harness');
+const gameModes = require('../game-modes');
+
+const SECOND = 1000;
+
+// Guess every answer right except the ones written by `miss`, which are
+// pinned on the other answerer instead
+function guessAllBut(miss) {
+  return (answers, authorOf) => Object.fromEntries(answers.map(a => {
+    const author = authorOf(a);
+    if (author !== miss.id) return [a.id, author];
+    const other = answers.map(authorOf).find(id => id !== author);
+    return [a.id, other];
+  }));
+}
+
+async function start(table) {
+  table.host.send({ type: 'start_game' });
+  // Peek, so playTurn still sees the first question
+  await table.host.sees(m => m.type === 'phase' && m.phase === 'question');
+}
+
+test('the guesser scores pointsPerCorrect for each right guess', async (t) => {
+  const table = await createTable(t, { settings: { pointsPerCorrect: 2, bonusEnabled: false } });
+  await start(table);
+  const { guesser, results } = await playTurn(table);
+
+  assert.deepEqual(pointsBy(results), { [guesser.name]: 4 });
+  assert.equal(results.scoreboard.find(p => p.id === guesser.id).score, 4);
+  assert.ok(results.breakdown.every(e => e.reason.startsWith('Spotted ')));
+});
+
+test('wrong guesses score nothing', async (t) => {
+  const table = await createTable(t, { players: 4, settings: { bonusEnabled: false } });
+  await start(table);
+  const [, , , dan] = table.players;
+  const { guesser, results } = await playTurn(table, {
+    guess: (answers, authorOf) => Object.fromEntries(answers
+      .filter(a => authorOf(a) !== dan.id)
+      .map(a => [a.id, authorOf(a)])),
+  });
+
+  const expected = guesser === dan ? 3 : 2;
+  assert.equal(results.guessResults.correct, expected);
+  assert.deepEqual(pointsBy(results), { [guesser.name]: expected });
+});
+
+test('with bonus voting off the turn goes straight to results', async (t) => {
+  const table = await createTable(t, { settings: { bonusEnabled: false } });
+  await start(table);
+  await playTurn(table);
+  const phases = table.host.inbox.filter(m => m.type === 'phase').map(m => m.phase);
+  assert.ok(!phases.includes('voting'));
+});
+
+test('a unanimous vote gives the author bonusPoints in each category', async (t) => {
+  const table = await createTable(t, { settings: { bonusPoints: 1.5 } });
+  await start(table);
+  let favourite = null;
+  const { guesser, results } = await playTurn(table, {
+    guess: () => ({}),
+    vote: (bot, answers, authorOf) => {
+      favourite = favourite || answers[0];
+      // The author can't vote for themselves, so they back the other one
+      const pick = authorOf(favourite) === bot.id ? answers.find(a => a !== favourite) : favourite;
+      return { best: pick.id, funniest: pick.id };
+    },
+  });
+
+  assert.equal(results.bestAnswers.length, 1);
+  assert.equal(results.bestAnswers[0].text, favourite.text);
+  assert.notEqual(results.bestAnswers[0].player, guesser.name);
+  assert.deepEqual(pointsBy(results), { [results.bestAnswers[0].player]: 3 });
+  assert.deepEqual(results.breakdown.map(e => e.reason), ['⭐ Best answer', '😂 Funniest answer']);
+});
+
+test('answers tied for the most votes split the bonus', async (t) => {
+  const table = await createTable(t, { players: 4, settings: { bonusPoints: 1 } });
+  await start(table);
+  const { results } = await playTurn(table, {
+    guess: () => ({}),
+    // The first two answers get two votes each, the third none
+    vote: (bot, [x, y, z], authorOf) => {
+      const pick = authorOf(x) === bot.id || authorOf(z) === bot.id ? y : x;
+      return { best: pick.id, funniest: pick.id };
+    },
+  });
+
+  assert.equal(results.bestAnswers.length, 2);
+  assert.ok(results.bestAnswers.every(w => w.points === 0.5));
+  const best = results.breakdown.filter(e => e.reason.startsWith('⭐'));
+  assert.ok(best.every(e => e.reason === '⭐ Best answer (tied 2 ways)'));
+});
+
+test('spectator votes count as audienceVoteWeight votes in total', async (t) => {
+  const table = await createTable(t, { settings: { audienceVoteWeight: 2 } });
+  await start(table);
+  const viewer = await table.bot('Viewer');
+  viewer.send({ type: 'join_as_spectator', name: 'Viewer', code: table.code });
+  await viewer.next('joined');
+
+  const played = playTurn(table, {
+    guess: () => ({}),
+    // Players split 1–1 and one of them abstains, so the crowd decides
+    vote: (bot, answers, authorOf) => {
+      const mine = answers.find(a => authorOf(a) === bot.id);
+      if (!mine) return { best: answers[0].id };
+      if (mine === answers[0]) return { best: answers[1].id };
+      return null;
+    },
+  });
+
+  const { answers } = await viewer.phase('voting');
+  viewer.send({ type: 'vote', category: 'best', answerId: answers[1].id });
+  const lobby = table.game.lobbies.get(table.code);
+  while (lobby.audienceVotes.best.size < 1 || lobby.votes.best.size < 2) {
+    await new Promise(resolve => setImmediate(resolve));
+  }
+  table.clock.tick(20 * SECOND);
+
+  const { results } = await played;
+  assert.equal(results.bestAnswers.length, 1);
+  assert.equal(results.bestAnswers[0].text, answers[1].text);
+});
+
+test('stay-hidden pays answerers for every guess that misses them', async (t) => {
+  const table = await createTable(t, { players: 4, settings: { scoringMode: 'stay-hidden', bonusEnabled: false } });
+  await start(table);
+  const question = await table.host.sees(m => m.type === 'phase' && m.phase === 'question');
+  const miss = table.players.find(b => b.id !== question.guesser.id);
+  const { guesser, results } = await playTurn(table, { guess: guessAllBut(miss) });
+
+  const points = pointsBy(results);
+  assert.equal(points[guesser.name], 2);
+  assert.equal(points[miss.name], 1);
+  const hidden = results.breakdown.filter(e => e.reason.startsWith('Stayed hidden'));
+  assert.ok(hidden.some(e => e.player.id === miss.id));
+  assert.equal(results.scoringMode.id, 'stay-hidden');
+});
+
+test('partial credit gives half points for a swapped pair', async (t) => {
+  const table = await createTable(t, { settings: { scoringMode: 'partial-credit', pointsPerCorrect: 2, bonusEnabled: false } });
+  await start(table);
+  const { guesser, results } = await playTurn(table, {
+    guess: (answers, authorOf) => ({
+      [answers[0].id]: authorOf(answers[1]),
+      [answers[1].id]: authorOf(answers[0]),
+    }),
+  });
+
+  assert.equal(results.guessResults.correct, 0);
+  assert.deepEqual(pointsBy(results), { [guesser.name]: 2 });
+  assert.ok(results.breakdown.every(e => e.reason.startsWith('Half credit: swapped')));
+});
+
+test('wagers win or lose their stake', async (t) => {
+  const table = await createTable(t, { settings: { scoringMode: 'wager', bonusEnabled: false } });
+  await start(table);
+  const question = await table.host.sees(m => m.type === 'phase' && m.phase === 'question');
+  const miss = table.players.find(b => b.id !== question.guesser.id);
+  let stakes = null;
+  const { guesser, guessing, results } = await playTurn(table, {
+    guess: guessAllBut(miss),
+    wagers: (answers) => {
+      stakes = Object.fromEntries(answers.map((a, i) => [a.id, i === 0 ? 3 : 2]));
+      return stakes;
+    },
+  });
+
+  assert.deepEqual(guessing.stakes, [1, 2, 3]);
+  let expected = 0;
+  for (const row of results.guessResults.results) {
+    assert.equal(row.stake, stakes[row.answerId]);
+    expected += row.correct ? row.stake : -row.stake;
+  }
+  assert.deepEqual(pointsBy(results), { [guesser.name]: expected });
+  assert.ok(results.breakdown.some(e => e.reason.startsWith('Lost a ')));
+});
+
+test('unknown scoring modes fall back to classic', () => {
+  assert.equal(gameModes.isKnownMode('nope'), false);
+  assert.equal(gameModes.getMode('nope').id, 'classic');
+  assert.deepEqual(gameModes.listModes().map(m => m.id), ['classic', 'stay-hidden', 'partial-credit', 'wager']);
+});
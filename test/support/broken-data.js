@@ -0,0 +1,19 @@
+// Preloaded with `node -r` into a real server process: every data folder
+// (locales/, questions/) lists one more file, broken.json, which doesn't
+// parse. Nothing on disk changes.
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..', '..');
+const DIRS = ['locales', 'questions'].map(dir => path.join(ROOT, dir));
+const BROKEN = DIRS.map(dir => path.join(dir, 'broken.json'));
+
+const { readdirSync, readFileSync } = fs;
+fs.readdirSync = function (dir, ...rest) {
+  const files = readdirSync.call(this, dir, ...rest);
+  return DIRS.includes(path.resolve(String(dir))) ? [...files, 'broken.json'] : files;
+};
+fs.readFileSync = function (file, ...rest) {
+  if (BROKEN.includes(path.resolve(String(file)))) return '{ not json';
+  return readFileSync.call(this, file, ...rest);
+};
@@ -0,0 +1,45 @@
+// A clock for createGame() that only moves when a test says so. Timers
+// fire in order, including any they schedule while time is advancing.
+function createFakeClock(start = Date.UTC(2024, 0, 1)) {
+  let now = start;
+  let nextId = 1;
+  const timers = new Map();
+
+  function nextDue(until) {
+    let due = null;
+    for (const [id, timer] of timers) {
+      if (timer.at > until) continue;
+      if (!due || timer.at < due.at || (timer.at === due.at && id < due.id)) due = { id, ...timer };
+    }
+    return due;
+  }
+
+  return {
+    now: () => now,
+    setTimeout(fn, ms) {
+      const id = nextId++;
+      timers.set(id, { at: now + ms, fn });
+      return id;
+    },
+    clearTimeout(id) {
+      timers.delete(id);
+    },
+    tick(ms) {
+      const until = now + ms;
+      let due;
+      while ((due = nextDue(until))) {
+        timers.delete(due.id);
+        now = due.at;
+        due.fn();
+      }
+      now = until;
+    },
+    // Time until the next timer fires, or null if nothing is pending
+    untilNext() {
+      const due = nextDue(Infinity);
+      return due ? due.at - now : null;
+    },
+  };
+}
+
+module.exports = { createFakeClock };
@@ -0,0 +1,280 @@
+const WebSocket = require('ws');
+const { createGame } = require('../../game');
+const { createServer } = require('../../server');
+const { createMemoryStore } = require('../../storage');
+const { createFakeClock } = require('./fake-clock');
+const { createSeededRandom } = require('./seeded-random');
+
+const NAMES = ['Ann', 'Ben', 'Cat', 'Dan', 'Eve', 'Fay', 'Gus', 'Hal', 'Ivy', 'Jo'];
+const WAIT_MS = 2000;
+const silentLog = { info() {}, error() {} };
+// Every bot connects from 127.0.0.1, so the per-address limits are opened
+// right up unless a test says otherwise. Idle lobbies are kept, so the
+// only timers on the clock are the game's own.
+const TEST_LIMITS = {
+  idleLobbyMinutes: 0,
+  lobbiesPerAddress: 1000,
+  connectionsPerAddress: 1000,
+  connectionsPerMinute: 1000,
+  messagesPerSecond: 1000,
+};
+
+// ─── BOTS ──────────────────────────────────────────────────────────
+// A bot is a real WebSocket client. It keeps every message it receives;
+// next() walks forward through them, so each wait only ever matches
+// something that arrived after the previous match.
+function createBot(url, name, headers) {
+  const ws = new WebSocket(url, { headers });
+  const inbox = [];
+  const waiters = [];
+  let cursor = 0;
+
+  const bot = {
+    name,
+    ws,
+    inbox,
+    id: null,
+    token: null,
+    code: null,
+    open: false,
+    opened: new Promise((resolve, reject) => {
+      ws.once('open', resolve);
+      ws.once('error', reject);
+    }),
+
+    send(msg) {
+      ws.send(JSON.stringify(msg));
+    },
+
+    // Resolves with the next message matching `match` (a message type or a
+    // predicate). Fails the test if nothing matches within WAIT_MS.
+    next(match, waitMs = WAIT_MS) {
+      return wait(match, waitMs, true);
+    },
+
+    // Like next(), but leaves the position alone: later next() calls still
+    // see everything that came before the match
+    sees(match, waitMs = WAIT_MS) {
+      return wait(match, waitMs, false);
+    },
+
+    phase(phase, waitMs) {
+      return bot.next(m => m.type === 'phase' && m.phase === phase, waitMs);
+    },
+
+    close() {
+      bot.open = false;
+      ws.close();
+      return new Promise(resolve => ws.once('close', resolve));
+    },
+  };
+
+  function wait(match, waitMs, advance) {
+    const matches = typeof match === 'string' ? (m) => m.type === match : match;
+    return new Promise((resolve, reject) => {
+      const waiter = { matches, advance, resolve, reject };
+      const timer = setTimeout(() => {
+        waiters.splice(waiters.indexOf(waiter), 1);
+        const recent = inbox.slice(-5).map(m => m.phase ? `phase:${m.phase}` : m.type).join(', ');
+        reject(new Error(`${name} timed out waiting for ${typeof match === 'string' ? match : 'a message'} (last: ${recent})`));
+      }, waitMs);
+      waiter.done = () => clearTimeout(timer);
+      waiters.push(waiter);
+      deliver();
+    });
+  }
+
+  function deliver() {
+    while (waiters.length) {
+      const waiter = waiters[0];
+      let found = -1;
+      for (let i = cursor; i < inbox.length; i++) {
+        if (waiter.matches(inbox[i])) { found = i; break; }
+      }
+      if (found === -1) return;
+      if (waiter.advance) cursor = found + 1;
+      waiters.shift();
+      waiter.done();
+      waiter.resolve(inbox[found]);
+    }
+  }
+
+  ws.on('open', () => { bot.open = true; });
+  ws.on('close', () => { bot.open = false; });
+  ws.on('message', (data) => {
+    const msg = JSON.parse(data);
+    if (msg.type === 'joined') {
+      bot.id = msg.playerId;
+      bot.token = msg.sessionToken || bot.token;
+      bot.code = msg.lobbyCode;
+    }
+    inbox.push(msg);
+    deliver();
+  });
+
+  return bot;
+}
+
+// ─── SERVERS ───────────────────────────────────────────────────────
+// A real server on a free local port, driven by a fake clock and a seeded
+// RNG. Everything is torn down when the test finishes. `adminToken`
+// switches on the admin routes; `limits` tightens the abuse limits.
+async function startServer(t, { seed = 1, store = createMemoryStore(), adminToken, limits, trustProxy } = {}) {
+  const clock = createFakeClock();
+  const allLimits = { ...TEST_LIMITS, ...limits };
+  const game = createGame({ store, clock, random: createSeededRandom(seed), log: silentLog, limits: allLimits });
+  const server = createServer({ game, log: silentLog, adminToken, limits: allLimits, trustProxy });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const url = `ws://127.0.0.1:${server.address().port}`;
+  const httpUrl = `http://127.0.0.1:${server.address().port}`;
+  const bots = [];
+
+  t.after(async () => {
+    bots.forEach(b => b.ws.terminate());
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  return {
+    game,
+    clock,
+    url,
+    httpUrl,
+    store,
+    // `headers` go with the WebSocket handshake
+    async bot(name, headers) {
+      const bot = createBot(url, name, headers);
+      bots.push(bot);
+      await bot.opened;
+      return bot;
+    },
+  };
+}
+
+// A lobby with `players` bots seated (the first one hosts) and `settings`
+// applied, ready for start_game. With `deviceKeys` each bot joins with a
+// device key of its own, so it gets a profile.
+async function createTable(t, { players = 3, settings, seed, store, deviceKeys = false, adminToken, limits } = {}) {
+  const env = await startServer(t, { seed, store, adminToken, limits });
+  const deviceKey = name => deviceKeys ? `device-${name}` : undefined;
+  const host = await env.bot(NAMES[0]);
+  host.send({ type: 'create_lobby', name: host.name, deviceKey: deviceKey(host.name) });
+  const { lobbyCode: code } = await host.next('joined');
+
+  const seated = [host];
+  for (const name of NAMES.slice(1, players)) {
+    const bot = await env.bot(name);
+    bot.send({ type: 'join_lobby', name, code, deviceKey: deviceKey(name) });
+    await bot.next('joined');
+    seated.push(bot);
+  }
+  // Every seat sees the full lobby before the test carries on
+  for (const bot of seated) await bot.next(m => m.type === 'lobby_update' && m.players.length === players);
+
+  if (settings) {
+    host.send({ type: 'update_settings', settings });
+    await Promise.all(seated.map(bot => bot.next(m => m.type === 'lobby_update'
+      && Object.entries(settings).every(([k, v]) => JSON.stringify(m.settings[k]) === JSON.stringify(v)))));
+  }
+
+  return { ...env, code, host, players: seated };
+}
+
+function findBot(table, playerId) {
+  return table.players.find(b => b.id === playerId);
+}
+
+// Closes a bot's socket and waits until `observer` sees them go offline
+async function disconnect(bot, observer) {
+  await bot.close();
+  await observer.sees(m => m.type === 'lobby_update'
+    && m.players.some(p => p.id === bot.id && !p.connected));
+}
+
+// Opens a fresh socket that rejoins `bot`'s seat with its session token,
+// and takes its place at the table. Resolves once the snapshot arrives.
+async function reconnect(table, bot) {
+  const back = await table.bot(bot.name);
+  back.send({ type: 'rejoin', code: table.code, token: bot.token });
+  await back.next('joined');
+  const snapshot = await back.next('state');
+  table.players[table.players.indexOf(bot)] = back;
+  if (table.host === bot) table.host = back;
+  return { bot: back, snapshot };
+}
+
+// ─── SCRIPTED TURNS ────────────────────────────────────────────────
+// Plays one whole turn, every connected bot following `script`:
+//
+//   question              what the guesser asks
+//   answer(bot)           what each answerer writes
+//   guess(answers, authorOf)   → { answerId: playerId }   (default: all right)
+//   wagers(answers)       → { answerId: stake }           (wager mode)
+//   vote(bot, answers, authorOf) → { best, funniest }     (default: first answer that isn't theirs)
+//
+// Returns what the host saw: { guesser, guessing, results }.
+async function playTurn(table, script = {}) {
+  const { host } = table;
+  const question = await host.phase('question');
+  const guesser = findBot(table, question.guesser.id);
+  const present = table.players.filter(b => b.open);
+  const answerers = present.filter(b => b !== guesser);
+
+  guesser.send({ type: 'submit_question', question: script.question || 'What is your favourite snack?' });
+  await Promise.all(present.map(b => b.phase('answering')));
+
+  const authors = new Map();
+  for (const bot of answerers) {
+    const text = script.answer ? script.answer(bot) : `${bot.name} says hi`;
+    authors.set(text, bot.id);
+    bot.send({ type: 'submit_answer', answer: text });
+  }
+  const authorOf = (answer) => authors.get(answer.text);
+
+  const reveal = await guesser.phase('reveal');
+  for (let i = 0; i < reveal.totalAnswers; i++) guesser.send({ type: 'next_reveal' });
+
+  const guessing = await guesser.phase('guessing');
+  const guesses = script.guess
+    ? script.guess(guessing.answers, authorOf)
+    : Object.fromEntries(guessing.answers.map(a => [a.id, authorOf(a)]));
+  const msg = { type: 'submit_guesses', guesses };
+  if (script.wagers) msg.wagers = script.wagers(guessing.answers);
+  guesser.send(msg);
+
+  const next = await host.next(m => m.type === 'phase' && (m.phase === 'voting' || m.phase === 'results'));
+  if (next.phase === 'results') return { guesser, guessing, results: next };
+
+  for (const bot of present) {
+    const pick = script.vote
+      ? script.vote(bot, next.answers, authorOf)
+      : defaultVote(bot, next.answers, authorOf);
+    if (pick?.best) bot.send({ type: 'vote', category: 'best', answerId: pick.best });
+    if (pick?.funniest) bot.send({ type: 'vote', category: 'funniest', answerId: pick.funniest });
+  }
+  const results = await host.phase('results');
+  return { guesser, guessing, results };
+}
+
+function defaultVote(bot, answers, authorOf) {
+  const pick = answers.find(a => authorOf(a) !== bot.id);
+  return { best: pick.id, funniest: pick.id };
+}
+
+// Points each player gained in a results message's breakdown
+function pointsBy(results) {
+  const totals = {};
+  for (const e of results.breakdown) totals[e.player.name] = (totals[e.player.name] || 0) + e.points;
+  return totals;
+}
+
+module.exports = {
+  createBot,
+  startServer,
+  createTable,
+  findBot,
+  disconnect,
+  reconnect,
+  playTurn,
+  pointsBy,
+  NAMES,
+};
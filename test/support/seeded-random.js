@@ -0,0 +1,14 @@
+// Small deterministic RNG (mulberry32), so a seed always deals the same
+// lobby codes, ids and shuffles
+function createSeededRandom(seed = 1) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+module.exports = { createSeededRandom };
@@ -0,0 +1,207 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTable, findBot } = require('./support/harness');
+
+const SECOND = 1000;
+
+function teamSizes(update) {
+  return update.teams.map(t => t.playerIds.length).sort();
+}
+
+function botsOn(table, team) {
+  return team.members.map(m => findBot(table, m.id));
+}
+
+// Starts a team game and returns the guessing team and the answering teams
+// as lists of bots
+async function firstTurn(table) {
+  table.host.send({ type: 'start_game' });
+  const question = await table.host.phase('question');
+  const guessers = botsOn(table, question.guesser);
+  const answering = [];
+  const update = table.host.inbox.filter(m => m.type === 'lobby_update').pop();
+  for (const team of update.teams) {
+    if (team.id !== question.guesser.id) answering.push(team.playerIds.map(id => findBot(table, id)));
+  }
+  return { question, guessers, answering };
+}
+
+async function toAnswering(table, { guessers }) {
+  guessers[0].send({ type: 'submit_question', question: 'Best pizza topping?' });
+  await Promise.all(table.players.map(b => b.phase('answering')));
+}
+
+test('switching team mode on deals everyone into teams', async (t) => {
+  const table = await createTable(t, { players: 7 });
+  table.host.send({ type: 'update_settings', settings: { teamMode: true } });
+  const update = await table.host.next(m => m.type === 'lobby_update' && m.teams.length > 0);
+  // Pairs, with the odd one out making a three
+  assert.deepEqual(teamSizes(update), [2, 2, 3]);
+  assert.equal(new Set(update.teams.flatMap(t => t.playerIds)).size, 7);
+  assert.equal(update.maxPlayers, 30);
+
+  table.host.send({ type: 'update_settings', settings: { teamMode: true, teamSize: 3 } });
+  assert.deepEqual(teamSizes(await table.host.next('lobby_update')), [2, 2, 3]);
+  table.host.send({ type: 'update_settings', settings: { teamMode: false } });
+  assert.deepEqual((await table.host.next('lobby_update')).teams, []);
+});
+
+test('a team game needs three teams of two or three', async (t) => {
+  const table = await createTable(t, { players: 5, settings: { teamMode: true } });
+  table.host.send({ type: 'start_game' });
+  assert.equal((await table.host.next('error')).code, 'NOT_ENOUGH_TEAMS');
+
+  // A sixth player has nobody to pair with yet
+  const fay = await table.bot('Fay');
+  fay.send({ type: 'join_lobby', name: 'Fay', code: table.code });
+  await fay.next('joined');
+  const update = await table.host.next(m => m.type === 'lobby_update' && m.players.length === 6);
+  assert.deepEqual(teamSizes(update), [1, 2, 3]);
+  table.host.send({ type: 'start_game' });
+  assert.equal((await table.host.next('error')).code, 'UNEVEN_TEAMS');
+
+  const three = update.teams.find(t => t.playerIds.length === 3);
+  const solo = update.teams.find(t => t.playerIds.length === 1);
+  table.host.send({ type: 'move_to_team', playerId: three.playerIds[0], teamId: solo.id });
+  assert.deepEqual(teamSizes(await table.host.next('lobby_update')), [2, 2, 2]);
+  table.host.send({ type: 'start_game' });
+  await table.host.phase('question');
+});
+
+test('only the host moves players, and never onto a full team', async (t) => {
+  const table = await createTable(t, { players: 7, settings: { teamMode: true } });
+  const { teams } = table.host.inbox.filter(m => m.type === 'lobby_update').pop();
+  const three = teams.find(t => t.playerIds.length === 3);
+  const pair = teams.find(t => t.playerIds.length === 2);
+
+  table.players[1].send({ type: 'shuffle_teams' });
+  assert.equal((await table.players[1].next('error')).code, 'NOT_HOST');
+  table.host.send({ type: 'move_to_team', playerId: pair.playerIds[0], teamId: three.id });
+  assert.equal((await table.host.next('error')).code, 'TEAM_FULL');
+  table.host.send({ type: 'move_to_team', playerId: pair.playerIds[0], teamId: 'nope' });
+  assert.equal((await table.host.next('error')).field, 'teamId');
+
+  table.host.send({ type: 'move_to_team', playerId: pair.playerIds[0], teamId: 'new' });
+  const update = await table.host.next('lobby_update');
+  assert.equal(update.teams.length, 4);
+  assert.deepEqual(teamSizes(update), [1, 1, 2, 3]);
+});
+
+test('teammates share a draft, answer as one and are guessed as a team', async (t) => {
+  const table = await createTable(t, { players: 6, settings: { teamMode: true, bonusEnabled: false } });
+  const turn = await firstTurn(table);
+  const { question, guessers, answering } = turn;
+  assert.equal(question.guesser.members.length, 2);
+  assert.equal(question.totalTurns, 9);
+  await toAnswering(table, turn);
+
+  const [[writer, partner], [other]] = answering;
+  writer.send({ type: 'update_draft', text: 'Pineapple' });
+  const draft = await partner.next('team_draft');
+  assert.deepEqual(draft, { type: 'team_draft', text: 'Pineapple', from: { id: writer.id, name: writer.name } });
+
+  // Either of them can send it in, and both see it's done
+  partner.send({ type: 'submit_answer', answer: 'Pineapple, fight me' });
+  await Promise.all([writer.next('answer_submitted'), partner.next('answer_submitted')]);
+  other.send({ type: 'submit_answer', answer: 'Mushrooms' });
+
+  // The whole guessing team can drive the reveal and the guessing
+  const reveal = await guessers[1].phase('reveal');
+  assert.equal(reveal.totalAnswers, 2);
+  guessers[1].send({ type: 'next_reveal' });
+  guessers[1].send({ type: 'next_reveal' });
+  const guessing = await guessers[0].phase('guessing');
+  assert.equal(guessing.players.length, 2);
+  assert.equal(guessing.players[0].members.length, 2);
+
+  const teamOf = (bot) => guessing.players.find(p => p.members.some(m => m.id === bot.id)).id;
+  const guesses = Object.fromEntries(guessing.answers.map(a => [a.id, teamOf(a.text === 'Mushrooms' ? other : writer)]));
+  guessers[0].send({ type: 'share_guesses', guesses });
+  assert.deepEqual((await guessers[1].next('guess_draft')).guesses, guesses);
+  guessers[1].send({ type: 'submit_guesses', guesses });
+
+  const results = await table.host.phase('results');
+  assert.equal(results.guessResults.correct, 2);
+  assert.equal(results.scoreboard.length, 3);
+  const top = results.scoreboard[0];
+  assert.equal(top.id, question.guesser.id);
+  assert.equal(top.score, 2);
+  assert.deepEqual(top.members.map(m => m.name).sort(), guessers.map(b => b.name).sort());
+});
+
+test('a team that runs out of time goes with its drafts', async (t) => {
+  const table = await createTable(t, { players: 6, settings: { teamMode: true, bonusEnabled: false } });
+  const turn = await firstTurn(table);
+  await toAnswering(table, turn);
+
+  const [[writer, partner], [other]] = turn.answering;
+  writer.send({ type: 'update_draft', text: 'Olives' });
+  await partner.next('team_draft');
+  other.send({ type: 'submit_answer', answer: 'Ham' });
+  await other.next('answer_submitted');
+  table.clock.tick(60 * SECOND);
+
+  const reveal = await turn.guessers[0].phase('reveal');
+  for (let i = 0; i < reveal.totalAnswers; i++) turn.guessers[0].send({ type: 'next_reveal' });
+  const guessing = await turn.guessers[0].phase('guessing');
+  assert.deepEqual(guessing.answers.map(a => a.text).sort(), ['Ham', 'Olives']);
+
+  const guesses = { [guessing.answers[0].id]: guessing.players[0].id };
+  turn.guessers[0].send({ type: 'share_guesses', guesses });
+  await turn.guessers[1].next('guess_draft');
+  table.clock.tick(60 * SECOND);
+  const results = await table.host.phase('results');
+  assert.equal(results.guessResults.results.filter(r => r.guessedPlayer).length, 1);
+});
+
+test('drafts are for team mode only', async (t) => {
+  const table = await createTable(t, { players: 3 });
+  table.host.send({ type: 'start_game' });
+  const question = await table.host.phase('question');
+  const guesser = findBot(table, question.guesser.id);
+  guesser.send({ type: 'submit_question', question: 'Best pizza topping?' });
+  const answerer = table.players.find(b => b !== guesser);
+  await answerer.phase('answering');
+  answerer.send({ type: 'update_draft', text: 'Pineapple' });
+  assert.equal((await answerer.next('error')).code, 'TEAMS_OFF');
+});
+
+test('team mode makes room for more than ten players', async (t) => {
+  const table = await createTable(t, { players: 10, settings: { teamMode: true } });
+  const kim = await table.bot('Kim');
+  kim.send({ type: 'join_lobby', name: 'Kim', code: table.code });
+  await kim.next('joined');
+  await table.host.next(m => m.type === 'lobby_update' && m.players.length === 11);
+
+  // Back to solo play, eleven is too many
+  table.host.send({ type: 'update_settings', settings: { teamMode: false } });
+  await table.host.next(m => m.type === 'lobby_update' && m.maxPlayers === 10);
+  table.host.send({ type: 'start_game' });
+  assert.equal((await table.host.next('error')).code, 'TOO_MANY_PLAYERS');
+  const lou = await table.bot('Lou');
+  lou.send({ type: 'join_lobby', name: 'Lou', code: table.code });
+  const full = await lou.next('error');
+  assert.deepEqual([full.code, full.message], ['LOBBY_FULL', 'Lobby is full (max 10)']);
+});
+
+test('a team keeps its turns until its last member leaves', async (t) => {
+  const table = await createTable(t, { players: 6, settings: { teamMode: true } });
+  const { answering } = await firstTurn(table);
+  const lobby = table.game.lobbies.get(table.code);
+  const [leaving] = answering;
+  const teamId = lobby.teams.find(t => t.playerIds.includes(leaving[0].id)).id;
+  const turns = lobby.guesserOrder.length;
+
+  leaving[0].send({ type: 'leave_game' });
+  await leaving[0].next('left_game');
+  await table.host.next(m => m.type === 'lobby_update' && m.players.some(p => p.left));
+  assert.equal(lobby.guesserOrder.length, turns);
+
+  leaving[1].send({ type: 'leave_game' });
+  await leaving[1].next('left_game');
+  await table.host.next(m => m.type === 'lobby_update' && m.players.filter(p => p.left).length === 2);
+  const upcoming = lobby.guesserOrder.slice(lobby.currentGuesserIdx + 1);
+  assert.ok(!upcoming.includes(teamId));
+  assert.equal(lobby.guesserOrder.length, turns - 3);
+  assert.equal(lobby.phase, 'question');
+});
@@ -0,0 +1,135 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTable, findBot } = require('./support/harness');
+const { getPack } = require('../question-bank');
+
+const SECOND = 1000;
+
+// Starts the game and waits for the first question phase everywhere
+async function firstTurn(table) {
+  table.host.send({ type: 'start_game' });
+  const question = await table.host.phase('question');
+  const guesser = findBot(table, question.guesser.id);
+  const others = table.players.filter(b => b !== guesser);
+  return { guesser, others };
+}
+
+async function toAnswering(table, { guesser, others }) {
+  guesser.send({ type: 'submit_question', question: 'Favourite season?' });
+  await Promise.all([guesser, ...others].map(b => b.phase('answering')));
+}
+
+async function toGuessing(table, turn) {
+  const { guesser, others } = turn;
+  await toAnswering(table, turn);
+  others.forEach(b => b.send({ type: 'submit_answer', answer: `${b.name}: autumn` }));
+  const reveal = await guesser.phase('reveal');
+  for (let i = 0; i < reveal.totalAnswers; i++) guesser.send({ type: 'next_reveal' });
+  return guesser.phase('guessing');
+}
+
+test('every phase announces its timer on the game clock', async (t) => {
+  const table = await createTable(t, { settings: { timerQuestion: 45 } });
+  table.host.send({ type: 'start_game' });
+  const timer = await table.host.next('timer');
+  assert.equal(timer.seconds, 45);
+  assert.equal(timer.endsAt, table.clock.now() + 45 * SECOND);
+});
+
+test('a guesser who runs out of time is given a question from the enabled packs', async (t) => {
+  const table = await createTable(t, { settings: { questionPacks: ['icebreakers'], timerQuestion: 30 } });
+  const { guesser } = await firstTurn(table);
+
+  table.clock.tick(29 * SECOND);
+  assert.equal(table.game.lobbies.get(table.code).phase, 'question');
+  table.clock.tick(1 * SECOND);
+
+  const answering = await guesser.phase('answering');
+  assert.ok(getPack('icebreakers').questions.includes(answering.question));
+});
+
+test('with no packs enabled the fallback question is asked', async (t) => {
+  const table = await createTable(t, { settings: { questionPacks: [] } });
+  const { guesser } = await firstTurn(table);
+  table.clock.tick(60 * SECOND);
+  const answering = await guesser.phase('answering');
+  assert.equal(answering.question, "What's the best thing about being alive?");
+});
+
+test('answers still missing when time runs out are filled in', async (t) => {
+  const table = await createTable(t, { players: 4 });
+  const turn = await firstTurn(table);
+  await toAnswering(table, turn);
+  const [first] = turn.others;
+  first.send({ type: 'submit_answer', answer: 'Spring' });
+  await first.next('answer_submitted');
+
+  table.clock.tick(60 * SECOND);
+  const reveal = await turn.guesser.phase('reveal');
+  assert.equal(reveal.totalAnswers, 3);
+
+  for (let i = 0; i < 3; i++) turn.guesser.send({ type: 'next_reveal' });
+  const guessing = await turn.guesser.phase('guessing');
+  assert.deepEqual(guessing.answers.map(a => a.text).sort(), ['...', '...', 'Spring']);
+});
+
+test('the guessing timer scales with the number of answers', async (t) => {
+  const table = await createTable(t, { players: 4, settings: { timerPerPlayer: 20 } });
+  const turn = await firstTurn(table);
+  await toGuessing(table, turn);
+  const timer = await turn.guesser.next(m => m.type === 'timer' && m.seconds === 60);
+  assert.equal(timer.endsAt, table.clock.now() + 60 * SECOND);
+});
+
+test('guesses time out as all wrong and voting starts', async (t) => {
+  const table = await createTable(t);
+  const turn = await firstTurn(table);
+  await toGuessing(table, turn);
+
+  table.clock.tick(59 * SECOND);
+  assert.equal(table.game.lobbies.get(table.code).phase, 'guessing');
+  table.clock.tick(1 * SECOND);
+  const voting = await table.host.phase('voting');
+  assert.equal(voting.answers.length, 2);
+
+  table.clock.tick(20 * SECOND);
+  const results = await table.host.phase('results');
+  assert.equal(results.guessResults.correct, 0);
+  assert.ok(results.guessResults.results.every(r => r.guessedPlayer === null));
+  // Nobody voted, so nobody won anything
+  assert.deepEqual(results.bestAnswers, []);
+  assert.deepEqual(results.breakdown, []);
+});
+
+test('voting ends early once every player has voted', async (t) => {
+  const table = await createTable(t);
+  const turn = await firstTurn(table);
+  const guessing = await toGuessing(table, turn);
+  turn.guesser.send({ type: 'submit_guesses', guesses: {} });
+
+  await table.host.phase('voting');
+  const [answer] = guessing.answers;
+  for (const bot of table.players) {
+    bot.send({ type: 'vote', category: 'best', answerId: answer.id });
+    bot.send({ type: 'vote', category: 'funniest', answerId: answer.id });
+  }
+  const results = await table.host.phase('results');
+  assert.equal(results.bestAnswers.length, 1);
+  assert.equal(table.clock.untilNext(), null);
+});
+
+test('results wait for the host instead of a timer', async (t) => {
+  const table = await createTable(t, { settings: { bonusEnabled: false } });
+  const turn = await firstTurn(table);
+  await toGuessing(table, turn);
+  turn.guesser.send({ type: 'submit_guesses', guesses: {} });
+  await table.host.phase('results');
+
+  assert.equal(table.clock.untilNext(), null);
+  table.clock.tick(10 * 60 * SECOND);
+  assert.equal(table.game.lobbies.get(table.code).phase, 'results');
+
+  table.host.send({ type: 'next_turn' });
+  const question = await table.host.phase('question');
+  assert.equal(question.turnNumber, 2);
+});
@@ -0,0 +1,48 @@
+// ─── WORD FILTER ───────────────────────────────────────────────────
+// Masks unwanted words in the names, questions and answers players send
+// in, before anyone else sees them. Matching ignores case and only hits
+// whole words (plus a few common endings), so "class" and "Scunthorpe"
+// are left alone but "shitty" is not. A masked word keeps its first letter:
+//
+//   createWordFilter(['heck'])('What the HECK')  →  'What the H***'
+//
+// Lobbies can switch the filter off or add words of their own (see the
+// wordFilter and filterWords settings in game.js).
+
+const DEFAULT_WORDS = [
+  'arse', 'arsehole', 'ass', 'asshole', 'bastard', 'bitch', 'bollocks', 'bullshit',
+  'cock', 'crap', 'cunt', 'dick', 'dickhead', 'fag', 'faggot', 'fuck', 'motherfucker',
+  'nigga', 'nigger', 'piss', 'prick', 'pussy', 'retard', 'shit', 'slut', 'twat',
+  'wank', 'wanker', 'whore',
+];
+
+// Most lobby word lists are short; these keep a custom list sensible
+const MAX_WORDS = 50;
+const MAX_WORD_LENGTH = 30;
+
+const ENDINGS = '(?:s|es|ed|er|ers|ing|y)?';
+
+function escapeRegExp(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Tidies a host-supplied word list: trimmed, lower-case, no blanks or repeats
+function normalizeWords(words) {
+  return [...new Set(words
+    .filter(w => typeof w === 'string')
+    .map(w => w.trim().toLowerCase())
+    .filter(w => w && w.length <= MAX_WORD_LENGTH))]
+    .slice(0, MAX_WORDS);
+}
+
+// Returns text → masked text for a list of words
+function createWordFilter(words) {
+  const list = normalizeWords(words);
+  if (list.length === 0) return text => text;
+  // Longest first, so "motherfucker" wins over "fuck"
+  const alternatives = list.sort((a, b) => b.length - a.length).map(escapeRegExp).join('|');
+  const pattern = new RegExp(`(?<![\\p{L}\\p{N}])(?:${alternatives})${ENDINGS}(?![\\p{L}\\p{N}])`, 'giu');
+  return text => text.replace(pattern, word => word[0] + '*'.repeat(word.length - 1));
+}
+
+module.exports = { DEFAULT_WORDS, MAX_WORDS, createWordFilter, normalizeWords };